@@ -5,11 +5,23 @@ document.addEventListener('DOMContentLoaded', function() {
   loadBlogPost();
 });
 
+let isHydrated = false;
+
 async function loadBlogPost() {
   const loadingEl = document.getElementById('loading');
   const errorEl = document.getElementById('error');
   const contentEl = document.getElementById('post-content');
 
+  // Server-rendered: the markup is already in place, just wire it up
+  const pageData = window.NotionCMS?.utils?.getPageData();
+  if (pageData) {
+    if (!isHydrated) {
+      hydrateBlogPost(pageData);
+      isHydrated = true;
+    }
+    return;
+  }
+
   try {
     const slug = getSlugFromUrl();
 
@@ -34,6 +46,11 @@ async function loadBlogPost() {
 
     const post = await response.json();
 
+    // Retired slug - the API redirected to the post's current slug
+    if (response.redirected && window.NotionCMS?.utils?.followCanonicalUrl(post.url)) {
+      return;
+    }
+
     // Hide loading and show content
     loadingEl.style.display = 'none';
     contentEl.style.display = 'block';
@@ -56,10 +73,13 @@ function renderBlogPost(post) {
   // Update meta description
   const metaDesc = document.getElementById('page-description');
   if (metaDesc) {
-    const desc = extractText(post.content).substring(0, 160) + '...';
+    const desc = post.metaDescription || extractText(post.content).substring(0, 160) + '...';
     metaDesc.setAttribute('content', desc);
   }
 
+  // Respect the No Index checkbox
+  window.NotionCMS?.utils?.setNoIndex(post.noIndex);
+
   // Update breadcrumb
   const breadcrumb = document.getElementById('breadcrumb-title');
   if (breadcrumb) {
@@ -92,6 +112,14 @@ function renderBlogPost(post) {
   addSmoothScrolling();
 }
 
+/**
+ * Attach behavior to server-rendered markup (render function or static build)
+ */
+function hydrateBlogPost(post) {
+  setupShareButtons(post.title);
+  addSmoothScrolling();
+}
+
 function setupShareButtons(title) {
   const url = encodeURIComponent(window.location.href);
   const text = encodeURIComponent(title);
@@ -1,9 +1,12 @@
 /**
  * Blog listing page functionality
+ * Also renders the tag and category archives (/blog/tag/:tag, /blog/category/:category)
  */
-document.addEventListener('DOMContentLoaded', function() {
-  loadBlogPosts();
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    loadBlogPosts();
+  });
+}
 
 async function loadBlogPosts() {
   const loadingEl = document.getElementById('loading');
@@ -11,15 +14,31 @@ async function loadBlogPosts() {
   const postsEl = document.getElementById('posts-grid');
   const emptyEl = document.getElementById('empty');
 
+  const currentPage = getPageFromUrl();
+
+  // Prerendered pages (npm run build) keep their content visible while refreshing
+  // (the prerendered /blog shows the first page only)
+  const isPrerendered = document.documentElement.hasAttribute('data-prerendered') && currentPage === 1;
+
   try {
     // Show loading state
-    loadingEl.style.display = 'block';
-    errorEl.style.display = 'none';
-    postsEl.style.display = 'none';
-    emptyEl.style.display = 'none';
+    if (!isPrerendered) {
+      loadingEl.style.display = 'block';
+      errorEl.style.display = 'none';
+      postsEl.style.display = 'none';
+      emptyEl.style.display = 'none';
+    }
 
-    // Fetch blog posts
-    const response = await fetch('/.netlify/functions/blog-list');
+    // Fetch one page of posts, filtered on archive pages
+    const archive = getArchiveFromUrl();
+    const params = new URLSearchParams({
+      page: String(currentPage),
+      limit: String(window.SITE_CONFIG?.blog?.postsPerPage || 12)
+    });
+    if (archive) {
+      params.set(archive.kind, archive.slug);
+    }
+    const response = await fetch(`/.netlify/functions/blog-list?${params}`);
 
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -30,6 +49,11 @@ async function loadBlogPosts() {
     // Hide loading
     loadingEl.style.display = 'none';
 
+    if (archive) {
+      renderArchiveHeader(archive, data.filter?.[archive.kind]);
+    }
+    renderTagBar(data.tags || [], archive?.kind === 'tag' ? archive.slug : null);
+
     if (data.posts && data.posts.length > 0) {
       postsEl.style.display = 'grid';
       renderBlogPosts(data.posts);
@@ -37,8 +61,11 @@ async function loadBlogPosts() {
       emptyEl.style.display = 'block';
     }
 
+    renderPagination(data.pagination);
+
   } catch (error) {
     console.error('Error loading blog posts:', error);
+    if (isPrerendered) return;
     loadingEl.style.display = 'none';
     errorEl.style.display = 'block';
   }
@@ -46,9 +73,114 @@ async function loadBlogPosts() {
 
 function renderBlogPosts(posts) {
   const container = document.getElementById('posts-grid');
+  container.innerHTML = renderPostCards(posts);
+}
+
+/**
+ * Current listing page from ?page= (1 when absent or invalid)
+ */
+function getPageFromUrl() {
+  const page = parseInt(new URLSearchParams(window.location.search).get('page'), 10);
+  return page > 1 ? page : 1;
+}
+
+function renderPagination(pagination) {
+  const container = document.getElementById('blog-pagination');
+  if (!container) return;
 
-  container.innerHTML = posts.map(post => {
-    const date = formatDate(post.publishedDate);
+  const html = renderPaginationLinks(pagination, window.location.pathname);
+  container.innerHTML = html;
+  container.style.display = html ? 'flex' : 'none';
+}
+
+/**
+ * Build the newer/older links for a blog-list pagination object
+ * Also used by the static site build (scripts/build.js)
+ * @param {Object} pagination - { page, totalPages, hasNext, hasPrev } from blog-list
+ * @param {string} basePath - Listing path (/blog, /blog/tag/:tag, ...)
+ */
+function renderPaginationLinks(pagination, basePath = '/blog') {
+  if (!pagination || pagination.totalPages <= 1) return '';
+
+  const pageUrl = (page) => page > 1 ? `${basePath}?page=${page}` : basePath;
+  const newer = pagination.hasPrev
+    ? `<a href="${escapeHtml(pageUrl(pagination.page - 1))}" class="pagination-link pagination-newer">← Newer posts</a>`
+    : '<span></span>';
+  const older = pagination.hasNext
+    ? `<a href="${escapeHtml(pageUrl(pagination.page + 1))}" class="pagination-link pagination-older">Older posts →</a>`
+    : '<span></span>';
+
+  return `${newer}<span class="pagination-status">Page ${pagination.page} of ${pagination.totalPages}</span>${older}`;
+}
+
+/**
+ * Tag or category archive from the URL
+ * @returns {{kind: string, slug: string}|null} e.g. { kind: 'tag', slug: 'javascript' } for /blog/tag/javascript
+ */
+function getArchiveFromUrl() {
+  const match = window.location.pathname.match(/^\/blog\/(tag|category)\/([^/]+)\/?$/);
+  if (!match) return null;
+  try {
+    return { kind: match[1], slug: decodeURIComponent(match[2]) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Retitle the page for a tag or category archive
+ */
+function renderArchiveHeader(archive, term) {
+  const siteName = window.SITE_CONFIG?.siteName || 'Notion CMS';
+  const name = term?.name || archive.slug;
+  const label = archive.kind === 'tag' ? `#${name}` : name;
+  const count = term?.count || 0;
+
+  document.title = `${label} — Blog — ${siteName}`;
+
+  const titleEl = document.getElementById('blog-title');
+  if (titleEl) {
+    titleEl.textContent = label;
+  }
+
+  const subtitleEl = document.getElementById('blog-subtitle');
+  if (subtitleEl) {
+    const noun = count === 1 ? 'post' : 'posts';
+    subtitleEl.innerHTML = archive.kind === 'tag'
+      ? `${count} ${noun} tagged “${escapeHtml(name)}” · <a href="/blog">All posts</a>`
+      : `${count} ${noun} in ${escapeHtml(name)} · <a href="/blog">All posts</a>`;
+  }
+}
+
+function renderTagBar(tags, activeSlug) {
+  const container = document.getElementById('blog-tags');
+  if (!container) return;
+
+  const html = renderTagLinks(tags, activeSlug);
+  container.innerHTML = html;
+  container.style.display = html ? 'flex' : 'none';
+}
+
+/**
+ * Build the tag filter links (with post counts)
+ * Also used by the static site build (scripts/build.js)
+ */
+function renderTagLinks(tags, activeSlug = null) {
+  if (!tags || tags.length === 0) return '';
+
+  return tags.map(tag => {
+    const active = tag.slug === activeSlug ? ' active' : '';
+    return `<a href="/blog/tag/${encodeURIComponent(tag.slug)}" class="tag-chip${active}">${escapeHtml(tag.name)} <span class="tag-count">${tag.count}</span></a>`;
+  }).join('');
+}
+
+/**
+ * Build the card markup for a list of posts
+ * Also used by the static site build (scripts/build.js)
+ */
+function renderPostCards(posts, siteConfig = window.SITE_CONFIG) {
+  return posts.map(post => {
+    const date = formatDate(post.publishedDate, siteConfig);
 
     return `
       <a href="/blog/${post.slug}" class="card">
@@ -59,6 +191,7 @@ function renderBlogPosts(posts) {
         <div class="card-body">
           <h2 class="card-title">${escapeHtml(post.title)}</h2>
           <p class="card-description">${escapeHtml(post.description || 'Click to read more...')}</p>
+          ${renderCardChips(post)}
           <div class="card-meta">
             <span class="card-date">${date}</span>
             <span class="card-link">Read more →</span>
@@ -69,9 +202,21 @@ function renderBlogPosts(posts) {
   }).join('');
 }
 
-function formatDate(dateString) {
+/**
+ * Category and tag chips for a card (plain spans - the whole card is a link)
+ */
+function renderCardChips(post) {
+  const chips = [
+    post.category ? `<span class="card-chip card-category">${escapeHtml(post.category)}</span>` : '',
+    ...(post.tags || []).map(tag => `<span class="card-chip">#${escapeHtml(tag)}</span>`)
+  ].filter(Boolean);
+
+  return chips.length > 0 ? `<div class="card-chips">${chips.join('')}</div>` : '';
+}
+
+function formatDate(dateString, siteConfig = window.SITE_CONFIG) {
   if (!dateString) return '';
-  const config = window.SITE_CONFIG?.blog || {};
+  const config = siteConfig?.blog || {};
   return new Date(dateString).toLocaleDateString(
     config.dateLocale || 'en-US',
     config.dateFormat || { year: 'numeric', month: 'long', day: 'numeric' }
@@ -89,3 +234,8 @@ function escapeHtml(text) {
   };
   return text.replace(/[&<>"']/g, m => map[m]);
 }
+
+// Export for Node.js (static site build)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { renderPostCards, renderTagLinks, renderPaginationLinks };
+}
@@ -25,7 +25,25 @@ const SITE_CONFIG = {
     showDates: true,
     showReadMore: true,
     dateLocale: 'en-US',
-    dateFormat: { year: 'numeric', month: 'long', day: 'numeric' }
+    dateFormat: { year: 'numeric', month: 'long', day: 'numeric' },
+    // RSS, Atom and JSON feeds (/blog/feed.xml, /blog/atom.xml, /blog/feed.json)
+    feedItems: 20,
+    feedFullContent: false, // Include the full post HTML, not just the description
+    // Notion column names blog posts are read from - change these when your
+    // blog database (NOTION_BLOG_DB_ID) names them differently
+    properties: {
+      title: null, // null = the database's title column
+      status: 'Status', // Select or status: Draft | Published | Scheduled
+      publishDate: 'Publish Date',
+      slug: 'Slug',
+      pinned: 'Pinned',
+      featured: 'Featured',
+      sortOrder: 'Sort Order',
+      tags: 'Tags',
+      category: 'Category',
+      metaTitle: 'Meta Title',
+      metaDescription: 'Meta Description'
+    }
   },
 
   // Page Settings
@@ -2,18 +2,31 @@
  * Documentation page functionality
  * Renders a doc page with sidebar navigation and table of contents
  */
-document.addEventListener('DOMContentLoaded', function() {
-  loadDocPage();
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    loadDocPage();
+  });
+}
 
 let docsTree = [];
 let flatDocs = []; // Flattened version for prev/next navigation
+let isHydrated = false;
 
 async function loadDocPage() {
   const loadingEl = document.getElementById('loading');
   const errorEl = document.getElementById('error');
   const contentEl = document.getElementById('doc-content');
 
+  // Server-rendered: the markup is already in place, just wire it up
+  const pageData = window.NotionCMS?.utils?.getPageData();
+  if (pageData) {
+    if (!isHydrated) {
+      hydrateDocPage(pageData);
+      isHydrated = true;
+    }
+    return;
+  }
+
   try {
     const slug = getSlugFromUrl();
 
@@ -41,6 +54,17 @@ async function loadDocPage() {
 
     const page = await pageResponse.json();
 
+    // Retired slug - the API redirected to the page's current slug
+    if (pageResponse.redirected && window.NotionCMS?.utils?.followCanonicalUrl(page.url)) {
+      return;
+    }
+
+    // A blog post or landing page with this slug - send the user to its own path
+    if (page.pageType !== 'docs' && page.url) {
+      window.location.replace(page.url);
+      return;
+    }
+
     if (treeResponse.ok) {
       const treeData = await treeResponse.json();
       docsTree = treeData.tree || [];
@@ -52,9 +76,9 @@ async function loadDocPage() {
     contentEl.style.display = 'grid';
 
     renderDocPage(page);
-    renderSidebar(slug);
+    renderSidebar(page.slug || slug);
     buildTableOfContents();
-    setupPrevNext(slug);
+    setupPrevNext(page.slug || slug);
     setupScrollSpy();
 
   } catch (error) {
@@ -77,6 +101,9 @@ function renderDocPage(page) {
     metaDesc.setAttribute('content', desc);
   }
 
+  // Respect the No Index checkbox
+  window.NotionCMS?.utils?.setNoIndex(page.noIndex);
+
   // Update breadcrumb
   const breadcrumb = document.getElementById('breadcrumb-title');
   if (breadcrumb) {
@@ -88,7 +115,7 @@ function renderDocPage(page) {
   if (iconEl && page.icon) {
     iconEl.textContent = '';
 
-    if (page.icon.startsWith('http')) {
+    if ((page.icon.startsWith('http') || page.icon.startsWith('/'))) {
       const safeUrl = sanitizeIconUrl(page.icon);
       if (safeUrl) {
         const img = document.createElement('img');
@@ -128,6 +155,19 @@ function renderDocPage(page) {
   }
 }
 
+/**
+ * Attach behavior to server-rendered markup (render function or static build)
+ * The sidebar and prev/next links are already rendered.
+ */
+function hydrateDocPage(page) {
+  const navEl = document.getElementById('docs-nav');
+  if (navEl) {
+    expandActiveParents(navEl, page.slug);
+  }
+  buildTableOfContents();
+  setupScrollSpy();
+}
+
 function renderSidebar(currentSlug) {
   const navEl = document.getElementById('docs-nav');
   if (!navEl || docsTree.length === 0) return;
@@ -140,6 +180,7 @@ function renderSidebar(currentSlug) {
 
 /**
  * Recursively render tree items with nested children
+ * Also used by the static site build (scripts/build.js)
  */
 function renderTreeItems(items, currentSlug, depth = 0) {
   return items.map(doc => {
@@ -151,7 +192,7 @@ function renderTreeItems(items, currentSlug, depth = 0) {
     let html = `
       <li class="nav-item ${hasChildren ? 'has-children' : ''}" data-slug="${safeSlug}">
         <a href="/docs/${safeSlug}" class="${isActive ? 'active' : ''}">
-          ${doc.icon && !doc.icon.startsWith('http') ? `<span class="nav-icon">${doc.icon}</span>` : ''}
+          ${doc.icon && !doc.icon.startsWith('http') && !doc.icon.startsWith('/') ? `<span class="nav-icon">${doc.icon}</span>` : ''}
           <span class="nav-title">${displayTitle}</span>
           ${hasChildren ? '<span class="nav-toggle">▸</span>' : ''}
         </a>`;
@@ -365,7 +406,7 @@ function escapeHtml(text) {
 }
 
 /**
- * Sanitize icon URLs - allow only http/https, block SVG data URIs
+ * Sanitize icon URLs - allow http/https and same-origin paths, block SVG data URIs
  */
 function sanitizeIconUrl(url) {
   if (!url || typeof url !== 'string') return null;
@@ -377,6 +418,10 @@ function sanitizeIconUrl(url) {
       }
       return url;
     }
+    // Same-origin paths (e.g. /api/asset/... proxy URLs)
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      return url;
+    }
     const parsed = new URL(url);
     if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
       return url;
@@ -387,6 +432,13 @@ function sanitizeIconUrl(url) {
   }
 }
 
-window.addEventListener('popstate', function() {
-  loadDocPage();
-});
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', function() {
+    loadDocPage();
+  });
+}
+
+// Export for Node.js (static site build)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { renderTreeItems, flattenTree };
+}
@@ -2,9 +2,11 @@
  * Documentation listing functionality
  * Shows all docs pages (children of NOTION_DOCS_PAGE_ID)
  */
-document.addEventListener('DOMContentLoaded', function() {
-  loadDocs();
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    loadDocs();
+  });
+}
 
 async function loadDocs() {
   const loadingEl = document.getElementById('loading');
@@ -12,12 +14,17 @@ async function loadDocs() {
   const docsEl = document.getElementById('docs-grid');
   const emptyEl = document.getElementById('empty');
 
+  // Prerendered pages (npm run build) keep their content visible while refreshing
+  const isPrerendered = document.documentElement.hasAttribute('data-prerendered');
+
   try {
     // Show loading state
-    loadingEl.style.display = 'block';
-    errorEl.style.display = 'none';
-    docsEl.style.display = 'none';
-    emptyEl.style.display = 'none';
+    if (!isPrerendered) {
+      loadingEl.style.display = 'block';
+      errorEl.style.display = 'none';
+      docsEl.style.display = 'none';
+      emptyEl.style.display = 'none';
+    }
 
     // Fetch docs pages (filtered by type=docs)
     const response = await fetch('/.netlify/functions/pages-list?type=docs');
@@ -40,6 +47,7 @@ async function loadDocs() {
 
   } catch (error) {
     console.error('Error loading docs:', error);
+    if (isPrerendered) return;
     loadingEl.style.display = 'none';
     errorEl.style.display = 'block';
   }
@@ -47,11 +55,18 @@ async function loadDocs() {
 
 function renderDocs(docs) {
   const container = document.getElementById('docs-grid');
+  container.innerHTML = renderDocCards(docs);
+}
 
-  container.innerHTML = docs.map(doc => {
+/**
+ * Build the card markup for a list of docs pages
+ * Also used by the static site build (scripts/build.js)
+ */
+function renderDocCards(docs) {
+  return docs.map(doc => {
     const date = formatDate(doc.lastEditedTime);
     const rawIcon = doc.icon || '📖';
-    const isEmoji = typeof rawIcon === 'string' && !rawIcon.startsWith('http');
+    const isEmoji = typeof rawIcon === 'string' && !rawIcon.startsWith('http') && !rawIcon.startsWith('/');
     // Sanitize URLs to prevent XSS (allow only http/https, block SVG data URIs)
     const safeCover = sanitizeUrl(doc.cover);
     const safeIcon = isEmoji ? rawIcon : sanitizeUrl(rawIcon);
@@ -80,7 +95,7 @@ function renderDocs(docs) {
 }
 
 /**
- * Sanitize URLs - allow only http/https, block SVG data URIs
+ * Sanitize URLs - allow http/https and same-origin paths, block SVG data URIs
  */
 function sanitizeUrl(url) {
   if (!url || typeof url !== 'string') return null;
@@ -92,6 +107,10 @@ function sanitizeUrl(url) {
       }
       return url;
     }
+    // Same-origin paths (e.g. /api/asset/... proxy URLs)
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      return url;
+    }
     const parsed = new URL(url);
     if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
       return url;
@@ -122,3 +141,8 @@ function escapeHtml(text) {
   };
   return text.replace(/[&<>"']/g, m => map[m]);
 }
+
+// Export for Node.js (static site build)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { renderDocCards };
+}
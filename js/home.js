@@ -3,24 +3,31 @@
  * Fetches and renders the homepage content from Notion
  * Supports section-based layouts via toggle blocks
  */
-document.addEventListener('DOMContentLoaded', function() {
-  loadHomepage();
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    loadHomepage();
+  });
+}
 
 async function loadHomepage() {
   const loadingEl = document.getElementById('loading');
   const errorEl = document.getElementById('error');
   const contentEl = document.getElementById('home-content');
 
+  // Prerendered pages (npm run build) keep their content visible while refreshing
+  const isPrerendered = document.documentElement.hasAttribute('data-prerendered');
+
   try {
-    if (loadingEl) loadingEl.style.display = 'block';
-    if (errorEl) errorEl.style.display = 'none';
-    if (contentEl) contentEl.style.display = 'none';
+    if (!isPrerendered) {
+      if (loadingEl) loadingEl.style.display = 'block';
+      if (errorEl) errorEl.style.display = 'none';
+      if (contentEl) contentEl.style.display = 'none';
+    }
 
     const response = await fetch('/.netlify/functions/homepage');
 
     if (!response.ok) {
-      if (response.status === 503) {
+      if (response.status === 503 && !isPrerendered) {
         showFallbackContent();
         return;
       }
@@ -36,6 +43,7 @@ async function loadHomepage() {
 
   } catch (error) {
     console.error('Error loading homepage:', error);
+    if (isPrerendered) return;
     showFallbackContent();
   }
 }
@@ -59,6 +67,16 @@ function renderHomepage(data) {
   const contentEl = document.getElementById('home-content');
   if (!contentEl) return;
 
+  contentEl.innerHTML = renderHomepageContent(data);
+
+  document.body.classList.add('page-home', 'layout-landing');
+}
+
+/**
+ * Build the homepage markup from the homepage API response
+ * Also used by the static site build (scripts/build.js)
+ */
+function renderHomepageContent(data) {
   // Render sections
   if (data.sections && data.sections.length > 0) {
     let html = '';
@@ -69,19 +87,17 @@ function renderHomepage(data) {
       sectionIndex++;
     }
 
-    contentEl.innerHTML = html;
-  } else {
-    // Fallback: no sections defined, show basic content
-    contentEl.innerHTML = `
+    return html;
+  }
+
+  // Fallback: no sections defined, show basic content
+  return `
       <section class="hero">
         <div class="hero-content">
           <h1>${escapeHtml(data.title || 'Welcome')}</h1>
         </div>
       </section>
     `;
-  }
-
-  document.body.classList.add('page-home', 'layout-landing');
 }
 
 /**
@@ -246,7 +262,7 @@ function renderCodeSection(section, isAlt) {
             ${block.caption ? `<span class="code-title">${escapeHtml(block.caption)}</span>` : ''}
           </div>
           <div class="code-content">
-            <pre>${escapeHtml(block.code)}</pre>
+            <pre${block.lineCount > 1 ? ' class="code-numbered"' : ''}>${block.html || escapeHtml(block.code)}</pre>
           </div>
         </div>
       `;
@@ -346,3 +362,8 @@ function escapeHtml(text) {
   };
   return String(text).replace(/[&<>"']/g, m => map[m]);
 }
+
+// Export for Node.js (static site build)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { renderHomepageContent };
+}
@@ -6,11 +6,23 @@ document.addEventListener('DOMContentLoaded', function() {
   loadPage();
 });
 
+let isHydrated = false;
+
 async function loadPage() {
   const loadingEl = document.getElementById('loading');
   const errorEl = document.getElementById('error');
   const contentEl = document.getElementById('page-content');
 
+  // Server-rendered: the markup is already in place, just wire it up
+  const pageData = window.NotionCMS?.utils?.getPageData();
+  if (pageData) {
+    if (!isHydrated) {
+      hydratePage(pageData);
+      isHydrated = true;
+    }
+    return;
+  }
+
   try {
     const slug = getSlugFromUrl();
 
@@ -35,6 +47,11 @@ async function loadPage() {
 
     const page = await response.json();
 
+    // Retired slug - the API redirected to the page's current slug
+    if (response.redirected && window.NotionCMS?.utils?.followCanonicalUrl(page.url)) {
+      return;
+    }
+
     // Check if user should be redirected to the correct URL path for this page type
     const currentPath = window.location.pathname;
     const isOnPageRoute = currentPath.startsWith('/page/');
@@ -123,6 +140,9 @@ function renderPage(page) {
     metaDesc.setAttribute('content', desc);
   }
 
+  // Respect the No Index checkbox
+  window.NotionCMS?.utils?.setNoIndex(page.noIndex);
+
   // Update breadcrumb
   const breadcrumb = document.getElementById('breadcrumb-title');
   if (breadcrumb) {
@@ -142,7 +162,7 @@ function renderPage(page) {
     // Clear existing content
     iconEl.textContent = '';
 
-    if (page.icon.startsWith('http')) {
+    if ((page.icon.startsWith('http') || page.icon.startsWith('/'))) {
       // Validate URL before using
       const safeUrl = sanitizeIconUrl(page.icon);
       if (safeUrl) {
@@ -193,6 +213,15 @@ function renderPage(page) {
   buildTableOfContents();
 }
 
+/**
+ * Attach behavior to server-rendered markup (render function or static build)
+ */
+function hydratePage(page) {
+  setupShareButtons(page.title);
+  addSmoothScrolling();
+  buildTableOfContents();
+}
+
 function setupShareButtons(title) {
   const url = encodeURIComponent(window.location.href);
   const text = encodeURIComponent(title);
@@ -282,7 +311,7 @@ function buildTableOfContents() {
 }
 
 /**
- * Sanitize icon URLs - allow only http/https, block SVG data URIs
+ * Sanitize icon URLs - allow http/https and same-origin paths, block SVG data URIs
  */
 function sanitizeIconUrl(url) {
   if (!url || typeof url !== 'string') return null;
@@ -294,6 +323,10 @@ function sanitizeIconUrl(url) {
       }
       return url;
     }
+    // Same-origin paths (e.g. /api/asset/... proxy URLs)
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      return url;
+    }
     const parsed = new URL(url);
     if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
       return url;
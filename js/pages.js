@@ -2,13 +2,15 @@
  * Pages listing functionality
  * Shows all pages the Notion integration has access to
  */
-document.addEventListener('DOMContentLoaded', function() {
-  loadPages();
-});
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    loadPages();
+  });
+}
 
 /**
  * Validate and sanitize URLs for use in src attributes
- * Only allows http, https, and data:image protocols
+ * Only allows http, https, same-origin paths and data:image URLs
  */
 function sanitizeUrl(url) {
   if (!url || typeof url !== 'string') return null;
@@ -17,6 +19,10 @@ function sanitizeUrl(url) {
     if (url.startsWith('data:image/')) {
       return url;
     }
+    // Same-origin paths (e.g. /api/asset/... proxy URLs)
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      return url;
+    }
     const parsed = new URL(url);
     // Only allow http and https protocols
     if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
@@ -34,12 +40,17 @@ async function loadPages() {
   const pagesEl = document.getElementById('pages-grid');
   const emptyEl = document.getElementById('empty');
 
+  // Prerendered pages (npm run build) keep their content visible while refreshing
+  const isPrerendered = document.documentElement.hasAttribute('data-prerendered');
+
   try {
     // Show loading state
-    loadingEl.style.display = 'block';
-    errorEl.style.display = 'none';
-    pagesEl.style.display = 'none';
-    emptyEl.style.display = 'none';
+    if (!isPrerendered) {
+      loadingEl.style.display = 'block';
+      errorEl.style.display = 'none';
+      pagesEl.style.display = 'none';
+      emptyEl.style.display = 'none';
+    }
 
     // Fetch only landing-type pages (pages under the configured NOTION_LANDING_PAGE_ID)
     const response = await fetch('/.netlify/functions/pages-list?type=landing');
@@ -62,6 +73,7 @@ async function loadPages() {
 
   } catch (error) {
     console.error('Error loading pages:', error);
+    if (isPrerendered) return;
     loadingEl.style.display = 'none';
     errorEl.style.display = 'block';
   }
@@ -69,11 +81,18 @@ async function loadPages() {
 
 function renderPages(pages) {
   const container = document.getElementById('pages-grid');
+  container.innerHTML = renderPageCards(pages);
+}
 
-  container.innerHTML = pages.map(page => {
-    const date = formatDate(page.lastEditedTime);
+/**
+ * Build the card markup for a list of pages
+ * Also used by the static site build (scripts/build.js)
+ */
+function renderPageCards(pages, siteConfig = window.SITE_CONFIG) {
+  return pages.map(page => {
+    const date = formatDate(page.lastEditedTime, siteConfig);
     const rawIcon = page.icon || '📄';
-    const isEmoji = typeof rawIcon === 'string' && !rawIcon.startsWith('http');
+    const isEmoji = typeof rawIcon === 'string' && !rawIcon.startsWith('http') && !rawIcon.startsWith('/');
     // Sanitize URLs to prevent javascript: or other malicious protocols
     const safeCover = sanitizeUrl(page.cover);
     const safeIcon = isEmoji ? rawIcon : sanitizeUrl(rawIcon);
@@ -99,9 +118,9 @@ function renderPages(pages) {
   }).join('');
 }
 
-function formatDate(dateString) {
+function formatDate(dateString, siteConfig = window.SITE_CONFIG) {
   if (!dateString) return '';
-  const config = window.SITE_CONFIG?.pages || {};
+  const config = siteConfig?.pages || {};
   return new Date(dateString).toLocaleDateString(
     config.dateLocale || 'en-US',
     { year: 'numeric', month: 'short', day: 'numeric' }
@@ -119,3 +138,8 @@ function escapeHtml(text) {
   };
   return text.replace(/[&<>"']/g, m => map[m]);
 }
+
+// Export for Node.js (static site build)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { renderPageCards };
+}
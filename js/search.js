@@ -0,0 +1,117 @@
+/**
+ * Site search box
+ * Wires any <input data-search> to the search function and shows results
+ * in the element named by its data-search-results attribute.
+ *
+ * Attributes:
+ * - data-search: Marks the input (value = page type to search: blog | docs | landing, or empty for all)
+ * - data-search-results: ID of the results container
+ */
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('input[data-search]').forEach(initSearchBox);
+  });
+}
+
+function initSearchBox(input) {
+  const resultsEl = document.getElementById(input.dataset.searchResults);
+  if (!resultsEl) return;
+
+  const type = input.dataset.search || '';
+  const debounce = window.NotionCMS?.utils?.debounce || ((fn) => fn);
+  let requestId = 0;
+
+  const runSearch = debounce(async function() {
+    const query = input.value.trim();
+    const currentRequest = ++requestId;
+
+    if (query.length < 2) {
+      hideResults(resultsEl);
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({ q: query, limit: '8' });
+      if (type) params.set('type', type);
+
+      const response = await fetch(`/.netlify/functions/search?${params}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      // Ignore responses for queries the user has already typed past
+      if (currentRequest !== requestId) return;
+
+      renderSearchResults(resultsEl, data.results || []);
+    } catch (error) {
+      if (currentRequest !== requestId) return;
+      console.error('Search failed:', error);
+      resultsEl.innerHTML = '<li class="search-empty">Search is unavailable right now.</li>';
+      resultsEl.style.display = 'block';
+    }
+  }, 200);
+
+  input.addEventListener('input', runSearch);
+
+  input.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') {
+      input.value = '';
+      requestId++;
+      hideResults(resultsEl);
+    } else if (e.key === 'Enter') {
+      const first = resultsEl.querySelector('a');
+      if (first) {
+        e.preventDefault();
+        window.location.href = first.getAttribute('href');
+      }
+    }
+  });
+}
+
+/**
+ * Render results - titleHtml and snippet are escaped by the server, with matches in <mark>
+ */
+function renderSearchResults(resultsEl, results) {
+  if (results.length === 0) {
+    resultsEl.innerHTML = '<li class="search-empty">No results found.</li>';
+    resultsEl.style.display = 'block';
+    return;
+  }
+
+  resultsEl.innerHTML = results.map(result => {
+    const href = sanitizeResultUrl(result.heading?.url || result.url);
+    const section = result.heading ? `<span class="search-result-section">${escapeSearchHtml(result.heading.text)}</span>` : '';
+
+    return `
+      <li class="search-result">
+        <a href="${escapeSearchHtml(href)}">
+          <span class="search-result-title">${result.titleHtml}</span>
+          ${section}
+          <span class="search-result-snippet">${result.snippet}</span>
+        </a>
+      </li>
+    `;
+  }).join('');
+  resultsEl.style.display = 'block';
+}
+
+function hideResults(resultsEl) {
+  resultsEl.innerHTML = '';
+  resultsEl.style.display = 'none';
+}
+
+/**
+ * Only follow same-origin paths
+ */
+function sanitizeResultUrl(url) {
+  if (typeof url === 'string' && url.startsWith('/') && !url.startsWith('//')) return url;
+  return '#';
+}
+
+function escapeSearchHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
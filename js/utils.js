@@ -67,6 +67,10 @@ function sanitizeUrl(url) {
       }
       return url;
     }
+    // Same-origin paths (e.g. /api/asset/... proxy URLs)
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      return url;
+    }
     const parsed = new URL(url);
     if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
       return url;
@@ -181,6 +185,52 @@ function initMobileNav() {
   });
 }
 
+/**
+ * Read page metadata embedded by the server (render function or static build)
+ * @returns {Object|null} Parsed #page-data, or null if the page was not server-rendered
+ */
+function getPageData() {
+  const el = document.getElementById('page-data');
+  if (!el) return null;
+  try {
+    return JSON.parse(el.textContent);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep the current page out of search engines (Notion "No Index" checkbox)
+ * Server-rendered pages already carry the tag; this covers client rendering.
+ */
+function setNoIndex(noIndex) {
+  if (!noIndex || document.querySelector('meta[name="robots"]')) return;
+  const meta = document.createElement('meta');
+  meta.name = 'robots';
+  meta.content = 'noindex';
+  document.head.appendChild(meta);
+}
+
+/**
+ * Move to a page's canonical URL after the API followed a slug redirect
+ * Within the same section the address bar is updated in place (the content
+ * already loaded is the right page); otherwise the browser navigates there.
+ * @param {string} url - Canonical URL from the API response (e.g. /docs/new-slug)
+ * @returns {boolean} true if the browser is navigating away
+ */
+function followCanonicalUrl(url) {
+  if (!url || url === window.location.pathname) return false;
+
+  const section = (path) => path.split('/').filter(Boolean)[0];
+  if (section(url) === section(window.location.pathname)) {
+    history.replaceState(history.state, '', url + window.location.search + window.location.hash);
+    return false;
+  }
+
+  window.location.replace(url + window.location.search + window.location.hash);
+  return true;
+}
+
 /**
  * Debounce function for scroll handlers etc.
  */
@@ -299,5 +349,8 @@ window.NotionCMS.utils = {
   initMobileNav,
   initDynamicNav,
   initNavigation,
+  getPageData,
+  setNoIndex,
+  followCanonicalUrl,
   debounce
 };
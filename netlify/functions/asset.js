@@ -0,0 +1,257 @@
+const { createNotionClient } = require('./lib/notion-client');
+const { createCache } = require('./lib/cache');
+const { isPublished, readPublishState } = require('./lib/page-index');
+
+/**
+ * Asset Proxy Function
+ * Serves Notion-hosted files through a stable URL. Notion's signed S3 URLs
+ * expire after an hour; renderers link to /api/asset/:id instead, and this
+ * function looks up the block or page and returns a fresh URL.
+ * Only files of published pages are served: drafts and future scheduled
+ * pages answer 404 like missing files (unless ?preview= matches PREVIEW_SECRET).
+ *
+ * Routes:
+ * - /api/asset/:blockId                 image, video, audio, file or pdf block
+ * - /api/asset/:pageId?field=cover      page cover
+ * - /api/asset/:id?field=icon           page icon or callout icon
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Notion integration token
+ * - PREVIEW_SECRET: Secret for serving files of unpublished pages
+ * - ASSET_PROXY_MODE: redirect (default) | stream
+ * - ASSET_MIRROR: "true" to copy files into the cache backend (see lib/cache.js)
+ *   and serve them from there until the block or page is edited
+ * - ASSET_MAX_BYTES: Largest file to stream or mirror (default 4 MB);
+ *   larger files are always redirected
+ */
+
+const FIELDS = ['cover', 'icon'];
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+
+// Parent blocks climbed (toggles, columns...) looking for the page a block is on
+const MAX_PARENT_DEPTH = 10;
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { id: queryId, field, preview } = event.queryStringParameters || {};
+    const isPreviewMode = !!(process.env.PREVIEW_SECRET && preview && preview === process.env.PREVIEW_SECRET);
+
+    // ID comes from the path (/api/asset/:id) or ?id=
+    const pathId = (event.path || '').split('/').filter(Boolean).pop();
+    const id = queryId || (pathId !== 'asset' ? pathId : null);
+
+    if (!id || !/^[0-9a-f]{32}$/i.test(id.replace(/-/g, ''))) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'A valid block or page ID is required' })
+      };
+    }
+
+    if (field && !FIELDS.includes(field)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Unsupported field "${field}" (use ${FIELDS.join(' or ')})` })
+      };
+    }
+
+    if (!process.env.NOTION_TOKEN) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({
+          error: 'Notion not configured',
+          message: 'NOTION_TOKEN environment variable not set'
+        })
+      };
+    }
+
+    const notion = createNotionClient();
+
+    const asset = await lookupAsset(notion, id, field);
+
+    // Files of drafts and pages outside any page are not public
+    const owner = asset ? await findOwningPage(notion, asset.parent) : null;
+    notion.logStats('asset');
+
+    if (!asset || !owner || (!isPreviewMode && !isPublished(readPublishState(owner)))) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Asset not found' })
+      };
+    }
+
+    const maxBytes = parseInt(process.env.ASSET_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+    const isMirror = process.env.ASSET_MIRROR === 'true';
+    const isStream = process.env.ASSET_PROXY_MODE === 'stream';
+
+    // Only Notion-hosted files need proxying; external URLs are stable
+    if (asset.hosted && (isMirror || isStream)) {
+      const cache = createCache();
+      const fetchFile = () => fetchAsset(asset.url, maxBytes);
+
+      const file = isMirror
+        ? await cache.wrap(`asset:${id}:${field || 'block'}`, asset.version, fetchFile)
+        : await fetchFile();
+
+      if (file) {
+        return {
+          statusCode: 200,
+          headers: {
+            'Content-Type': file.contentType,
+            'Cache-Control': isMirror ? 'public, max-age=86400' : 'public, max-age=1800',
+            ...(isMirror ? cache.getHeaders() : {})
+          },
+          body: file.data,
+          isBase64Encoded: true
+        };
+      }
+      // Too large or fetch failed - fall back to redirect
+    }
+
+    return {
+      statusCode: 302,
+      headers: {
+        Location: asset.url,
+        // Signed URLs are valid for an hour; let CDNs reuse the redirect for half that
+        'Cache-Control': asset.hosted ? 'public, max-age=1800' : 'public, max-age=86400'
+      },
+      body: ''
+    };
+
+  } catch (error) {
+    console.error('Error resolving asset:', error);
+
+    let errorMessage = 'Failed to resolve asset';
+    let statusCode = 500;
+
+    if (error.code === 'unauthorized') {
+      errorMessage = 'Notion integration not configured properly';
+      statusCode = 503;
+    } else if (error.code === 'object_not_found' || error.code === 'validation_error') {
+      errorMessage = 'Asset not found';
+      statusCode = 404;
+    }
+
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({
+        error: errorMessage,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+/**
+ * Find the current file URL for a block or page field
+ * parent is where to look for the owning page: the page itself for its cover
+ * and icon, the block's parent otherwise (see findOwningPage).
+ * @returns {Promise<{url: string, hosted: boolean, version: string, parent: Object}|null>}
+ */
+async function lookupAsset(notion, id, field) {
+  let file = null;
+  let version = null;
+  let parent = null;
+
+  if (field) {
+    // Page cover/icon, or the icon of a callout block
+    try {
+      const page = await notion.pages.retrieve({ page_id: id });
+      file = page[field];
+      version = page.last_edited_time;
+      parent = { type: 'page', page };
+    } catch (error) {
+      if (field !== 'icon' || (error.code !== 'object_not_found' && error.code !== 'validation_error')) {
+        throw error;
+      }
+      const block = await notion.blocks.retrieve({ block_id: id });
+      file = block.type === 'callout' ? block.callout.icon : null;
+      version = block.last_edited_time;
+      parent = block.parent;
+    }
+  } else {
+    const block = await notion.blocks.retrieve({ block_id: id });
+    if (['image', 'video', 'audio', 'file', 'pdf'].includes(block.type)) {
+      file = block[block.type];
+    }
+    version = block.last_edited_time;
+    parent = block.parent;
+  }
+
+  if (!file || (file.type !== 'file' && file.type !== 'external')) {
+    return null;
+  }
+
+  const url = file.type === 'file' ? file.file?.url : file.external?.url;
+  if (!url) return null;
+
+  return { url, hosted: file.type === 'file', version, parent };
+}
+
+/**
+ * Page a block is on, climbing through the blocks it is nested in
+ * @param {Object} parent - Notion parent reference (or { type: 'page', page })
+ * @returns {Promise<Object|null>} Page object, or null when there is none
+ */
+async function findOwningPage(notion, parent) {
+  for (let depth = 0; parent && depth < MAX_PARENT_DEPTH; depth++) {
+    if (parent.type === 'page') return parent.page;
+    if (parent.type === 'page_id') return notion.pages.retrieve({ page_id: parent.page_id });
+    if (parent.type !== 'block_id') return null;
+
+    const block = await notion.blocks.retrieve({ block_id: parent.block_id });
+    parent = block.parent;
+  }
+  return null;
+}
+
+/**
+ * Download a file as base64
+ * @returns {Promise<{contentType: string, data: string}|undefined>} undefined if too large or unavailable
+ */
+async function fetchAsset(url, maxBytes) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.error(`Asset fetch failed with HTTP ${response.status}`);
+      return undefined;
+    }
+
+    const declaredLength = parseInt(response.headers.get('content-length'), 10);
+    if (declaredLength > maxBytes) return undefined;
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > maxBytes) return undefined;
+
+    return {
+      contentType: response.headers.get('content-type') || 'application/octet-stream',
+      data: buffer.toString('base64')
+    };
+  } catch (error) {
+    console.error('Error downloading asset:', error);
+    return undefined;
+  }
+}
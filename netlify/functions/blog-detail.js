@@ -1,4 +1,10 @@
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('./lib/notion-client');
+const { blocksToHtml, fillDeferredBlocks, getAllBlocks, hasDeferredBlocks } = require('./lib/block-renderer');
+const { createCache } = require('./lib/cache');
+const { getPageIcon, getPageCover, getBlockFileUrl } = require('./lib/assets');
+const { isNoIndex, loadLinkResolver } = require('./lib/page-index');
+const { findSlugRedirect, slugRedirectResponse } = require('./lib/slug-registry');
+const { isBlogConfigured, listBlogPosts, readPostProperties } = require('./lib/blog-source');
 
 exports.handler = async (event, context) => {
   // Set CORS headers
@@ -41,48 +47,21 @@ exports.handler = async (event, context) => {
     }
 
     // Initialize Notion client
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
+    const notion = createNotionClient();
 
-    // Get the ABI Blog page ID from environment variable
-    const blogPageId = process.env.NOTION_BLOG_PAGE_ID;
-    
-    if (!blogPageId) {
+    if (!isBlogConfigured()) {
       return {
         statusCode: 503,
         headers,
-        body: JSON.stringify({ 
+        body: JSON.stringify({
           error: 'Blog not configured',
-          message: 'NOTION_BLOG_PAGE_ID environment variable not set'
+          message: 'NOTION_BLOG_PAGE_ID or NOTION_BLOG_DB_ID environment variable not set'
         })
       };
     }
 
-    // Get all child pages to find the one with matching slug (with pagination)
-    let allChildPages = [];
-    let hasMore = true;
-    let startCursor = undefined;
-
-    while (hasMore) {
-      const response = await notion.blocks.children.list({
-        block_id: blogPageId,
-        page_size: 100,
-        start_cursor: startCursor
-      });
-
-      const childPages = response.results.filter(block => block.type === 'child_page');
-      allChildPages = allChildPages.concat(childPages);
-      hasMore = response.has_more;
-      startCursor = response.next_cursor;
-
-      // Safety limit
-      if (allChildPages.length > 500) {
-        hasMore = false;
-      }
-    }
-
-    const childPageIds = allChildPages.map(block => block.id);
+    // Child pages of the Blog page, or rows of the blog database (with their properties)
+    const entries = await listBlogPosts(notion, { includeUnpublished: true });
 
     // Find the page with matching slug (check custom Slug property first, then title-derived)
     let targetPageId = null;
@@ -90,42 +69,33 @@ exports.handler = async (event, context) => {
     let targetPage = null;
     let resolvedSlug = null;
 
-    for (const pageId of childPageIds) {
+    for (const entry of entries) {
       try {
-        const page = await notion.pages.retrieve({ page_id: pageId });
+        const page = entry.page || await notion.pages.retrieve({ page_id: entry.id });
 
-        // Extract title (concatenate all segments)
-        let title = 'Untitled Post';
-        const titleProp = page.properties?.title || page.properties?.Title || page.properties?.Name;
-        if (titleProp?.title && Array.isArray(titleProp.title)) {
-          title = titleProp.title.map(t => t.plain_text || '').join('').trim() || 'Untitled Post';
-        }
-
-        // Check custom Slug property first
-        const customSlug = page.properties?.Slug?.rich_text?.[0]?.plain_text;
+        // Canonical slug: custom Slug property if set, otherwise title-derived
+        const post = readPostProperties(page);
 
-        // Generate title-derived slug as fallback
-        const titleSlug = title
-          .toLowerCase()
-          .replace(/[^a-z0-9]+/g, '-')
-          .replace(/^-+|-+$/g, '');
-
-        // Match: if customSlug exists, only match against it; otherwise match against titleSlug
-        if ((customSlug && customSlug === slug) || (!customSlug && titleSlug === slug)) {
-          targetPageId = pageId;
-          pageTitle = title;
+        if (post.slug === slug) {
+          targetPageId = entry.id;
+          pageTitle = post.title;
           targetPage = page;
-          // Store the canonical slug (custom slug takes priority)
-          resolvedSlug = customSlug || titleSlug;
+          resolvedSlug = post.slug;
           break;
         }
       } catch (error) {
-        console.error(`Error checking page ${pageId}:`, error);
+        console.error(`Error checking page ${entry.id}:`, error);
         continue;
       }
     }
 
     if (!targetPageId) {
+      // Retitled or re-slugged post - send the client to its current URL
+      const redirect = await findSlugRedirect([`/blog/${slug}`]);
+      if (redirect) {
+        return slugRedirectResponse(redirect, headers);
+      }
+
       return {
         statusCode: 404,
         headers,
@@ -133,26 +103,66 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Get the full page content
-    const page = await notion.pages.retrieve({ page_id: targetPageId });
-    const blocks = await getAllBlocks(notion, targetPageId);
+    // Page properties were already fetched during slug lookup
+    const page = targetPage;
+
+    // Convert Notion blocks to HTML (same renderer as page-detail), reusing the
+    // cached render while the post is unchanged
+    const cache = createCache();
+    let linkResolver = null;
+    const rendered = await cache.wrap(`blog-html:${targetPageId}`, page.last_edited_time, async () => {
+      const [blocks, resolver] = await Promise.all([
+        getAllBlocks(notion, targetPageId),
+        loadLinkResolver(notion)
+      ]);
+      linkResolver = resolver;
+      const imageBlock = blocks.find(block => block.type === 'image');
+      return {
+        content: await blocksToHtml(notion, blocks, { linkResolver, page, deferBlocks: true }),
+        firstImage: imageBlock ? getBlockFileUrl(imageBlock) : null
+      };
+    });
 
-    // Convert Notion blocks to HTML
-    const content = await blocksToHtml(blocks);
+    // Inline databases are rendered on every request - their rows change without the post
+    const { firstImage } = rendered;
+    const content = hasDeferredBlocks(rendered.content)
+      ? await fillDeferredBlocks(notion, rendered.content, {
+        linkResolver: linkResolver || await loadLinkResolver(notion),
+        page
+      })
+      : rendered.content;
 
-    // Extract metadata
-    const publishedDate = page.created_time;
+    // Extract metadata (matches blog-list fields)
+    const { publishDate, metaTitle, metaDescription } = readPostProperties(page);
+    const publishedDate = publishDate || page.created_time;
     const lastEditedDate = page.last_edited_time;
 
+    // Extract icon
+    const icon = getPageIcon(page);
+
+    // Extract cover
+    const cover = getPageCover(page);
+
+    // Extract hero image from cover or first image block
+    const heroImage = cover || firstImage;
+
+    notion.logStats('blog-detail');
+
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...cache.getHeaders(), ...notion.getHeaders() },
       body: JSON.stringify({
         id: targetPageId,
         title: pageTitle,
+        icon,
+        cover,
+        heroImage,
         content,
+        metaTitle,
+        metaDescription,
         publishedDate,
         lastEditedDate,
+        noIndex: isNoIndex(page),
         slug: resolvedSlug,
         url: `/blog/${resolvedSlug}`
       })
@@ -182,144 +192,3 @@ exports.handler = async (event, context) => {
     };
   }
 };
-
-// Helper function to get all blocks (handles pagination)
-async function getAllBlocks(notion, blockId) {
-  let allBlocks = [];
-  let hasMore = true;
-  let nextCursor = undefined;
-
-  while (hasMore) {
-    const response = await notion.blocks.children.list({
-      block_id: blockId,
-      start_cursor: nextCursor,
-      page_size: 100
-    });
-
-    allBlocks = allBlocks.concat(response.results);
-    hasMore = response.has_more;
-    nextCursor = response.next_cursor;
-  }
-
-  return allBlocks;
-}
-
-// Helper function to convert Notion blocks to HTML
-async function blocksToHtml(blocks) {
-  let html = '';
-
-  for (const block of blocks) {
-    switch (block.type) {
-      case 'paragraph':
-        const paragraphText = richTextToHtml(block.paragraph.rich_text);
-        if (paragraphText.trim()) {
-          html += `<p>${paragraphText}</p>\n`;
-        }
-        break;
-
-      case 'heading_1':
-        const h1Text = richTextToHtml(block.heading_1.rich_text);
-        html += `<h1>${h1Text}</h1>\n`;
-        break;
-
-      case 'heading_2':
-        const h2Text = richTextToHtml(block.heading_2.rich_text);
-        html += `<h2>${h2Text}</h2>\n`;
-        break;
-
-      case 'heading_3':
-        const h3Text = richTextToHtml(block.heading_3.rich_text);
-        html += `<h3>${h3Text}</h3>\n`;
-        break;
-
-      case 'bulleted_list_item':
-        const bulletText = richTextToHtml(block.bulleted_list_item.rich_text);
-        html += `<ul><li>${bulletText}</li></ul>\n`;
-        break;
-
-      case 'numbered_list_item':
-        const numberedText = richTextToHtml(block.numbered_list_item.rich_text);
-        html += `<ol><li>${numberedText}</li></ol>\n`;
-        break;
-
-      case 'image':
-        const imageUrl = block.image?.file?.url || block.image?.external?.url;
-        const caption = block.image?.caption ? richTextToHtml(block.image.caption) : '';
-        if (imageUrl) {
-          html += `<figure class="blog-image">
-            <img src="${imageUrl}" alt="${caption}" loading="lazy">
-            ${caption ? `<figcaption>${caption}</figcaption>` : ''}
-          </figure>\n`;
-        }
-        break;
-
-      case 'quote':
-        const quoteText = richTextToHtml(block.quote.rich_text);
-        html += `<blockquote>${quoteText}</blockquote>\n`;
-        break;
-
-      case 'code':
-        const codeText = richTextToHtml(block.code.rich_text);
-        const language = block.code.language || 'text';
-        html += `<pre><code class="language-${language}">${escapeHtml(codeText)}</code></pre>\n`;
-        break;
-
-      case 'divider':
-        html += `<hr>\n`;
-        break;
-
-      default:
-        // Handle unsupported blocks gracefully
-        console.log(`Unsupported block type: ${block.type}`);
-        break;
-    }
-  }
-
-  return html;
-}
-
-// Helper function to convert rich text to HTML
-function richTextToHtml(richText) {
-  if (!richText || !Array.isArray(richText)) return '';
-
-  return richText.map(text => {
-    let html = escapeHtml(text.plain_text);
-
-    // Apply formatting
-    if (text.annotations?.bold) {
-      html = `<strong>${html}</strong>`;
-    }
-    if (text.annotations?.italic) {
-      html = `<em>${html}</em>`;
-    }
-    if (text.annotations?.strikethrough) {
-      html = `<del>${html}</del>`;
-    }
-    if (text.annotations?.underline) {
-      html = `<u>${html}</u>`;
-    }
-    if (text.annotations?.code) {
-      html = `<code>${html}</code>`;
-    }
-
-    // Handle links
-    if (text.href) {
-      html = `<a href="${text.href}" target="_blank" rel="noopener noreferrer">${html}</a>`;
-    }
-
-    return html;
-  }).join('');
-}
-
-// Helper function to escape HTML
-function escapeHtml(text) {
-  const map = {
-    '&': '&amp;',
-    '<': '&lt;',
-    '>': '&gt;',
-    '"': '&quot;',
-    "'": '&#039;'
-  };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
-
@@ -1,15 +1,25 @@
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('./lib/notion-client');
+const { createCache } = require('./lib/cache');
+const { recordSlugs } = require('./lib/slug-registry');
+const { isBlogConfigured, listBlogPosts, readPostProperties } = require('./lib/blog-source');
+const { getPageIcon, getPageCover, getBlockFileUrl } = require('./lib/assets');
+const SITE_CONFIG = require('../../js/config');
+
+// Posts per page when ?page= is given without ?limit=
+const DEFAULT_PAGE_SIZE = SITE_CONFIG.blog?.postsPerPage || 12;
+const MAX_PAGE_SIZE = 100;
 
 /**
  * Blog List Function
- * Returns all published blog posts with support for:
+ * Returns all published blog posts - the child pages of NOTION_BLOG_PAGE_ID,
+ * or the rows of NOTION_BLOG_DB_ID (see lib/blog-source.js) - with support for:
  * - Draft/Published status filtering
  * - Custom slug override
  * - Pinned/Featured posts
  * - Custom sort order
  * - SEO metadata
  *
- * Notion Page Properties (optional):
+ * Notion Page Properties (optional, names configurable in SITE_CONFIG.blog.properties):
  * - Status (select): Draft | Published | Scheduled
  * - Slug (text): Custom URL slug
  * - Pinned (checkbox): Pin to top of list
@@ -17,6 +27,18 @@ const { Client } = require('@notionhq/client');
  * - Sort Order (number): Custom sort priority
  * - Publish Date (date): Scheduled publish date
  * - Meta Description (text): SEO description
+ * - Tags (multi-select): Post tags, listed at /blog/tag/:tag
+ * - Category (select): Post category, listed at /blog/category/:category
+ *
+ * Query Parameters:
+ * - tag: Only posts with this tag (name or slug, case-insensitive)
+ * - category: Only posts in this category (name or slug, case-insensitive)
+ * - page: Page number, starting at 1 (used with limit)
+ * - limit: Posts per page, 1-100 (default: SITE_CONFIG.blog.postsPerPage with ?page=, otherwise all posts)
+ * - preview: PREVIEW_SECRET, to include drafts and scheduled posts
+ *
+ * Post summaries are cached per page and reused until last_edited_time changes.
+ * Status filtering runs on every request so scheduled posts appear on time.
  */
 exports.handler = async (event, context) => {
   // Set CORS headers
@@ -48,146 +70,51 @@ exports.handler = async (event, context) => {
 
   try {
     // Initialize Notion client
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
-
-    // Get the Blog page ID from environment variable
-    const blogPageId = process.env.NOTION_BLOG_PAGE_ID;
+    const notion = createNotionClient();
 
-    if (!blogPageId) {
+    if (!isBlogConfigured()) {
       return {
         statusCode: 503,
         headers,
         body: JSON.stringify({
           error: 'Blog not configured',
-          message: 'NOTION_BLOG_PAGE_ID environment variable not set'
+          message: 'NOTION_BLOG_PAGE_ID or NOTION_BLOG_DB_ID environment variable not set'
         })
       };
     }
 
     // Check for preview mode (allows viewing drafts)
     // Only enable preview when PREVIEW_SECRET is set AND matches the provided value
-    const { preview } = event.queryStringParameters || {};
+    const { preview, tag, category, page, limit } = event.queryStringParameters || {};
     const isPreviewMode = !!(process.env.PREVIEW_SECRET && preview && preview === process.env.PREVIEW_SECRET);
 
-    // Get all child pages of the Blog page
-    const response = await notion.blocks.children.list({
-      block_id: blogPageId,
-      page_size: 100
-    });
+    const cache = createCache();
 
-    // Filter for child pages and get their details
-    const childPageIds = response.results
-      .filter(block => block.type === 'child_page')
-      .map(block => block.id);
+    // Child pages of the Blog page, or rows of the blog database (drafts and
+    // future scheduled rows are already filtered out by the query)
+    const entries = await listBlogPosts(notion, { includeUnpublished: isPreviewMode });
 
-    // Get detailed information for each blog post
-    const blogPosts = await Promise.all(
-      childPageIds.map(async (pageId) => {
+    // Get details for each blog post, reusing cached summaries for unchanged pages
+    const allPosts = await Promise.all(
+      entries.map(async (entry) => {
         try {
-          // Get page properties
-          const page = await notion.pages.retrieve({ page_id: pageId });
-
-          // Extract status (default to Published if not set)
-          const status = page.properties?.Status?.select?.name || 'Published';
-
-          // Check publish date for scheduled posts
-          const publishDate = page.properties?.['Publish Date']?.date?.start;
-          const now = new Date();
-
-          // Filter out drafts and scheduled posts (unless in preview mode)
-          if (!isPreviewMode) {
-            if (status === 'Draft') return null;
-            if (status === 'Scheduled' && publishDate && new Date(publishDate) > now) return null;
-          }
-
-          // Get page content to extract description and hero image
-          const blocks = await notion.blocks.children.list({
-            block_id: pageId,
-            page_size: 10 // Just get first few blocks for preview
-          });
-
-          // Extract title from page properties (concatenate all segments)
-          let title = 'Untitled Post';
-          const titleProp = page.properties?.title || page.properties?.Name;
-          if (titleProp?.title && Array.isArray(titleProp.title)) {
-            title = titleProp.title.map(t => t.plain_text || '').join('').trim() || 'Untitled Post';
-          }
-
-          // Check for custom slug property
-          const customSlug = page.properties?.Slug?.rich_text?.[0]?.plain_text;
-
-          // Create URL-friendly slug (use custom or generate from title)
-          const slug = customSlug ||
-            title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-
-          // Extract description from Meta Description property or first paragraph
-          let description = '';
-          const metaDesc = page.properties?.['Meta Description']?.rich_text?.[0]?.plain_text;
-
-          if (metaDesc) {
-            description = metaDesc;
-          } else {
-            const firstParagraph = blocks.results.find(block =>
-              block.type === 'paragraph' &&
-              block.paragraph?.rich_text?.length > 0
-            );
-
-            if (firstParagraph) {
-              description = firstParagraph.paragraph.rich_text
-                .map(text => text.plain_text)
-                .join('')
-                .substring(0, 200) + '...';
-            }
-          }
-
-          // Extract hero image from first image block or cover
-          let heroImage = null;
-          if (page.cover) {
-            heroImage = page.cover.external?.url || page.cover.file?.url;
-          } else {
-            const firstImage = blocks.results.find(block => block.type === 'image');
-            if (firstImage) {
-              heroImage = firstImage.image?.file?.url || firstImage.image?.external?.url;
-            }
-          }
-
-          // Extract additional properties for sorting and featuring
-          const isPinned = page.properties?.Pinned?.checkbox || false;
-          const isFeatured = page.properties?.Featured?.checkbox || false;
-          const sortOrder = page.properties?.['Sort Order']?.number || 0;
-
-          // Extract icon
-          let icon = null;
-          if (page.icon) {
-            if (page.icon.type === 'emoji') icon = page.icon.emoji;
-            else if (page.icon.type === 'external') icon = page.icon.external.url;
-            else if (page.icon.type === 'file') icon = page.icon.file.url;
-          }
-
-          return {
-            id: pageId,
-            title,
-            description,
-            heroImage,
-            icon,
-            slug,
-            status,
-            isPinned,
-            isFeatured,
-            sortOrder,
-            publishedDate: publishDate || page.created_time,
-            lastEditedDate: page.last_edited_time,
-            url: `/blog/${slug}`
-          };
+          return await cache.wrap(`blog-post:${entry.id}`, entry.last_edited_time, () => getPostSummary(notion, entry.id, entry.page));
         } catch (error) {
-          console.error(`Error fetching page ${pageId}:`, error);
+          console.error(`Error fetching page ${entry.id}:`, error);
           return null;
         }
       })
     );
 
+    // Filter out drafts and scheduled posts (unless in preview mode)
+    const now = new Date();
+    const blogPosts = allPosts.map(post => {
+      if (!post || isPreviewMode) return post;
+      if (post.status === 'Draft') return null;
+      if (post.status === 'Scheduled' && post.publishDate && new Date(post.publishDate) > now) return null;
+      return post;
+    });
+
     // Filter out null results and sort
     const validPosts = blogPosts
       .filter(post => post !== null)
@@ -200,16 +127,50 @@ exports.handler = async (event, context) => {
         return new Date(b.publishedDate) - new Date(a.publishedDate);
       });
 
+    // Remember each published post's URL so retired slugs can redirect (see
+    // lib/slug-registry.js). Preview lists include drafts, which have no public URL yet.
+    if (!isPreviewMode) {
+      await recordSlugs(validPosts, { source: 'blog-list' });
+    }
+
+    // Tag and category counts cover every visible post, before filtering
+    const tags = countTerms(validPosts.flatMap(post => post.tags || []));
+    const categories = countTerms(validPosts.map(post => post.category).filter(Boolean));
+
+    // Filter by tag or category (matched by slug, so names and slugs both work)
+    const tagSlug = tag ? slugify(tag) : null;
+    const categorySlug = category ? slugify(category) : null;
+    const filteredPosts = validPosts.filter(post => {
+      if (tagSlug && !(post.tags || []).some(name => slugify(name) === tagSlug)) return false;
+      if (categorySlug && slugify(post.category || '') !== categorySlug) return false;
+      return true;
+    });
+
     // Separate featured posts
-    const featuredPosts = validPosts.filter(p => p.isFeatured);
+    const featuredPosts = filteredPosts.filter(p => p.isFeatured);
+
+    // Paginate (only when limit or page is given - otherwise return every post)
+    const pagination = paginate(filteredPosts.length, { page, limit });
+    const pagePosts = pagination
+      ? filteredPosts.slice((pagination.page - 1) * pagination.limit, pagination.page * pagination.limit)
+      : filteredPosts;
+
+    notion.logStats('blog-list');
 
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...cache.getHeaders(), ...notion.getHeaders() },
       body: JSON.stringify({
-        posts: validPosts,
+        posts: pagePosts,
         featured: featuredPosts,
-        total: validPosts.length,
+        total: filteredPosts.length,
+        pagination,
+        tags,
+        categories,
+        filter: {
+          tag: tagSlug ? (tags.find(item => item.slug === tagSlug) || { name: tag, slug: tagSlug, count: 0 }) : null,
+          category: categorySlug ? (categories.find(item => item.slug === categorySlug) || { name: category, slug: categorySlug, count: 0 }) : null
+        },
         lastUpdated: new Date().toISOString()
       })
     };
@@ -224,7 +185,7 @@ exports.handler = async (event, context) => {
       errorMessage = 'Blog integration not configured properly';
       statusCode = 503;
     } else if (error.code === 'object_not_found') {
-      errorMessage = 'Blog page not found';
+      errorMessage = process.env.NOTION_BLOG_DB_ID ? 'Blog database not found' : 'Blog page not found';
       statusCode = 503;
     }
 
@@ -239,3 +200,131 @@ exports.handler = async (event, context) => {
   }
 };
 
+/**
+ * Build the list summary for a single blog post
+ * Returns unfiltered data (status and publish date included) so it can be cached.
+ * @param {Object} page - Page object when already fetched (database rows)
+ */
+async function getPostSummary(notion, pageId, page = null) {
+  // Get page properties (database rows come with them)
+  if (!page) {
+    page = await notion.pages.retrieve({ page_id: pageId });
+  }
+
+  // Title, slug (custom or from the title), status, dates, pinning, tags...
+  const {
+    title,
+    slug,
+    status,
+    publishDate,
+    isPinned,
+    isFeatured,
+    sortOrder,
+    tags,
+    category,
+    metaDescription
+  } = readPostProperties(page);
+
+  // Get the first few blocks for the description and hero image, if the
+  // properties don't provide them
+  const blocks = metaDescription && page.cover
+    ? { results: [] }
+    : await notion.blocks.children.list({
+      block_id: pageId,
+      page_size: 10 // Just get first few blocks for preview
+    });
+
+  // Extract description from Meta Description property or first paragraph
+  let description = '';
+
+  if (metaDescription) {
+    description = metaDescription;
+  } else {
+    const firstParagraph = blocks.results.find(block =>
+      block.type === 'paragraph' &&
+      block.paragraph?.rich_text?.length > 0
+    );
+
+    if (firstParagraph) {
+      description = firstParagraph.paragraph.rich_text
+        .map(text => text.plain_text)
+        .join('')
+        .substring(0, 200) + '...';
+    }
+  }
+
+  // Extract hero image from first image block or cover
+  let heroImage = null;
+  if (page.cover) {
+    heroImage = getPageCover(page);
+  } else {
+    const firstImage = blocks.results.find(block => block.type === 'image');
+    if (firstImage) {
+      heroImage = getBlockFileUrl(firstImage);
+    }
+  }
+
+  // Extract icon
+  const icon = getPageIcon(page);
+
+  return {
+    id: pageId,
+    title,
+    description,
+    heroImage,
+    icon,
+    slug,
+    status,
+    isPinned,
+    isFeatured,
+    sortOrder,
+    tags,
+    category,
+    publishDate: publishDate || null,
+    publishedDate: publishDate || page.created_time,
+    lastEditedDate: page.last_edited_time,
+    url: `/blog/${slug}`
+  };
+}
+
+/**
+ * URL-friendly form of a tag or category name
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Count tag or category names -> [{ name, slug, count }], most used first
+ */
+function countTerms(names) {
+  const counts = new Map();
+  for (const name of names) {
+    const slug = slugify(name);
+    if (!slug) continue;
+    const entry = counts.get(slug) || { name, slug, count: 0 };
+    entry.count++;
+    counts.set(slug, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolve ?page= and ?limit= against the number of posts
+ * @returns {Object|null} { page, limit, totalPages, hasNext, hasPrev }, or null when not paginating
+ */
+function paginate(total, { page, limit }) {
+  if (page === undefined && limit === undefined) return null;
+
+  const perPage = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const totalPages = Math.max(Math.ceil(total / perPage), 1);
+  const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+  return {
+    page: current,
+    limit: perPage,
+    totalPages,
+    hasNext: current < totalPages,
+    hasPrev: current > 1
+  };
+}
@@ -0,0 +1,116 @@
+const { createNotionClient } = require('./lib/notion-client');
+const { createCache } = require('./lib/cache');
+const { auditContent, renderAuditHtml } = require('./lib/content-audit');
+
+/**
+ * Content Audit Function
+ * Reports SEO and accessibility problems across all pages: missing meta
+ * properties, images without captions, skipped heading levels, duplicate
+ * URLs, empty pages, scheduled pages without a Publish Date and unsupported
+ * blocks. See lib/content-audit.js for the rules.
+ *
+ * Large workspaces can exceed the function timeout on the first run - use
+ * `npm run content-audit` (scripts/audit.js) instead, or a persistent CACHE_BACKEND
+ * so later runs only re-read edited pages.
+ *
+ * Query Parameters:
+ * - format: json (default) | html
+ * - type: Only audit blog | landing | docs | unknown pages
+ * - preview: PREVIEW_SECRET to include drafts and future scheduled pages
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Notion integration token
+ * - PREVIEW_SECRET: Secret for auditing unpublished content
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache',
+    'X-Robots-Tag': 'noindex'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    if (!process.env.NOTION_TOKEN) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({
+          error: 'Notion not configured',
+          message: 'NOTION_TOKEN environment variable not set'
+        })
+      };
+    }
+
+    const { format = 'json', type, preview } = event.queryStringParameters || {};
+
+    if (format !== 'json' && format !== 'html') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Unknown format "${format}". Use json or html` })
+      };
+    }
+
+    const isPreviewMode = !!(process.env.PREVIEW_SECRET && preview && preview === process.env.PREVIEW_SECRET);
+
+    const notion = createNotionClient();
+    const cache = createCache();
+
+    const report = await auditContent(notion, {
+      cache,
+      type: type || null,
+      includeUnpublished: isPreviewMode
+    });
+
+    notion.logStats('content-audit');
+
+    if (format === 'html') {
+      return {
+        statusCode: 200,
+        headers: { ...headers, ...cache.getHeaders(), ...notion.getHeaders(), 'Content-Type': 'text/html; charset=utf-8' },
+        body: renderAuditHtml(report)
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cache.getHeaders(), ...notion.getHeaders() },
+      body: JSON.stringify(report)
+    };
+
+  } catch (error) {
+    console.error('Error auditing content:', error);
+
+    let errorMessage = 'Failed to audit content';
+    let statusCode = 500;
+
+    if (error.code === 'unauthorized') {
+      errorMessage = 'Notion integration not configured properly';
+      statusCode = 503;
+    }
+
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({
+        error: errorMessage,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
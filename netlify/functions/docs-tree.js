@@ -1,4 +1,7 @@
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('./lib/notion-client');
+const { createCache } = require('./lib/cache');
+const { getPageIcon } = require('./lib/assets');
+const { recordSlugs } = require('./lib/slug-registry');
 
 /**
  * Docs Tree Function
@@ -16,6 +19,8 @@ const { Client } = require('@notionhq/client');
  * - Sort Order (number): Custom sort priority (higher = first)
  * - Nav Title (text): Shorter title for sidebar navigation
  * - Publish Date (date): Scheduled publish date (for Scheduled status)
+ *
+ * Page summaries are cached per page and reused until last_edited_time changes.
  */
 exports.handler = async (event, context) => {
   const headers = {
@@ -63,9 +68,7 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
+    const notion = createNotionClient();
 
     // Check for preview mode
     // Only enable preview when PREVIEW_SECRET is set AND matches the provided value
@@ -73,11 +76,21 @@ exports.handler = async (event, context) => {
     const isPreviewMode = !!(process.env.PREVIEW_SECRET && preview && preview === process.env.PREVIEW_SECRET);
 
     // Build tree recursively starting from docs root
-    const tree = await buildDocsTree(notion, docsPageId, isPreviewMode, 0);
+    const cache = createCache();
+    const tree = await buildDocsTree(notion, cache, docsPageId, isPreviewMode, 0);
+
+    // Remember each doc's URL so retired slugs can redirect (see lib/slug-registry.js).
+    // Preview trees include drafts, which have no public URL yet.
+    if (!isPreviewMode) {
+      const flatten = (items) => items.flatMap(item => [item, ...flatten(item.children || [])]);
+      await recordSlugs(flatten(tree), { source: 'docs-tree' });
+    }
+
+    notion.logStats('docs-tree');
 
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...cache.getHeaders(), ...notion.getHeaders() },
       body: JSON.stringify({
         tree,
         rootId: docsPageId,
@@ -113,7 +126,7 @@ exports.handler = async (event, context) => {
 /**
  * Recursively build the docs tree from a parent page
  */
-async function buildDocsTree(notion, parentId, isPreviewMode, depth) {
+async function buildDocsTree(notion, cache, parentId, isPreviewMode, depth) {
   // Limit depth to prevent infinite recursion
   const MAX_DEPTH = 5;
   if (depth > MAX_DEPTH) {
@@ -150,62 +163,26 @@ async function buildDocsTree(notion, parentId, isPreviewMode, depth) {
     const items = await Promise.all(
       childPages.map(async (block) => {
         try {
-          const page = await notion.pages.retrieve({ page_id: block.id });
-
-          // Extract status
-          const status = page.properties?.Status?.select?.name || 'Published';
-
-          // Check publish date for scheduled docs
-          const publishDate = page.properties?.['Publish Date']?.date?.start;
-          const now = new Date();
+          // Reuse the cached summary while the page is unchanged
+          const doc = await cache.wrap(`docs-page:${block.id}`, block.last_edited_time, () => getDocSummary(notion, block));
 
           // Filter drafts and scheduled docs (unless in preview mode)
           if (!isPreviewMode) {
-            if (status === 'Draft') return null;
+            if (doc.status === 'Draft') return null;
             // For Scheduled status, only show if publish date has arrived
-            if (status === 'Scheduled') {
-              if (!publishDate || new Date(publishDate) > now) return null;
+            if (doc.status === 'Scheduled') {
+              if (!doc.publishDate || new Date(doc.publishDate) > new Date()) return null;
             }
           }
 
-          // Extract title
-          let title = block.child_page?.title || 'Untitled';
-          const titleProp = page.properties?.title || page.properties?.Name;
-          if (titleProp?.title && Array.isArray(titleProp.title)) {
-            title = titleProp.title.map(t => t.plain_text || '').join('').trim() || title;
-          }
-
-          // Extract nav title (shorter title for sidebar)
-          const navTitle = page.properties?.['Nav Title']?.rich_text?.[0]?.plain_text || title;
-
-          // Extract custom slug
-          const customSlug = page.properties?.Slug?.rich_text?.[0]?.plain_text;
-          const slug = customSlug ||
-            title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
-
-          // Extract sort order
-          const sortOrder = page.properties?.['Sort Order']?.number || 0;
-
-          // Extract icon
-          let icon = null;
-          if (page.icon) {
-            if (page.icon.type === 'emoji') icon = page.icon.emoji;
-            else if (page.icon.type === 'external') icon = page.icon.external.url;
-            else if (page.icon.type === 'file') icon = page.icon.file.url;
-          }
-
-          // Recursively get children
-          const children = await buildDocsTree(notion, block.id, isPreviewMode, depth + 1);
+          // Recursively get children (pages without content blocks can't have sub-pages)
+          const children = block.has_children === false
+            ? []
+            : await buildDocsTree(notion, cache, block.id, isPreviewMode, depth + 1);
 
+          const { publishDate, ...item } = doc;
           return {
-            id: block.id,
-            title,
-            navTitle,
-            slug,
-            icon,
-            status,
-            sortOrder,
-            url: `/docs/${slug}`,
+            ...item,
             hasChildren: children.length > 0,
             children
           };
@@ -230,3 +207,50 @@ async function buildDocsTree(notion, parentId, isPreviewMode, depth) {
     return [];
   }
 }
+
+/**
+ * Build the sidebar summary for a single docs page
+ * Returns unfiltered data (status and publish date included) so it can be cached.
+ */
+async function getDocSummary(notion, block) {
+  const page = await notion.pages.retrieve({ page_id: block.id });
+
+  // Extract status
+  const status = page.properties?.Status?.select?.name || 'Published';
+
+  // Publish date for scheduled docs
+  const publishDate = page.properties?.['Publish Date']?.date?.start || null;
+
+  // Extract title
+  let title = block.child_page?.title || 'Untitled';
+  const titleProp = page.properties?.title || page.properties?.Name;
+  if (titleProp?.title && Array.isArray(titleProp.title)) {
+    title = titleProp.title.map(t => t.plain_text || '').join('').trim() || title;
+  }
+
+  // Extract nav title (shorter title for sidebar)
+  const navTitle = page.properties?.['Nav Title']?.rich_text?.[0]?.plain_text || title;
+
+  // Extract custom slug
+  const customSlug = page.properties?.Slug?.rich_text?.[0]?.plain_text;
+  const slug = customSlug ||
+    title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+  // Extract sort order
+  const sortOrder = page.properties?.['Sort Order']?.number || 0;
+
+  // Extract icon
+  const icon = getPageIcon(page);
+
+  return {
+    id: block.id,
+    title,
+    navTitle,
+    slug,
+    icon,
+    status,
+    publishDate,
+    sortOrder,
+    url: `/docs/${slug}`
+  };
+}
@@ -0,0 +1,282 @@
+const blogList = require('./blog-list');
+const blogDetail = require('./blog-detail');
+const { invokeHandler } = require('./lib/invoke');
+const { getSiteUrl } = require('./lib/site-url');
+const { escapeXml } = require('./lib/xml');
+const SITE_CONFIG = require('../../js/config');
+
+/**
+ * Feed Function
+ * Serves the blog as RSS 2.0, Atom 1.0 and JSON Feed 1.1, newest first.
+ *
+ * Posts come from blog-list, so drafts and scheduled posts are filtered
+ * exactly as on the blog page (preview mode is never applied). Each entry
+ * carries the title, description, publish date and hero image (as an
+ * enclosure). With full content enabled, the post body is rendered by
+ * blog-detail and included as HTML.
+ *
+ * Routes (see netlify.toml):
+ * - /blog/feed.xml   -> /.netlify/functions/feed/feed.xml   (RSS)
+ * - /blog/atom.xml   -> /.netlify/functions/feed/atom.xml   (Atom)
+ * - /blog/feed.json  -> /.netlify/functions/feed/feed.json  (JSON Feed)
+ *
+ * Query Parameters:
+ * - content: "full" or "summary" - override SITE_CONFIG.blog.feedFullContent
+ *
+ * Settings (js/config.js):
+ * - blog.feedItems: Number of posts in the feed (default: 20)
+ * - blog.feedFullContent: Include the full post HTML (default: false)
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN, NOTION_BLOG_PAGE_ID or NOTION_BLOG_DB_ID: Used by blog-list and blog-detail
+ * - SITE_URL: Site origin for absolute URLs (default: Netlify's URL, then the request host)
+ */
+
+const FORMATS = {
+  'feed.xml': { render: renderRss, contentType: 'application/rss+xml; charset=utf-8' },
+  'atom.xml': { render: renderAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  'feed.json': { render: renderJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'public, max-age=900' // Cache for 15 minutes
+  };
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 405,
+      headers: { ...headers, 'Content-Type': 'text/plain', Allow: 'GET, HEAD' },
+      body: 'Method not allowed'
+    };
+  }
+
+  // Format from the last path segment (defaults to RSS)
+  const requested = (event.path || '').split('/').filter(Boolean).pop();
+  const formatName = FORMATS[requested] ? requested : 'feed.xml';
+  const format = FORMATS[formatName];
+
+  try {
+    const { content } = event.queryStringParameters || {};
+    const fullContent = content ? content === 'full' : !!SITE_CONFIG.blog?.feedFullContent;
+    const baseUrl = getSiteUrl(event);
+
+    const { posts = [] } = await invokeHandler(blogList.handler, {}, { name: 'blog-list' });
+
+    // Newest first - pinned posts and sort order only apply to the blog page
+    const items = posts
+      .slice()
+      .sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate))
+      .slice(0, SITE_CONFIG.blog?.feedItems || 20);
+
+    if (fullContent) {
+      await Promise.all(items.map(async (post) => {
+        try {
+          const detail = await invokeHandler(blogDetail.handler, { slug: post.slug }, { name: 'blog-detail' });
+          post.content = absolutizeUrls(detail.content, baseUrl);
+        } catch (error) {
+          // Keep the entry with its description only
+          console.error(`Error rendering feed content for ${post.slug}:`, error);
+        }
+      }));
+    }
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Content-Type': format.contentType },
+      body: format.render(items, { baseUrl, feedUrl: `${baseUrl}/blog/${formatName}` })
+    };
+
+  } catch (error) {
+    console.error('Error generating feed:', error);
+
+    let errorMessage = 'Failed to generate feed';
+    let statusCode = 500;
+
+    // blog-list reports a missing or misconfigured blog as 503
+    if (error.statusCode === 503) {
+      errorMessage = 'Blog not configured';
+      statusCode = 503;
+    }
+
+    return {
+      statusCode,
+      headers: { ...headers, 'Content-Type': 'text/plain', 'Cache-Control': 'no-cache' },
+      body: process.env.NODE_ENV === 'development' ? `${errorMessage}: ${error.message}` : errorMessage
+    };
+  }
+};
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+function renderRss(posts, { baseUrl, feedUrl }) {
+  const items = posts.map(post => {
+    const url = absoluteUrl(post.url, baseUrl);
+    const image = absoluteUrl(post.heroImage, baseUrl);
+
+    return [
+      '    <item>',
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${escapeXml(url)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(url)}</guid>`,
+      `      <pubDate>${toRfc822(post.publishedDate)}</pubDate>`,
+      post.description ? `      <description>${escapeXml(post.description)}</description>` : null,
+      post.content ? `      <content:encoded>${cdata(post.content)}</content:encoded>` : null,
+      image ? `      <enclosure url="${escapeXml(image)}" length="0" type="${guessImageType(post.heroImage)}"/>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  const lastBuildDate = latestDate(posts);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    <title>${escapeXml(feedTitle())}</title>`,
+    `    <link>${escapeXml(`${baseUrl}/blog`)}</link>`,
+    `    <description>${escapeXml(feedDescription())}</description>`,
+    `    <language>${escapeXml(SITE_CONFIG.blog?.dateLocale || 'en-US')}</language>`,
+    `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    lastBuildDate ? `    <lastBuildDate>${toRfc822(lastBuildDate)}</lastBuildDate>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function renderAtom(posts, { baseUrl, feedUrl }) {
+  const entries = posts.map(post => {
+    const url = absoluteUrl(post.url, baseUrl);
+    const image = absoluteUrl(post.heroImage, baseUrl);
+
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+      `    <id>${escapeXml(url)}</id>`,
+      `    <published>${toIso(post.publishedDate)}</published>`,
+      `    <updated>${toIso(post.lastEditedDate || post.publishedDate)}</updated>`,
+      post.description ? `    <summary>${escapeXml(post.description)}</summary>` : null,
+      post.content ? `    <content type="html">${escapeXml(post.content)}</content>` : null,
+      image ? `    <link rel="enclosure" type="${guessImageType(post.heroImage)}" href="${escapeXml(image)}"/>` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feedTitle())}</title>`,
+    `  <subtitle>${escapeXml(feedDescription())}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(`${baseUrl}/blog`)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    `  <id>${escapeXml(`${baseUrl}/blog`)}</id>`,
+    `  <updated>${toIso(latestDate(posts) || new Date())}</updated>`,
+    `  <author><name>${escapeXml(SITE_CONFIG.siteName || 'Notion CMS')}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function renderJsonFeed(posts, { baseUrl, feedUrl }) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feedTitle(),
+    home_page_url: `${baseUrl}/blog`,
+    feed_url: feedUrl,
+    description: feedDescription(),
+    language: SITE_CONFIG.blog?.dateLocale || 'en-US',
+    authors: [{ name: SITE_CONFIG.siteName || 'Notion CMS' }],
+    items: posts.map(post => {
+      const image = absoluteUrl(post.heroImage, baseUrl);
+      return {
+        id: absoluteUrl(post.url, baseUrl),
+        url: absoluteUrl(post.url, baseUrl),
+        title: post.title,
+        summary: post.description || undefined,
+        content_html: post.content || undefined,
+        content_text: post.content ? undefined : (post.description || post.title),
+        image: image || undefined,
+        attachments: image ? [{ url: image, mime_type: guessImageType(post.heroImage) }] : undefined,
+        date_published: toIso(post.publishedDate),
+        date_modified: toIso(post.lastEditedDate || post.publishedDate)
+      };
+    })
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function feedTitle() {
+  const siteName = SITE_CONFIG.siteName || 'Notion CMS';
+  const blogTitle = SITE_CONFIG.blog?.title || 'Blog';
+  return `${blogTitle} — ${siteName}`;
+}
+
+function feedDescription() {
+  return SITE_CONFIG.blog?.subtitle || SITE_CONFIG.siteDescription || '';
+}
+
+/**
+ * Make a site-relative URL (e.g. /blog/slug, /api/asset/...) absolute
+ */
+function absoluteUrl(url, baseUrl) {
+  if (!url) return null;
+  if (/^https?:\/\//.test(url)) return url;
+  return url.startsWith('/') ? `${baseUrl}${url}` : url;
+}
+
+/**
+ * Make src/href attributes in rendered HTML absolute - feed readers have no base URL
+ */
+function absolutizeUrls(html, baseUrl) {
+  if (!html || !baseUrl) return html;
+  return html.replace(/(\s(?:src|href|poster)=")\/(?!\/)/g, `$1${baseUrl}/`);
+}
+
+/**
+ * Image MIME type from the file extension (proxied /api/asset URLs have none)
+ */
+function guessImageType(url = '') {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const types = {
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    avif: 'image/avif'
+  };
+  return types[extension] || 'image/jpeg';
+}
+
+function latestDate(posts) {
+  const times = posts
+    .map(post => new Date(post.lastEditedDate || post.publishedDate).getTime())
+    .filter(time => !Number.isNaN(time));
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+function toIso(date) {
+  return new Date(date).toISOString();
+}
+
+function toRfc822(date) {
+  return new Date(date).toUTCString();
+}
+
+/**
+ * Wrap HTML in CDATA, splitting any "]]>" it contains
+ */
+function cdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
@@ -0,0 +1,373 @@
+const { createNotionClient } = require('./lib/notion-client');
+const { getBlogProperties } = require('./lib/blog-source');
+
+/**
+ * Health Function
+ * Checks the Notion configuration in one place instead of leaving it to
+ * each function's 503s: the token works, every configured page ID exists
+ * and is shared with the integration, and the leads database has the
+ * properties submit-to-notion.js writes. Each failed check carries a hint
+ * on how to fix it.
+ *
+ * Responds 200 when nothing failed (unset optional IDs are skipped) and
+ * 503 otherwise, so it can be used as an uptime check.
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Notion integration token
+ * - NOTION_HOMEPAGE_ID, NOTION_BLOG_PAGE_ID, NOTION_DOCS_PAGE_ID,
+ *   NOTION_LANDING_PAGE_ID: Pages to check
+ * - NOTION_BLOG_DB_ID: Blog database to check
+ * - NOTION_DATABASE_ID: Leads database to check
+ * - NOTION_REDIRECTS_DB_ID: Redirects database to check
+ */
+
+// Pages read by the content functions
+const PAGE_CHECKS = [
+  { env: 'NOTION_HOMEPAGE_ID', label: 'Homepage', usedBy: 'the homepage' },
+  { env: 'NOTION_BLOG_PAGE_ID', label: 'Blog page', usedBy: 'the blog, feeds and blog search' },
+  { env: 'NOTION_DOCS_PAGE_ID', label: 'Docs page', usedBy: 'the docs section' },
+  { env: 'NOTION_LANDING_PAGE_ID', label: 'Landing pages parent', usedBy: 'landing pages' }
+];
+
+// Properties submit-to-notion.js writes, with their Notion types
+const LEAD_PROPERTIES = {
+  'Name': 'title',
+  'Email': 'email',
+  'Message': 'rich_text',
+  'Status': 'select',
+  'Source': 'select',
+  'Date Submitted': 'date'
+};
+
+// Redirects database columns read by lib/redirects.js, with the types each may have
+const REDIRECT_PROPERTIES = {
+  'From': { types: ['title', 'rich_text'], required: true },
+  'To': { types: ['rich_text', 'url', 'title'], required: true },
+  'Status code': { types: ['number', 'select'], required: false },
+  'Active': { types: ['checkbox'], required: false }
+};
+
+const SHARE_HINT = 'Open it in Notion, click ••• → Connections → Add connection and select your integration. Sharing a parent page also shares its children.';
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const notion = process.env.NOTION_TOKEN ? createNotionClient() : null;
+
+    const tokenCheck = await checkToken(notion);
+    const tokenWorks = tokenCheck.status === 'pass';
+
+    const checks = [
+      tokenCheck,
+      ...await Promise.all([
+        ...PAGE_CHECKS.map(check => checkPage(notion, check, tokenWorks)),
+        checkBlogDatabase(notion, tokenWorks),
+        checkLeadsDatabase(notion, tokenWorks),
+        checkRedirectsDatabase(notion, tokenWorks)
+      ])
+    ];
+
+    const failed = checks.filter(check => check.status === 'fail').length;
+
+    if (notion) notion.logStats('health');
+
+    return {
+      statusCode: failed > 0 ? 503 : 200,
+      headers: notion ? { ...headers, ...notion.getHeaders() } : headers,
+      body: JSON.stringify({
+        status: failed > 0 ? 'error' : 'ok',
+        checkedAt: new Date().toISOString(),
+        summary: {
+          passed: checks.filter(check => check.status === 'pass').length,
+          failed,
+          skipped: checks.filter(check => check.status === 'skip').length
+        },
+        checks
+      })
+    };
+
+  } catch (error) {
+    console.error('Error running health checks:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Health check failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+async function checkToken(notion) {
+  const name = 'NOTION_TOKEN';
+
+  if (!notion) {
+    return fail(name, 'NOTION_TOKEN is not set',
+      'Create an integration at https://www.notion.so/my-integrations and set its Internal Integration Secret as NOTION_TOKEN in your Netlify environment variables (or .env locally).');
+  }
+
+  try {
+    const bot = await notion.users.me({});
+    const workspace = bot.bot?.workspace_name;
+    return pass(name, workspace ? `Connected to workspace "${workspace}"` : 'Token accepted');
+  } catch (error) {
+    if (error.code === 'unauthorized') {
+      return fail(name, 'Notion rejected the token',
+        'Copy the Internal Integration Secret again from https://www.notion.so/my-integrations - the token may have been regenerated or mistyped.');
+    }
+    return fail(name, `Could not reach Notion (${describeError(error)})`,
+      'Check https://status.notion.so and try again. If this persists, check the function logs.');
+  }
+}
+
+async function checkPage(notion, { env, label, usedBy }, tokenWorks) {
+  const pageId = process.env[env];
+
+  if (!pageId) {
+    return skip(env, `Not set - ${usedBy} will be unavailable`);
+  }
+
+  if (!isValidId(pageId)) {
+    return fail(env, `"${pageId}" is not a Notion ID`,
+      'Use the 32-character ID at the end of the page URL, e.g. notion.so/My-Page-1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d.');
+  }
+
+  if (!tokenWorks) {
+    return skip(env, 'Skipped - fix NOTION_TOKEN first');
+  }
+
+  try {
+    const page = await notion.pages.retrieve({ page_id: pageId });
+
+    if (page.archived || page.in_trash) {
+      return fail(env, `${label} is in the trash`,
+        'Restore the page from Trash in Notion, or point the variable at a different page.');
+    }
+
+    return pass(env, `${label} "${getTitle(page)}" is shared with the integration`);
+  } catch (error) {
+    if (error.code === 'object_not_found') {
+      return fail(env, `${label} not found or not shared with the integration`,
+        `${SHARE_HINT} If it is shared, check that ${env} matches the ID in the page URL.`);
+    }
+    if (error.code === 'validation_error') {
+      return fail(env, `${env} does not point to a page`,
+        'Use the ID of a page, not a database or block. Open the page itself and copy the ID from its URL.');
+    }
+    return fail(env, `Could not check ${label.toLowerCase()} (${describeError(error)})`,
+      'Try again. If this persists, check the function logs.');
+  }
+}
+
+async function checkBlogDatabase(notion, tokenWorks) {
+  const name = 'NOTION_BLOG_DB_ID';
+  const databaseId = process.env.NOTION_BLOG_DB_ID;
+
+  if (!databaseId) {
+    return skip(name, 'Not set - blog posts are the child pages of NOTION_BLOG_PAGE_ID');
+  }
+
+  if (!isValidId(databaseId)) {
+    return fail(name, `"${databaseId}" is not a Notion ID`,
+      'Open the database as a full page and copy the 32-character ID before "?v=" in its URL.');
+  }
+
+  if (!tokenWorks) {
+    return skip(name, 'Skipped - fix NOTION_TOKEN first');
+  }
+
+  let database;
+  try {
+    database = await notion.databases.retrieve({ database_id: databaseId });
+  } catch (error) {
+    if (error.code === 'object_not_found') {
+      return fail(name, 'Blog database not found or not shared with the integration',
+        `${SHARE_HINT} If it is shared, check that NOTION_BLOG_DB_ID is the ID before "?v=" in the database URL.`);
+    }
+    if (error.code === 'validation_error') {
+      return fail(name, 'NOTION_BLOG_DB_ID does not point to a database',
+        'Use the ID of the database itself - for an inline database, open it as a full page first.');
+    }
+    return fail(name, `Could not check blog database (${describeError(error)})`,
+      'Try again. If this persists, check the function logs.');
+  }
+
+  // Every column is optional, so only report which configured ones are missing
+  const properties = database.properties || {};
+  const columns = Object.values(getBlogProperties()).filter(Boolean);
+  const missing = columns.filter(column => !properties[column]);
+
+  return pass(name, `Blog database "${getTitle(database)}" is shared with the integration` +
+    (missing.length > 0 ? ` (optional columns not found: ${missing.join(', ')})` : ''));
+}
+
+async function checkLeadsDatabase(notion, tokenWorks) {
+  const name = 'NOTION_DATABASE_ID';
+  const databaseId = process.env.NOTION_DATABASE_ID;
+
+  if (!databaseId) {
+    return skip(name, 'Not set - the contact form will be unavailable');
+  }
+
+  if (!isValidId(databaseId)) {
+    return fail(name, `"${databaseId}" is not a Notion ID`,
+      'Open the database as a full page and copy the 32-character ID before "?v=" in its URL.');
+  }
+
+  if (!tokenWorks) {
+    return skip(name, 'Skipped - fix NOTION_TOKEN first');
+  }
+
+  let database;
+  try {
+    database = await notion.databases.retrieve({ database_id: databaseId });
+  } catch (error) {
+    if (error.code === 'object_not_found') {
+      return fail(name, 'Leads database not found or not shared with the integration',
+        `${SHARE_HINT} If it is shared, check that NOTION_DATABASE_ID is the ID before "?v=" in the database URL.`);
+    }
+    if (error.code === 'validation_error') {
+      return fail(name, 'NOTION_DATABASE_ID does not point to a database',
+        'Use the ID of the database itself - for an inline database, open it as a full page first.');
+    }
+    return fail(name, `Could not check leads database (${describeError(error)})`,
+      'Try again. If this persists, check the function logs.');
+  }
+
+  const properties = database.properties || {};
+  const missing = [];
+  const wrongType = [];
+
+  for (const [property, type] of Object.entries(LEAD_PROPERTIES)) {
+    if (!properties[property]) {
+      missing.push(`${property} (${type})`);
+    } else if (properties[property].type !== type) {
+      wrongType.push(`${property} is ${properties[property].type}, expected ${type}`);
+    }
+  }
+
+  if (missing.length > 0 || wrongType.length > 0) {
+    const problems = [
+      missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+      wrongType.length > 0 ? wrongType.join('; ') : null
+    ].filter(Boolean).join('; ');
+
+    return fail(name, `Leads database properties don't match: ${problems}`,
+      'Property names are case-sensitive. Add or rename the properties in Notion - see "Notion Database Structure" in docs/07-API-REFERENCE.md.');
+  }
+
+  return pass(name, `Leads database "${getTitle(database)}" has all ${Object.keys(LEAD_PROPERTIES).length} properties`);
+}
+
+async function checkRedirectsDatabase(notion, tokenWorks) {
+  const name = 'NOTION_REDIRECTS_DB_ID';
+  const databaseId = process.env.NOTION_REDIRECTS_DB_ID;
+
+  if (!databaseId) {
+    return skip(name, 'Not set - redirects come from netlify.toml only');
+  }
+
+  if (!isValidId(databaseId)) {
+    return fail(name, `"${databaseId}" is not a Notion ID`,
+      'Open the database as a full page and copy the 32-character ID before "?v=" in its URL.');
+  }
+
+  if (!tokenWorks) {
+    return skip(name, 'Skipped - fix NOTION_TOKEN first');
+  }
+
+  let database;
+  try {
+    database = await notion.databases.retrieve({ database_id: databaseId });
+  } catch (error) {
+    if (error.code === 'object_not_found') {
+      return fail(name, 'Redirects database not found or not shared with the integration',
+        `${SHARE_HINT} If it is shared, check that NOTION_REDIRECTS_DB_ID is the ID before "?v=" in the database URL.`);
+    }
+    if (error.code === 'validation_error') {
+      return fail(name, 'NOTION_REDIRECTS_DB_ID does not point to a database',
+        'Use the ID of the database itself - for an inline database, open it as a full page first.');
+    }
+    return fail(name, `Could not check redirects database (${describeError(error)})`,
+      'Try again. If this persists, check the function logs.');
+  }
+
+  const properties = database.properties || {};
+  const problems = [];
+
+  for (const [property, { types, required }] of Object.entries(REDIRECT_PROPERTIES)) {
+    if (!properties[property]) {
+      if (required) problems.push(`missing ${property} (${types.join(' or ')})`);
+    } else if (!types.includes(properties[property].type)) {
+      problems.push(`${property} is ${properties[property].type}, expected ${types.join(' or ')}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    return fail(name, `Redirects database properties don't match: ${problems.join('; ')}`,
+      'Property names are case-sensitive. Add or rename the properties in Notion - see "Notion Redirects Database" in docs/07-API-REFERENCE.md.');
+  }
+
+  return pass(name, `Redirects database "${getTitle(database)}" has the From and To properties`);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function pass(name, message) {
+  return { name, status: 'pass', message };
+}
+
+function fail(name, message, hint) {
+  return { name, status: 'fail', message, hint };
+}
+
+function skip(name, message) {
+  return { name, status: 'skip', message };
+}
+
+/**
+ * 32 hex characters, with or without dashes
+ */
+function isValidId(id) {
+  return /^[0-9a-f]{32}$/i.test(String(id).replace(/-/g, ''));
+}
+
+function getTitle(object) {
+  // Databases have a title array; pages have a title property
+  if (Array.isArray(object.title)) {
+    return object.title.map(t => t.plain_text).join('') || 'Untitled';
+  }
+  const titleProperty = Object.values(object.properties || {}).find(p => p.type === 'title');
+  return titleProperty?.title?.map(t => t.plain_text).join('') || 'Untitled';
+}
+
+function describeError(error) {
+  return error.code || (error.status ? `HTTP ${error.status}` : error.message);
+}
@@ -1,4 +1,14 @@
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('./lib/notion-client');
+const {
+  blocksToHtml,
+  getAllBlocks,
+  richTextToHtml,
+  richTextToPlain,
+  sanitizeHref
+} = require('./lib/block-renderer');
+const { getPageIcon, getPageCover, getBlockFileUrl } = require('./lib/assets');
+const { highlightCode, parseCodeCaption } = require('./lib/syntax-highlight');
+const { loadLinkResolver } = require('./lib/page-index');
 
 /**
  * Homepage Function
@@ -64,9 +74,7 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
+    const notion = createNotionClient();
 
     // Check for preview mode
     const { preview } = event.queryStringParameters || {};
@@ -100,29 +108,25 @@ exports.handler = async (event, context) => {
     const metaDescription = page.properties?.['Meta Description']?.rich_text?.[0]?.plain_text || '';
 
     // Extract icon
-    let icon = null;
-    if (page.icon) {
-      if (page.icon.type === 'emoji') icon = page.icon.emoji;
-      else if (page.icon.type === 'external') icon = page.icon.external.url;
-      else if (page.icon.type === 'file') icon = page.icon.file.url;
-    }
+    const icon = getPageIcon(page);
 
     // Extract cover
-    let cover = null;
-    if (page.cover) {
-      if (page.cover.type === 'external') cover = page.cover.external.url;
-      else if (page.cover.type === 'file') cover = page.cover.file.url;
-    }
+    const cover = getPageCover(page);
 
     // Get all blocks
     const blocks = await getAllBlocks(notion, homepageId);
 
+    // Links to other Notion pages point at their canonical URLs
+    const linkResolver = await loadLinkResolver(notion);
+
     // Parse sections from toggle blocks
-    const sections = await parseSections(notion, blocks);
+    const sections = await parseSections(notion, blocks, linkResolver);
+
+    notion.logStats('homepage');
 
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...notion.getHeaders() },
       body: JSON.stringify({
         id: homepageId,
         title,
@@ -162,33 +166,6 @@ exports.handler = async (event, context) => {
   }
 };
 
-/**
- * Get all blocks from a page with pagination
- */
-async function getAllBlocks(notion, blockId) {
-  let allBlocks = [];
-  let hasMore = true;
-  let nextCursor = undefined;
-
-  while (hasMore) {
-    const response = await notion.blocks.children.list({
-      block_id: blockId,
-      start_cursor: nextCursor,
-      page_size: 100
-    });
-
-    allBlocks = allBlocks.concat(response.results);
-    hasMore = response.has_more;
-    nextCursor = response.next_cursor;
-
-    if (allBlocks.length > 500) {
-      hasMore = false;
-    }
-  }
-
-  return allBlocks;
-}
-
 /**
  * Section type mapping from toggle names
  */
@@ -210,7 +187,7 @@ const SECTION_TYPES = {
 /**
  * Parse sections from blocks - toggles define sections
  */
-async function parseSections(notion, blocks) {
+async function parseSections(notion, blocks, linkResolver) {
   const sections = [];
   let genericContent = [];
 
@@ -218,7 +195,7 @@ async function parseSections(notion, blocks) {
     if (block.type === 'toggle') {
       // Flush any accumulated generic content
       if (genericContent.length > 0) {
-        const html = await blocksToHtml(notion, genericContent);
+        const html = await blocksToHtml(notion, genericContent, { linkResolver });
         if (html.trim()) {
           sections.push({ type: 'content', content: html });
         }
@@ -226,7 +203,7 @@ async function parseSections(notion, blocks) {
       }
 
       // Parse toggle as section
-      const toggleName = richTextToPlainText(block.toggle.rich_text).toLowerCase().trim();
+      const toggleName = richTextToPlain(block.toggle.rich_text).toLowerCase().trim();
       const sectionType = SECTION_TYPES[toggleName] || 'content';
 
       // Get toggle children with pagination support
@@ -236,7 +213,7 @@ async function parseSections(notion, blocks) {
       }
 
       // Parse based on section type
-      const section = await parseSection(notion, sectionType, children, toggleName);
+      const section = await parseSection(notion, sectionType, children, toggleName, linkResolver);
       if (section) {
         sections.push(section);
       }
@@ -248,7 +225,7 @@ async function parseSections(notion, blocks) {
 
   // Flush remaining generic content
   if (genericContent.length > 0) {
-    const html = await blocksToHtml(notion, genericContent);
+    const html = await blocksToHtml(notion, genericContent, { linkResolver });
     if (html.trim()) {
       sections.push({ type: 'content', content: html });
     }
@@ -260,10 +237,10 @@ async function parseSections(notion, blocks) {
 /**
  * Parse a specific section type from toggle children
  */
-async function parseSection(notion, type, blocks, originalName) {
+async function parseSection(notion, type, blocks, originalName, linkResolver) {
   switch (type) {
     case 'hero':
-      return parseHeroSection(notion, blocks);
+      return parseHeroSection(notion, blocks, linkResolver);
     case 'features':
       return parseFeaturesSection(notion, blocks);
     case 'steps':
@@ -271,9 +248,9 @@ async function parseSection(notion, type, blocks, originalName) {
     case 'code':
       return parseCodeSection(notion, blocks);
     case 'cta':
-      return parseCtaSection(notion, blocks);
+      return parseCtaSection(notion, blocks, linkResolver);
     default: {
-      const content = await blocksToHtml(notion, blocks);
+      const content = await blocksToHtml(notion, blocks, { linkResolver });
       return { type: 'content', title: originalName, content };
     }
   }
@@ -283,7 +260,7 @@ async function parseSection(notion, type, blocks, originalName) {
  * Parse Hero section
  * Expects: H1 (title), paragraph (description), links (buttons)
  */
-async function parseHeroSection(notion, blocks) {
+async function parseHeroSection(notion, blocks, linkResolver) {
   const section = {
     type: 'hero',
     badge: null,
@@ -295,9 +272,9 @@ async function parseHeroSection(notion, blocks) {
 
   for (const block of blocks) {
     if (block.type === 'heading_1' && !section.title) {
-      section.title = richTextToHtml(block.heading_1.rich_text);
+      section.title = richTextToHtml(block.heading_1.rich_text, { linkResolver });
     } else if (block.type === 'heading_2' && !section.title) {
-      section.title = richTextToHtml(block.heading_2.rich_text);
+      section.title = richTextToHtml(block.heading_2.rich_text, { linkResolver });
     } else if (block.type === 'paragraph') {
       const text = block.paragraph.rich_text;
       // Check if paragraph contains only links (buttons)
@@ -305,8 +282,8 @@ async function parseHeroSection(notion, blocks) {
       if (hasOnlyLinks) {
         for (const t of text) {
           if (t.href) {
-            // Sanitize href to reject unsafe schemes
-            const safeUrl = sanitizeHref(t.href);
+            // Site URL for links to Notion pages, otherwise reject unsafe schemes
+            const safeUrl = linkResolver?.resolveUrl(t.href) || sanitizeHref(t.href);
             if (safeUrl) {
               section.buttons.push({
                 text: t.plain_text,
@@ -317,19 +294,19 @@ async function parseHeroSection(notion, blocks) {
           }
         }
       } else if (!section.description) {
-        section.description = richTextToHtml(text);
+        section.description = richTextToHtml(text, { linkResolver });
       } else if (!section.badge) {
         // Small text before title could be badge
-        const plainText = richTextToPlainText(text);
+        const plainText = richTextToPlain(text);
         if (plainText.length < 50) {
           section.badge = plainText;
         }
       }
     } else if (block.type === 'callout' && !section.badge) {
       // Callout as badge
-      section.badge = richTextToPlainText(block.callout.rich_text);
+      section.badge = richTextToPlain(block.callout.rich_text);
     } else if (block.type === 'image') {
-      section.image = block.image.file?.url || block.image.external?.url;
+      section.image = getBlockFileUrl(block);
     }
   }
 
@@ -349,10 +326,10 @@ async function parseFeaturesSection(notion, blocks) {
 
   for (const block of blocks) {
     if ((block.type === 'heading_1' || block.type === 'heading_2') && !section.title) {
-      section.title = richTextToPlainText(block[block.type].rich_text);
+      section.title = richTextToPlain(block[block.type].rich_text);
     } else if (block.type === 'callout') {
       const icon = block.callout.icon?.emoji || '✨';
-      const text = richTextToPlainText(block.callout.rich_text);
+      const text = richTextToPlain(block.callout.rich_text);
       // Split by dash or newline for title/description
       const parts = text.split(/[-–—\n]/);
       const title = parts[0]?.trim() || text;
@@ -361,7 +338,7 @@ async function parseFeaturesSection(notion, blocks) {
       section.items.push({ icon, title, description });
     } else if (block.type === 'bulleted_list_item') {
       // List items as features
-      const text = richTextToPlainText(block.bulleted_list_item.rich_text);
+      const text = richTextToPlain(block.bulleted_list_item.rich_text);
       const parts = text.split(/[-–—:]/);
       section.items.push({
         icon: '•',
@@ -389,9 +366,9 @@ async function parseStepsSection(notion, blocks) {
 
   for (const block of blocks) {
     if ((block.type === 'heading_1' || block.type === 'heading_2') && !section.title) {
-      section.title = richTextToPlainText(block[block.type].rich_text);
+      section.title = richTextToPlain(block[block.type].rich_text);
     } else if (block.type === 'numbered_list_item') {
-      const text = richTextToPlainText(block.numbered_list_item.rich_text);
+      const text = richTextToPlain(block.numbered_list_item.rich_text);
       const parts = text.split(/[-–—:]/);
       section.items.push({
         number: stepNumber++,
@@ -399,7 +376,7 @@ async function parseStepsSection(notion, blocks) {
         description: parts.slice(1).join(' ').trim() || ''
       });
     } else if (block.type === 'callout') {
-      const text = richTextToPlainText(block.callout.rich_text);
+      const text = richTextToPlain(block.callout.rich_text);
       const parts = text.split(/[-–—\n]/);
       section.items.push({
         number: stepNumber++,
@@ -408,7 +385,7 @@ async function parseStepsSection(notion, blocks) {
       });
     } else if (block.type === 'paragraph') {
       // Check if starts with number
-      const text = richTextToPlainText(block.paragraph.rich_text);
+      const text = richTextToPlain(block.paragraph.rich_text);
       const match = text.match(/^(\d+)[.\)]\s*(.+)/);
       if (match) {
         const parts = match[2].split(/[-–—:]/);
@@ -438,16 +415,16 @@ async function parseCodeSection(notion, blocks) {
 
   for (const block of blocks) {
     if ((block.type === 'heading_1' || block.type === 'heading_2' || block.type === 'heading_3') && !section.title) {
-      section.title = richTextToPlainText(block[block.type].rich_text);
+      section.title = richTextToPlain(block[block.type].rich_text);
     } else if (block.type === 'paragraph' && !section.description) {
-      section.description = richTextToPlainText(block.paragraph.rich_text);
+      section.description = richTextToPlain(block.paragraph.rich_text);
     } else if (block.type === 'code') {
       const code = block.code.rich_text.map(t => t.plain_text).join('');
       const language = block.code.language || 'text';
-      const caption = block.code.caption?.length > 0
-        ? richTextToPlainText(block.code.caption)
-        : '';
-      section.blocks.push({ code, language, caption });
+      const { filename, caption, highlightLines } = parseCodeCaption(richTextToPlain(block.code.caption || []));
+      // Same highlighting as code blocks in pages (lib/syntax-highlight.js)
+      const { html, lineCount } = highlightCode(code, language, { highlightLines });
+      section.blocks.push({ code, language, caption: filename || caption, html, lineCount });
     }
   }
 
@@ -458,7 +435,7 @@ async function parseCodeSection(notion, blocks) {
  * Parse CTA section
  * Expects: heading, paragraph, links
  */
-async function parseCtaSection(notion, blocks) {
+async function parseCtaSection(notion, blocks, linkResolver) {
   const section = {
     type: 'cta',
     title: '',
@@ -468,15 +445,15 @@ async function parseCtaSection(notion, blocks) {
 
   for (const block of blocks) {
     if ((block.type === 'heading_1' || block.type === 'heading_2') && !section.title) {
-      section.title = richTextToHtml(block[block.type].rich_text);
+      section.title = richTextToHtml(block[block.type].rich_text, { linkResolver });
     } else if (block.type === 'paragraph') {
       const text = block.paragraph.rich_text;
       // Check for links
       const links = text.filter(t => t.href);
       if (links.length > 0) {
         for (const link of links) {
-          // Sanitize href to reject unsafe schemes
-          const safeUrl = sanitizeHref(link.href);
+          // Site URL for links to Notion pages, otherwise reject unsafe schemes
+          const safeUrl = linkResolver?.resolveUrl(link.href) || sanitizeHref(link.href);
           if (safeUrl) {
             section.buttons.push({
               text: link.plain_text,
@@ -486,196 +463,16 @@ async function parseCtaSection(notion, blocks) {
           }
         }
       } else if (!section.description) {
-        section.description = richTextToHtml(text);
+        section.description = richTextToHtml(text, { linkResolver });
       }
     } else if (block.type === 'quote') {
       if (!section.title) {
-        section.title = richTextToHtml(block.quote.rich_text);
+        section.title = richTextToHtml(block.quote.rich_text, { linkResolver });
       } else if (!section.description) {
-        section.description = richTextToHtml(block.quote.rich_text);
+        section.description = richTextToHtml(block.quote.rich_text, { linkResolver });
       }
     }
   }
 
   return section;
 }
-
-/**
- * Convert blocks to HTML (for generic content sections)
- */
-async function blocksToHtml(notion, blocks) {
-  let html = '';
-  let listContext = { type: null, items: [] };
-
-  for (let i = 0; i < blocks.length; i++) {
-    const block = blocks[i];
-    const nextBlock = blocks[i + 1];
-
-    if (block.type === 'bulleted_list_item' || block.type === 'numbered_list_item') {
-      const listType = block.type === 'bulleted_list_item' ? 'ul' : 'ol';
-
-      if (listContext.type !== listType) {
-        if (listContext.type) {
-          html += closeList(listContext);
-        }
-        listContext = { type: listType, items: [] };
-      }
-
-      listContext.items.push(block);
-
-      const nextIsSameList = nextBlock &&
-        ((listType === 'ul' && nextBlock.type === 'bulleted_list_item') ||
-         (listType === 'ol' && nextBlock.type === 'numbered_list_item'));
-
-      if (!nextIsSameList) {
-        html += closeList(listContext);
-        listContext = { type: null, items: [] };
-      }
-      continue;
-    }
-
-    if (listContext.type) {
-      html += closeList(listContext);
-      listContext = { type: null, items: [] };
-    }
-
-    html += await blockToHtml(notion, block);
-  }
-
-  if (listContext.type) {
-    html += closeList(listContext);
-  }
-
-  return html;
-}
-
-function closeList(listContext) {
-  const tag = listContext.type;
-  const items = listContext.items.map(item => {
-    const content = richTextToHtml(item[item.type].rich_text);
-    return `<li>${content}</li>`;
-  }).join('');
-  return `<${tag} class="notion-list">${items}</${tag}>`;
-}
-
-async function blockToHtml(notion, block) {
-  const type = block.type;
-
-  switch (type) {
-    case 'paragraph':
-      const pText = richTextToHtml(block.paragraph.rich_text);
-      if (!pText.trim()) return '';
-      return `<p class="notion-paragraph">${pText}</p>`;
-
-    case 'heading_1':
-      return `<h1 class="notion-h1">${richTextToHtml(block.heading_1.rich_text)}</h1>`;
-
-    case 'heading_2':
-      return `<h2 class="notion-h2">${richTextToHtml(block.heading_2.rich_text)}</h2>`;
-
-    case 'heading_3':
-      return `<h3 class="notion-h3">${richTextToHtml(block.heading_3.rich_text)}</h3>`;
-
-    case 'quote':
-      return `<blockquote class="notion-quote">${richTextToHtml(block.quote.rich_text)}</blockquote>`;
-
-    case 'callout':
-      const calloutIcon = block.callout.icon?.emoji || '💡';
-      const calloutColor = block.callout.color || 'default';
-      return `<div class="notion-callout notion-callout--${calloutColor}">
-        <span class="notion-callout-icon">${calloutIcon}</span>
-        <div class="notion-callout-content">${richTextToHtml(block.callout.rich_text)}</div>
-      </div>`;
-
-    case 'code':
-      const codeText = escapeHtml(block.code.rich_text.map(t => t.plain_text).join(''));
-      const language = block.code.language || 'text';
-      return `<pre class="notion-code"><code class="language-${language}">${codeText}</code></pre>`;
-
-    case 'divider':
-      return '<hr class="notion-divider">';
-
-    case 'image':
-      const imgUrl = block.image.file?.url || block.image.external?.url || '';
-      const imgCaption = block.image.caption?.length > 0 ? richTextToHtml(block.image.caption) : '';
-      return `<figure class="notion-image">
-        <img src="${escapeHtml(imgUrl)}" alt="${escapeHtml(imgCaption.replace(/<[^>]*>/g, ''))}" loading="lazy">
-        ${imgCaption ? `<figcaption>${imgCaption}</figcaption>` : ''}
-      </figure>`;
-
-    case 'toggle':
-      const toggleText = richTextToHtml(block.toggle.rich_text);
-      let toggleContent = '';
-      if (block.has_children) {
-        const children = await getAllBlocks(notion, block.id);
-        toggleContent = await blocksToHtml(notion, children);
-      }
-      return `<details class="notion-toggle">
-        <summary>${toggleText}</summary>
-        <div class="notion-toggle-content">${toggleContent}</div>
-      </details>`;
-
-    default:
-      return '';
-  }
-}
-
-function richTextToHtml(richText) {
-  if (!richText || !Array.isArray(richText)) return '';
-
-  return richText.map(text => {
-    let content = escapeHtml(text.plain_text || '');
-
-    if (text.annotations) {
-      if (text.annotations.bold) content = `<strong>${content}</strong>`;
-      if (text.annotations.italic) content = `<em>${content}</em>`;
-      if (text.annotations.strikethrough) content = `<del>${content}</del>`;
-      if (text.annotations.underline) content = `<u>${content}</u>`;
-      if (text.annotations.code) content = `<code class="notion-inline-code">${content}</code>`;
-
-      const color = text.annotations.color;
-      if (color && color !== 'default') {
-        if (color.endsWith('_background')) {
-          content = `<span class="notion-bg-${color.replace('_background', '')}">${content}</span>`;
-        } else {
-          content = `<span class="notion-color-${color}">${content}</span>`;
-        }
-      }
-    }
-
-    if (text.href) {
-      const safeHref = sanitizeHref(text.href);
-      if (safeHref) {
-        content = `<a href="${escapeHtml(safeHref)}">${content}</a>`;
-      }
-    }
-
-    return content;
-  }).join('');
-}
-
-function richTextToPlainText(richText) {
-  if (!richText || !Array.isArray(richText)) return '';
-  return richText.map(text => text.plain_text || '').join('');
-}
-
-function escapeHtml(text) {
-  if (!text) return '';
-  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
-  return text.replace(/[&<>"']/g, m => map[m]);
-}
-
-function sanitizeHref(href) {
-  if (!href || typeof href !== 'string') return null;
-  const trimmed = href.trim().toLowerCase();
-  if (trimmed.startsWith('javascript:')) return null;
-  if (trimmed.startsWith('data:') && !trimmed.startsWith('data:image/')) return null;
-  if (trimmed.startsWith('data:image/svg')) return null;
-  if (trimmed.startsWith('http://') || trimmed.startsWith('https://') ||
-      trimmed.startsWith('mailto:') || trimmed.startsWith('tel:') ||
-      trimmed.startsWith('/') || trimmed.startsWith('#') ||
-      !trimmed.includes(':')) {
-    return href;
-  }
-  return null;
-}
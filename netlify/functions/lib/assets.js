@@ -0,0 +1,72 @@
+/**
+ * Asset URL Helpers
+ *
+ * Notion-hosted files (type "file") come with signed S3 URLs that expire
+ * after an hour, which breaks cached and prerendered pages. These helpers
+ * rewrite them to the stable asset proxy (/api/asset/:id, see asset.js),
+ * which looks up a fresh URL on every request. External URLs are returned
+ * unchanged.
+ */
+
+const ASSET_PROXY_PATH = '/api/asset';
+
+/**
+ * Build the stable proxy URL for a block or page asset
+ * @param {string} id - Block or page ID that owns the file
+ * @param {string} field - Optional page/block field ('cover' or 'icon')
+ */
+function assetUrl(id, field = null) {
+  const cleanId = String(id).replace(/-/g, '');
+  return `${ASSET_PROXY_PATH}/${cleanId}${field ? `?field=${field}` : ''}`;
+}
+
+/**
+ * Resolve a Notion file object to a stable URL
+ * @param {Object} file - Notion file object ({ type: 'file' | 'external', ... })
+ * @param {string} ownerId - Block or page ID the file belongs to
+ * @param {string} field - Optional field name for page covers/icons
+ * @returns {string|null}
+ */
+function getFileUrl(file, ownerId, field = null) {
+  if (!file) return null;
+  if (file.type === 'file' && file.file?.url) {
+    return assetUrl(ownerId, field);
+  }
+  if (file.type === 'external') {
+    return file.external?.url || null;
+  }
+  return file.file?.url || file.external?.url || null;
+}
+
+/**
+ * Get a page icon: emoji, or a stable image URL
+ */
+function getPageIcon(page) {
+  if (!page?.icon) return null;
+  if (page.icon.type === 'emoji') return page.icon.emoji;
+  return getFileUrl(page.icon, page.id, 'icon');
+}
+
+/**
+ * Get a page cover as a stable image URL
+ */
+function getPageCover(page) {
+  if (!page?.cover) return null;
+  return getFileUrl(page.cover, page.id, 'cover');
+}
+
+/**
+ * Get the stable URL for a media block (image, video, audio, file, pdf)
+ */
+function getBlockFileUrl(block) {
+  return getFileUrl(block?.[block.type], block.id);
+}
+
+module.exports = {
+  ASSET_PROXY_PATH,
+  assetUrl,
+  getFileUrl,
+  getPageIcon,
+  getPageCover,
+  getBlockFileUrl
+};
@@ -0,0 +1,19 @@
+/**
+ * Block Plugins
+ *
+ * Project-specific block handlers, loaded once by lib/block-renderer.js.
+ * Register handlers here to add new block types or override built-ins
+ * for every function that renders Notion content (page-detail,
+ * blog-detail, homepage) without touching the functions themselves.
+ *
+ * Example - render callouts as admonitions, keyed by callout color:
+ *
+ *   registerBlockHandler('callout', async (block, ctx) => {
+ *     const kinds = { blue_background: 'note', yellow_background: 'warning', red_background: 'danger' };
+ *     const kind = kinds[block.callout.color];
+ *     if (!kind) return ctx.renderDefault(block);
+ *     return `<aside class="admonition admonition--${kind}">${ctx.richTextToHtml(block.callout.rich_text)}</aside>\n`;
+ *   });
+ */
+
+const { registerBlockHandler } = require('./block-renderer');
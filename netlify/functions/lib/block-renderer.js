@@ -0,0 +1,1231 @@
+/**
+ * Block Renderer
+ *
+ * Shared Notion block → HTML conversion used by page-detail, blog-detail
+ * and homepage. Each block type is rendered by a handler in a registry.
+ * Built-in handlers cover the Notion block specification; custom handlers
+ * can add new types or override built-ins via registerBlockHandler()
+ * (see lib/block-plugins.js).
+ *
+ * Handler signature: async (block, ctx) => html string
+ *
+ * - ctx.notion: Notion client
+ * - ctx.options: Options passed to blocksToHtml() (options.page: the page
+ *   being rendered, when the caller has it)
+ * - ctx.linkResolver: options.linkResolver, or null (see lib/link-resolver.js)
+ * - ctx.linkPreviews: Link preview fetcher, or null when disabled (see lib/link-preview.js)
+ * - ctx.richTextToHtml(richText): Rich text converter (resolves page links)
+ * - ctx.blocksToHtml(blocks): Render a list of blocks (handles list grouping)
+ * - ctx.getChildren(blockId): Fetch all child blocks with pagination
+ * - ctx.renderChildren(block): Render a block's nested children ('' if none)
+ * - ctx.renderDefault(block): Built-in handler output, for wrapping overrides
+ *
+ * Callers that cache the HTML by the page's last_edited_time render with
+ * options.deferBlocks, which leaves a placeholder for block types whose
+ * output changes without the page being edited (DEFERRED_BLOCK_TYPES), and
+ * fill them in with fillDeferredBlocks() on every request.
+ */
+
+const { getBlockFileUrl, getFileUrl } = require('./assets');
+const { slugifyTitle, getPageTitle } = require('./link-resolver');
+const { highlightCode, parseCodeCaption, getLanguageClass } = require('./syntax-highlight');
+const { renderEquation } = require('./math');
+const { getDefaultLinkPreviewFetcher } = require('./link-preview');
+
+const builtInHandlers = new Map();
+const customHandlers = new Map();
+
+// table_of_contents blocks render this, replaced with the page's headings once they are all rendered
+const TOC_PLACEHOLDER = '<nav class="notion-toc" data-toc="true"></nav>';
+
+// Rendered on every request by fillDeferredBlocks() when options.deferBlocks is set:
+// inline database rows change without the page's last_edited_time, and link
+// previews expire (or recover from a failed fetch) on their own schedule
+const DEFERRED_BLOCK_TYPES = new Set(['child_database', 'bookmark', 'link_preview']);
+const DEFERRED_BLOCK_PATTERN = /<!--notion-deferred:([A-Za-z0-9+/=]+)-->/g;
+
+// Ancestors walked for a breadcrumb before giving up
+const MAX_BREADCRUMB_DEPTH = 10;
+
+// Block types grouped into lists by renderBlocks, and the list element wrapping each run
+const LIST_TAGS = {
+  bulleted_list_item: 'ul',
+  numbered_list_item: 'ol',
+  to_do: 'ul'
+};
+
+// Marker styles by nesting depth, cycling like Notion's (1. a. i. / • ◦ ▪)
+const NUMBERED_LIST_STYLES = [
+  { name: 'decimal', type: '1' },
+  { name: 'lower-alpha', type: 'a' },
+  { name: 'lower-roman', type: 'i' }
+];
+const BULLETED_LIST_STYLES = ['disc', 'circle', 'square'];
+
+// numbered_list_item.list_format values, which override the depth's style
+const LIST_FORMAT_STYLES = {
+  numbers: NUMBERED_LIST_STYLES[0],
+  letters: NUMBERED_LIST_STYLES[1],
+  roman: NUMBERED_LIST_STYLES[2]
+};
+
+/**
+ * Register a handler for a block type
+ * Overrides the built-in handler if one exists for the same type.
+ * @param {string} type - Notion block type (e.g. 'callout')
+ * @param {Function} handler - async (block, ctx) => html
+ */
+function registerBlockHandler(type, handler) {
+  if (!type || typeof type !== 'string') {
+    throw new Error('Block type must be a non-empty string');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for block type "${type}" must be a function`);
+  }
+  customHandlers.set(type, handler);
+}
+
+/**
+ * Remove a custom handler, restoring the built-in one (if any)
+ */
+function unregisterBlockHandler(type) {
+  return customHandlers.delete(type);
+}
+
+/**
+ * Get the active handler for a block type (custom first, then built-in)
+ */
+function getBlockHandler(type) {
+  return customHandlers.get(type) || builtInHandlers.get(type) || null;
+}
+
+/**
+ * Build the context object passed to every handler
+ */
+function createContext(notion, options = {}) {
+  const ctx = {
+    notion,
+    options,
+    linkResolver: options.linkResolver || null,
+    linkPreviews: options.linkPreviews === undefined ? getDefaultLinkPreviewFetcher() : (options.linkPreviews || null),
+    headingIds: new Map(), // Heading slug -> times used, for unique IDs
+    linkPreviewRequests: new Map(), // URL -> preview promise, started by renderBlocks
+    listDepth: 0, // Lists currently open around the block being rendered
+    richTextToHtml: (richText) => richTextToHtml(richText, { linkResolver: options.linkResolver }),
+    blocksToHtml: (blocks) => renderBlocks(blocks, ctx),
+    getChildren: (blockId) => getAllBlocks(notion, blockId),
+    renderChildren: (block) => renderChildren(block, ctx),
+    renderDefault: async (block) => {
+      const handler = builtInHandlers.get(block.type);
+      return handler ? handler(block, ctx) : '';
+    }
+  };
+  return ctx;
+}
+
+/**
+ * Get all blocks from a page or block with pagination
+ */
+async function getAllBlocks(notion, blockId) {
+  let allBlocks = [];
+  let hasMore = true;
+  let nextCursor = undefined;
+
+  while (hasMore) {
+    const response = await notion.blocks.children.list({
+      block_id: blockId,
+      start_cursor: nextCursor,
+      page_size: 100
+    });
+
+    allBlocks = allBlocks.concat(response.results);
+    hasMore = response.has_more;
+    nextCursor = response.next_cursor;
+  }
+
+  return allBlocks;
+}
+
+/**
+ * Convert Notion blocks to HTML
+ * @param {Object} notion - Notion client
+ * @param {Array} blocks - Blocks from blocks.children.list
+ * @param {Object} options - Render options, exposed to handlers as ctx.options
+ * @param {Object} options.linkResolver - Routes page links to canonical URLs (from loadLinkResolver)
+ * @param {Object} options.page - Page being rendered (its properties can configure blocks)
+ * @param {Object|false} options.linkPreviews - Fetcher for bookmark cards (default: LINK_PREVIEWS), false for plain links
+ * @param {boolean} options.deferBlocks - Leave placeholders for DEFERRED_BLOCK_TYPES (see fillDeferredBlocks)
+ * @returns {Promise<string>} HTML
+ */
+async function blocksToHtml(notion, blocks, options = {}) {
+  const html = await renderBlocks(blocks, createContext(notion, options));
+  return fillTableOfContents(html);
+}
+
+/**
+ * Whether HTML rendered with options.deferBlocks still has placeholders to fill
+ */
+function hasDeferredBlocks(html) {
+  return typeof html === 'string' && html.includes('<!--notion-deferred:');
+}
+
+/**
+ * Render the blocks left as placeholders by blocksToHtml(..., { deferBlocks: true })
+ * @param {Object} notion - Notion client
+ * @param {string} html - HTML with placeholders (usually from the cache)
+ * @param {Object} options - Render options, as for blocksToHtml() (deferBlocks is ignored)
+ * @returns {Promise<string>} HTML
+ */
+async function fillDeferredBlocks(notion, html, options = {}) {
+  if (!hasDeferredBlocks(html)) return html;
+
+  const ctx = createContext(notion, { ...options, deferBlocks: false });
+  const placeholders = [...new Set(Array.from(html.matchAll(DEFERRED_BLOCK_PATTERN), match => match[0]))];
+
+  const rendered = new Map(await Promise.all(placeholders.map(async (placeholder) => {
+    const encoded = placeholder.slice('<!--notion-deferred:'.length, -'-->'.length);
+    const block = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+    return [placeholder, await renderBlock(block, ctx)];
+  })));
+
+  return html.replace(DEFERRED_BLOCK_PATTERN, placeholder => rendered.get(placeholder));
+}
+
+/**
+ * Convert a single block to HTML
+ */
+async function blockToHtml(notion, block, options = {}) {
+  // Through renderBlocks so a lone list item still gets its <ul>/<ol>
+  const html = await renderBlocks([block], createContext(notion, options));
+  return fillTableOfContents(html);
+}
+
+/**
+ * Render blocks with an existing context, grouping consecutive list items
+ * (bulleted, numbered and to-do) into one list per run of the same type
+ */
+async function renderBlocks(blocks, ctx) {
+  let html = '';
+  let listContext = { type: null, items: [] };
+
+  // Fetch every link preview on this level at once, not one block at a time
+  // (bookmarked pages of the site link to their page instead; deferred
+  // bookmarks are fetched together by fillDeferredBlocks)
+  for (const block of ctx.options.deferBlocks ? [] : blocks) {
+    const url = block.type === 'bookmark' || block.type === 'link_preview' ? block[block.type]?.url : null;
+    if (url && !(block.type === 'bookmark' && ctx.linkResolver?.resolvePage(url))) {
+      getLinkPreview(url, ctx);
+    }
+  }
+
+  for (let i = 0; i < blocks.length; i++) {
+    const block = blocks[i];
+    const nextBlock = blocks[i + 1];
+
+    // Handle list grouping
+    if (LIST_TAGS[block.type]) {
+      const listType = block.type;
+
+      if (listContext.type !== listType) {
+        // Close previous list if different type
+        if (listContext.type) {
+          html += await closeList(listContext, ctx);
+        }
+        listContext = { type: listType, items: [] };
+      }
+
+      listContext.items.push(block);
+
+      // Check if next block continues the list
+      const nextIsSameList = nextBlock && nextBlock.type === listType;
+
+      if (!nextIsSameList) {
+        html += await closeList(listContext, ctx);
+        listContext = { type: null, items: [] };
+      }
+      continue;
+    }
+
+    // Close any open list before other block types
+    if (listContext.type) {
+      html += await closeList(listContext, ctx);
+      listContext = { type: null, items: [] };
+    }
+
+    html += await renderBlock(block, ctx);
+  }
+
+  // Close any remaining list
+  if (listContext.type) {
+    html += await closeList(listContext, ctx);
+  }
+
+  return html;
+}
+
+/**
+ * Close a list and return HTML
+ * Each item is rendered by its list item handler, with ctx.listDepth raised so
+ * lists nested in its children get the next marker style
+ */
+async function closeList(listContext, ctx) {
+  if (!listContext.type || listContext.items.length === 0) return '';
+
+  const tag = LIST_TAGS[listContext.type];
+  let html = `<${tag} ${getListAttributes(listContext, ctx.listDepth)}>\n`;
+
+  ctx.listDepth++;
+  try {
+    for (const item of listContext.items) {
+      html += await renderBlock(item, ctx);
+    }
+  } finally {
+    ctx.listDepth--;
+  }
+
+  html += `</${tag}>\n`;
+  return html;
+}
+
+/**
+ * Class and marker attributes for a list opened at a nesting depth (0 = top level)
+ * Numbered lists follow the first item's list_format and list_start_index when Notion sets them.
+ */
+function getListAttributes(listContext, depth) {
+  if (listContext.type === 'to_do') {
+    return 'class="notion-list notion-todo-list"';
+  }
+
+  if (listContext.type === 'bulleted_list_item') {
+    const style = BULLETED_LIST_STYLES[depth % BULLETED_LIST_STYLES.length];
+    return `class="notion-list notion-list--${style}"`;
+  }
+
+  const first = listContext.items[0].numbered_list_item || {};
+  const style = LIST_FORMAT_STYLES[first.list_format] ||
+    NUMBERED_LIST_STYLES[depth % NUMBERED_LIST_STYLES.length];
+  const start = Number.isInteger(first.list_start_index) && first.list_start_index !== 1
+    ? ` start="${first.list_start_index}"`
+    : '';
+  return `class="notion-list notion-list--${style.name}" type="${style.type}"${start}`;
+}
+
+/**
+ * Render a single block through the handler registry
+ */
+async function renderBlock(block, ctx) {
+  if (ctx.options.deferBlocks && DEFERRED_BLOCK_TYPES.has(block.type)) {
+    return `<!--notion-deferred:${Buffer.from(JSON.stringify(block)).toString('base64')}-->`;
+  }
+
+  const handler = getBlockHandler(block.type);
+
+  if (!handler) {
+    // Unsupported block types - render gracefully
+    console.log(`Unsupported block type: ${block.type}`);
+    return renderFallback(block, ctx);
+  }
+
+  try {
+    return await handler(block, ctx);
+  } catch (error) {
+    console.error(`Error rendering ${block.type} block ${block.id}:`, error);
+    return '';
+  }
+}
+
+/**
+ * Render a block no handler knows: its text and children when it has any,
+ * so newer Notion block types keep their content until they get a handler
+ */
+async function renderFallback(block, ctx) {
+  const text = ctx.richTextToHtml(block[block.type]?.rich_text);
+  const childrenHtml = await ctx.renderChildren(block);
+
+  if (!text.trim() && !childrenHtml) {
+    return `<!-- Unsupported block type: ${escapeHtml(block.type)} -->\n`;
+  }
+
+  return `<div class="notion-unsupported" data-block-type="${escapeHtml(block.type)}">${text.trim() ? `<p class="notion-paragraph">${text}</p>` : ''}${childrenHtml}</div>\n`;
+}
+
+/**
+ * Class for a block's color, with a leading space ('' for default)
+ * Text colors reuse the rich text classes; backgrounds also get notion-block-bg for block padding.
+ */
+function getBlockColorClass(color) {
+  if (!color || color === 'default') return '';
+  if (color.endsWith('_background')) {
+    return ` notion-bg-${color.replace('_background', '')} notion-block-bg`;
+  }
+  return ` notion-color-${color}`;
+}
+
+/**
+ * Render the nested children of a block
+ * Notion allows children under paragraphs, quotes, callouts, to-dos, etc.
+ */
+async function renderChildren(block, ctx) {
+  if (!block.has_children) return '';
+
+  try {
+    const childBlocks = await ctx.getChildren(block.id);
+    return await ctx.blocksToHtml(childBlocks);
+  } catch (error) {
+    console.error(`Error fetching children of ${block.type} block ${block.id}:`, error);
+    return '';
+  }
+}
+
+/**
+ * Anchor ID for a heading: its slugified text, with -2, -3... for repeats on the
+ * page so every ID is unique and stays the same while the text does
+ * @param {Map} headingIds - Slug -> times used so far on the page (updated)
+ */
+function getHeadingId(block, plainText, headingIds) {
+  const slug = slugifyTitle(plainText) || `heading-${block.id.replace(/-/g, '').slice(0, 8)}`;
+  const count = (headingIds.get(slug) || 0) + 1;
+  headingIds.set(slug, count);
+  return count === 1 ? slug : `${slug}-${count}`;
+}
+
+/**
+ * Render a heading block with an anchor ID
+ * Toggleable headings become a <details> with the heading as its summary, so
+ * their children render collapsed and the heading still counts for the TOC.
+ */
+async function renderHeading(block, level, ctx) {
+  const heading = block[`heading_${level}`];
+  const id = getHeadingId(block, richTextToPlain(heading.rich_text), ctx.headingIds);
+  const htmlText = ctx.richTextToHtml(heading.rich_text);
+  const headingHtml = `<h${level} id="${escapeHtml(id)}" class="notion-h${level}${getBlockColorClass(heading.color)}">${htmlText}</h${level}>`;
+
+  if (!heading.is_toggleable) return `${headingHtml}\n`;
+
+  const childrenHtml = await ctx.renderChildren(block);
+  return `<details class="notion-toggle notion-toggle--heading">
+  <summary>${headingHtml}</summary>
+  <div class="notion-toggle-content">${childrenHtml}</div>
+</details>\n`;
+}
+
+/**
+ * Replace table_of_contents placeholders with links to the headings in the HTML
+ * Headings are nested by level; the TOC is dropped when there are none.
+ */
+function fillTableOfContents(html) {
+  if (!html.includes(TOC_PLACEHOLDER)) return html;
+
+  const headings = [];
+  const pattern = /<h([1-3]) id="([^"]*)" class="notion-h\1[^"]*">([\s\S]*?)<\/h\1>/g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    headings.push({ level: Number(match[1]), id: match[2], text: stripHtml(match[3]).trim() });
+  }
+
+  if (headings.length === 0) {
+    return html.split(`${TOC_PLACEHOLDER}\n`).join('').split(TOC_PLACEHOLDER).join('');
+  }
+
+  // Build the tree: each heading goes under the closest preceding heading of a higher level
+  const root = { children: [] };
+  const stack = [{ level: 0, node: root }];
+  for (const heading of headings) {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    const node = { heading, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: heading.level, node });
+  }
+
+  const renderList = (nodes) => `<ul class="notion-toc-list">${nodes.map(({ heading, children }) =>
+    `<li class="notion-toc-item notion-toc-item--h${heading.level}"><a href="#${heading.id}">${heading.text}</a>${children.length ? renderList(children) : ''}</li>`
+  ).join('')}</ul>`;
+
+  const toc = `<nav class="notion-toc" aria-label="Table of contents">${renderList(root.children)}</nav>`;
+  return html.split(TOC_PLACEHOLDER).join(toc);
+}
+
+/**
+ * Pages from the page containing a block up to its section (Docs, Blog...)
+ * Stops at the first ancestor that isn't on the site, so private parents stay private.
+ * @returns {Promise<Array<{title: string, url: string|null}>>} Outermost first
+ */
+async function getBreadcrumbTrail(block, ctx) {
+  const trail = [];
+  let parent = block.parent ||
+    (ctx.options.page ? { type: 'page_id', page_id: ctx.options.page.id } : null);
+
+  for (let depth = 0; parent && depth < MAX_BREADCRUMB_DEPTH; depth++) {
+    if (parent.type === 'block_id') {
+      // Blocks nested in toggles, columns...: keep climbing to the page
+      const parentBlock = await ctx.notion.blocks.retrieve({ block_id: parent.block_id });
+      parent = parentBlock.parent;
+      continue;
+    }
+
+    if (parent.type !== 'page_id' && parent.type !== 'database_id') break;
+
+    const id = parent.page_id || parent.database_id;
+    const resolved = ctx.linkResolver?.resolvePage(id) || null;
+    const onSite = !!resolved;
+
+    // The page itself is always shown; ancestors only when they are on the site
+    if (trail.length > 0 && !onSite) break;
+
+    if (parent.type === 'database_id') {
+      const database = await ctx.notion.databases.retrieve({ database_id: id });
+      const title = (database.title || []).map(t => t.plain_text || '').join('') || 'Untitled';
+      trail.unshift({ title, url: onSite ? resolved.url : null });
+      parent = database.parent;
+    } else {
+      const page = ctx.linkResolver?.getPage(id) || await ctx.notion.pages.retrieve({ page_id: id });
+      trail.unshift({ title: resolved?.title || getPageTitle(page), url: onSite ? resolved.url : null });
+      parent = page.parent;
+    }
+
+    // Section pages (slug null) are the top of the trail
+    if (onSite && resolved.slug === null) break;
+  }
+
+  return trail;
+}
+
+/**
+ * Render a media embed iframe (YouTube, Vimeo, Loom)
+ */
+function renderVideoEmbed(src, caption) {
+  return `<figure class="notion-video">
+  <div class="notion-video-wrapper">
+    <iframe src="${src}" frameborder="0" allowfullscreen loading="lazy"></iframe>
+  </div>
+  ${caption ? `<figcaption>${caption}</figcaption>` : ''}
+</figure>\n`;
+}
+
+/**
+ * Link preview for a URL, requested once per render
+ * @returns {Promise<Object|null>} null when previews are disabled or the URL can't be previewed
+ */
+function getLinkPreview(href, ctx) {
+  const url = sanitizeHref(href);
+  if (!ctx.linkPreviews || !url) return Promise.resolve(null);
+
+  if (!ctx.linkPreviewRequests.has(url)) {
+    ctx.linkPreviewRequests.set(url, ctx.linkPreviews.getPreview(url).catch(() => null));
+  }
+  return ctx.linkPreviewRequests.get(url);
+}
+
+/**
+ * Preview card for a bookmark or link_preview block
+ * @param {string} className - Block class (notion-bookmark or notion-link-preview)
+ * @param {Object} preview - From the link preview fetcher (see lib/link-preview.js)
+ */
+function renderLinkCard(className, url, preview, caption) {
+  const host = (() => {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return url;
+    }
+  })();
+
+  return `<div class="${className} notion-link-card">
+  <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="notion-link-card-link">
+    <span class="notion-link-card-text">
+      <span class="notion-link-card-title">${escapeHtml(preview.title || host)}</span>
+      ${preview.description ? `<span class="notion-link-card-description">${escapeHtml(preview.description)}</span>` : ''}
+      <span class="notion-link-card-url">${preview.favicon ? `<img class="notion-link-card-favicon" src="${escapeHtml(preview.favicon)}" alt="" loading="lazy" />` : ''}${escapeHtml(preview.siteName || host)}</span>
+    </span>
+    ${preview.image ? `<span class="notion-link-card-image"><img src="${escapeHtml(preview.image)}" alt="" loading="lazy" /></span>` : ''}
+  </a>
+  ${caption ? `<p class="notion-bookmark-caption">${caption}</p>` : ''}
+</div>\n`;
+}
+
+/**
+ * Render a bulleted or numbered list item
+ * Nested items, images and other children render inside the <li>, so sub-lists nest properly.
+ */
+async function renderListItem(block, ctx) {
+  const item = block[block.type];
+  const text = ctx.richTextToHtml(item.rich_text);
+  const childrenHtml = await ctx.renderChildren(block);
+  const color = getBlockColorClass(item.color).trim();
+  return `  <li${color ? ` class="${color}"` : ''}>${text}${childrenHtml ? `\n${childrenHtml}` : ''}</li>\n`;
+}
+
+// =============================================================================
+// Built-in handlers
+// =============================================================================
+
+// Text blocks
+builtInHandlers.set('paragraph', async (block, ctx) => {
+  const text = ctx.richTextToHtml(block.paragraph.rich_text);
+  const childrenHtml = await ctx.renderChildren(block);
+  let html = text.trim()
+    ? `<p class="notion-paragraph${getBlockColorClass(block.paragraph.color)}">${text}</p>\n`
+    : '';
+  if (childrenHtml) {
+    html += `<div class="notion-block-children">${childrenHtml}</div>\n`;
+  }
+  return html;
+});
+
+builtInHandlers.set('heading_1', async (block, ctx) => renderHeading(block, 1, ctx));
+builtInHandlers.set('heading_2', async (block, ctx) => renderHeading(block, 2, ctx));
+builtInHandlers.set('heading_3', async (block, ctx) => renderHeading(block, 3, ctx));
+
+// Lists (wrapped in <ul>/<ol> by renderBlocks)
+builtInHandlers.set('bulleted_list_item', renderListItem);
+builtInHandlers.set('numbered_list_item', renderListItem);
+
+// Quote and callout
+builtInHandlers.set('quote', async (block, ctx) => {
+  const text = ctx.richTextToHtml(block.quote.rich_text);
+  const childrenHtml = await ctx.renderChildren(block);
+  return `<blockquote class="notion-quote${getBlockColorClass(block.quote.color)}">${text}${childrenHtml}</blockquote>\n`;
+});
+
+builtInHandlers.set('callout', async (block, ctx) => {
+  const text = ctx.richTextToHtml(block.callout.rich_text);
+  const icon = block.callout.icon;
+  let iconHtml = '';
+
+  if (icon) {
+    if (icon.type === 'emoji') {
+      iconHtml = `<span class="notion-callout-icon">${icon.emoji}</span>`;
+    } else if (icon.type === 'external' || icon.type === 'file') {
+      const url = getFileUrl(icon, block.id, 'icon');
+      iconHtml = `<img class="notion-callout-icon" src="${escapeHtml(url)}" alt="" />`;
+    }
+  }
+
+  // Background colors pick the callout variant; text colors apply to its content
+  const childrenHtml = await ctx.renderChildren(block);
+  const color = block.callout.color || 'default';
+  const background = color.endsWith('_background') ? color.replace('_background', '') : 'default';
+  const textColor = background === 'default' ? getBlockColorClass(color) : '';
+  return `<div class="notion-callout notion-callout--${background}">${iconHtml}<div class="notion-callout-content${textColor}">${text}${childrenHtml}</div></div>\n`;
+});
+
+// Code
+// Highlighted on the server; the caption can name the file and mark lines ("app.js {3-5}")
+builtInHandlers.set('code', async (block, ctx) => {
+  const text = block.code.rich_text.map(t => t.plain_text).join('');
+  const language = block.code.language || 'text';
+  const captionText = block.code.caption || [];
+  const { filename, caption, highlightLines } = parseCodeCaption(richTextToPlain(captionText));
+  const { html: code, lineCount } = highlightCode(text, language, { highlightLines });
+
+  const languageClass = getLanguageClass(language);
+  const numbered = lineCount > 1 ? ' code-numbered' : '';
+  let html = `<pre class="notion-code${numbered}" data-language="${escapeHtml(language)}"><code class="language-${languageClass}">${code}</code></pre>\n`;
+
+  if (filename) {
+    html = `<figure class="notion-code-figure"><figcaption class="notion-code-filename">${escapeHtml(filename)}</figcaption>${html}</figure>\n`;
+  } else if (caption) {
+    // Keep the caption's formatting and links, minus the line ranges
+    const captionHtml = ctx.richTextToHtml(stripLineRanges(captionText));
+    html = `<figure class="notion-code-figure">${html}<figcaption class="notion-code-caption">${captionHtml}</figcaption></figure>\n`;
+  }
+  return html;
+});
+
+/**
+ * Remove a trailing "{3-5}" line range from caption rich text
+ */
+function stripLineRanges(richText) {
+  const segments = richText.map(segment => ({ ...segment }));
+  const last = segments[segments.length - 1];
+  if (last?.plain_text) {
+    last.plain_text = last.plain_text.replace(/\s*\{[\d\s,-]+\}\s*$/, '');
+  }
+  return segments;
+}
+
+// Divider
+builtInHandlers.set('divider', async () => `<hr class="notion-divider" />\n`);
+
+// Media
+builtInHandlers.set('image', async (block, ctx) => {
+  const url = getBlockFileUrl(block);
+  const caption = block.image?.caption ? ctx.richTextToHtml(block.image.caption) : '';
+  if (!url) return '';
+  return `<figure class="notion-image">
+  <img src="${escapeHtml(url)}" alt="${caption ? escapeHtml(stripHtml(caption)) : ''}" loading="lazy" />
+  ${caption ? `<figcaption>${caption}</figcaption>` : ''}
+</figure>\n`;
+});
+
+builtInHandlers.set('video', async (block, ctx) => {
+  const url = getBlockFileUrl(block);
+  const caption = block.video?.caption ? ctx.richTextToHtml(block.video.caption) : '';
+  if (!url) return '';
+
+  // YouTube
+  if (url.includes('youtube.com') || url.includes('youtu.be')) {
+    const videoId = extractYouTubeId(url);
+    if (videoId) {
+      return renderVideoEmbed(`https://www.youtube.com/embed/${videoId}`, caption);
+    }
+  }
+
+  // Vimeo
+  if (url.includes('vimeo.com')) {
+    const vimeoId = extractVimeoId(url);
+    if (vimeoId) {
+      return renderVideoEmbed(`https://player.vimeo.com/video/${vimeoId}`, caption);
+    }
+  }
+
+  // Loom
+  if (url.includes('loom.com')) {
+    const loomId = extractLoomId(url);
+    if (loomId) {
+      return renderVideoEmbed(`https://www.loom.com/embed/${loomId}`, caption);
+    }
+  }
+
+  // Direct video file
+  return `<figure class="notion-video">
+  <video controls preload="metadata">
+    <source src="${escapeHtml(url)}" />
+    Your browser does not support video.
+  </video>
+  ${caption ? `<figcaption>${caption}</figcaption>` : ''}
+</figure>\n`;
+});
+
+builtInHandlers.set('audio', async (block, ctx) => {
+  const url = getBlockFileUrl(block);
+  const caption = block.audio?.caption ? ctx.richTextToHtml(block.audio.caption) : '';
+  if (!url) return '';
+  return `<figure class="notion-audio">
+  <audio controls preload="metadata">
+    <source src="${escapeHtml(url)}" />
+    Your browser does not support audio.
+  </audio>
+  ${caption ? `<figcaption>${caption}</figcaption>` : ''}
+</figure>\n`;
+});
+
+builtInHandlers.set('file', async (block, ctx) => {
+  const url = getBlockFileUrl(block);
+  const caption = block.file?.caption ? ctx.richTextToHtml(block.file.caption) : '';
+  const name = block.file?.name || 'Download file';
+  if (!url) return '';
+  return `<div class="notion-file">
+  <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="notion-file-link">
+    <span class="notion-file-icon">📎</span>
+    <span class="notion-file-name">${escapeHtml(name)}</span>
+  </a>
+  ${caption ? `<p class="notion-file-caption">${caption}</p>` : ''}
+</div>\n`;
+});
+
+builtInHandlers.set('pdf', async (block, ctx) => {
+  const url = getBlockFileUrl(block);
+  const caption = block.pdf?.caption ? ctx.richTextToHtml(block.pdf.caption) : '';
+  if (!url) return '';
+  return `<figure class="notion-pdf">
+  <iframe src="${escapeHtml(url)}" class="notion-pdf-embed" loading="lazy"></iframe>
+  ${caption ? `<figcaption>${caption}</figcaption>` : ''}
+</figure>\n`;
+});
+
+// Embeds
+builtInHandlers.set('embed', async (block, ctx) => {
+  const url = sanitizeHref(block.embed?.url);
+  const caption = block.embed?.caption ? ctx.richTextToHtml(block.embed.caption) : '';
+  if (!url) return '';
+  // Add sandbox attribute for security (restrict embedded content)
+  return `<figure class="notion-embed">
+  <iframe src="${escapeHtml(url)}" class="notion-embed-iframe" loading="lazy" allowfullscreen sandbox="allow-scripts allow-same-origin allow-popups allow-forms"></iframe>
+  ${caption ? `<figcaption>${caption}</figcaption>` : ''}
+</figure>\n`;
+});
+
+builtInHandlers.set('bookmark', async (block, ctx) => {
+  const url = sanitizeHref(block.bookmark?.url);
+  const caption = block.bookmark?.caption ? ctx.richTextToHtml(block.bookmark.caption) : '';
+  if (!url) return '';
+
+  // Bookmarked Notion pages link to their page on the site
+  const page = ctx.linkResolver?.resolvePage(url);
+  if (page) {
+    return `<div class="notion-bookmark">
+  <a href="${escapeHtml(page.url)}" class="notion-bookmark-link">
+    <span class="notion-bookmark-url">${escapeHtml(page.title || page.url)}</span>
+  </a>
+  ${caption ? `<p class="notion-bookmark-caption">${caption}</p>` : ''}
+</div>\n`;
+  }
+
+  const preview = await getLinkPreview(url, ctx);
+  if (preview) {
+    return renderLinkCard('notion-bookmark', url, preview, caption);
+  }
+
+  return `<div class="notion-bookmark">
+  <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="notion-bookmark-link">
+    <span class="notion-bookmark-url">${escapeHtml(url)}</span>
+  </a>
+  ${caption ? `<p class="notion-bookmark-caption">${caption}</p>` : ''}
+</div>\n`;
+});
+
+builtInHandlers.set('link_preview', async (block, ctx) => {
+  const url = sanitizeHref(block.link_preview?.url);
+  if (!url) return '';
+
+  const preview = await getLinkPreview(url, ctx);
+  if (preview) {
+    return renderLinkCard('notion-link-preview', url, preview, '');
+  }
+
+  return `<div class="notion-link-preview">
+  <a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>
+</div>\n`;
+});
+
+// Table
+builtInHandlers.set('table', async (block, ctx) => {
+  if (!block.has_children) return '';
+
+  try {
+    const rows = await ctx.getChildren(block.id);
+
+    const hasColumnHeader = block.table.has_column_header;
+    const hasRowHeader = block.table.has_row_header;
+
+    let html = '<div class="notion-table-wrapper"><table class="notion-table">\n';
+
+    rows.forEach((row, rowIndex) => {
+      if (row.type !== 'table_row') return;
+
+      const isHeaderRow = hasColumnHeader && rowIndex === 0;
+      const tag = isHeaderRow ? 'th' : 'td';
+      const wrapper = isHeaderRow ? 'thead' : (rowIndex === 1 && hasColumnHeader ? 'tbody' : '');
+
+      if (wrapper === 'thead') html += '<thead>\n';
+      if (wrapper === 'tbody') html += '<tbody>\n';
+
+      html += '<tr>\n';
+      row.table_row.cells.forEach((cell, cellIndex) => {
+        const isRowHeaderCell = hasRowHeader && cellIndex === 0 && !isHeaderRow;
+        const cellTag = isRowHeaderCell ? 'th' : tag;
+        html += `  <${cellTag}>${ctx.richTextToHtml(cell)}</${cellTag}>\n`;
+      });
+      html += '</tr>\n';
+
+      if (isHeaderRow) html += '</thead>\n';
+    });
+
+    if (hasColumnHeader && rows.length > 1) {
+      html += '</tbody>\n';
+    }
+
+    html += '</table></div>\n';
+    return html;
+  } catch (error) {
+    console.error('Error fetching table rows:', error);
+    return '<p class="notion-error">Unable to load table</p>\n';
+  }
+});
+
+// Toggle
+builtInHandlers.set('toggle', async (block, ctx) => {
+  const text = ctx.richTextToHtml(block.toggle.rich_text);
+  let childrenHtml = '';
+
+  if (block.has_children) {
+    try {
+      const childBlocks = await ctx.getChildren(block.id);
+      childrenHtml = await ctx.blocksToHtml(childBlocks);
+    } catch (error) {
+      console.error('Error fetching toggle children:', error);
+    }
+  }
+
+  return `<details class="notion-toggle${getBlockColorClass(block.toggle.color)}">
+  <summary>${text}</summary>
+  <div class="notion-toggle-content">${childrenHtml}</div>
+</details>\n`;
+});
+
+// To-do (wrapped in <ul class="notion-todo-list"> by renderBlocks, so it can sit in a list item)
+builtInHandlers.set('to_do', async (block, ctx) => {
+  const text = ctx.richTextToHtml(block.to_do.rich_text);
+  const checked = block.to_do.checked;
+  const childrenHtml = await ctx.renderChildren(block);
+  return `  <li class="notion-todo${getBlockColorClass(block.to_do.color)}">
+    <div class="notion-todo-item">
+      <input type="checkbox" ${checked ? 'checked' : ''} disabled />
+      <span class="${checked ? 'notion-todo--checked' : ''}">${text}</span>
+    </div>
+${childrenHtml ? `<div class="notion-block-children">${childrenHtml}</div>\n` : ''}  </li>\n`;
+});
+
+// Child page / database
+builtInHandlers.set('child_page', async (block, ctx) => {
+  const title = block.child_page.title;
+  const url = ctx.linkResolver?.resolveUrl(block.id);
+  // Pages the site doesn't publish are named without a link
+  const label = `📄 ${escapeHtml(title)}`;
+  return `<div class="notion-child-page">
+  ${url ? `<a href="${escapeHtml(url)}">${label}</a>` : `<span>${label}</span>`}
+</div>\n`;
+});
+
+// Inline databases render as a table, gallery or list (see lib/database-view.js)
+builtInHandlers.set('child_database', async (block, ctx) => {
+  // Required here: database-view requires this module
+  const { renderChildDatabase } = require('./database-view');
+  return renderChildDatabase(block, ctx);
+});
+
+// Column layout
+builtInHandlers.set('column_list', async (block, ctx) => {
+  if (!block.has_children) return '';
+
+  try {
+    const columns = await ctx.getChildren(block.id);
+
+    let html = '<div class="notion-columns">\n';
+
+    for (const column of columns) {
+      if (column.type === 'column' && column.has_children) {
+        const columnBlocks = await ctx.getChildren(column.id);
+        const columnContent = await ctx.blocksToHtml(columnBlocks);
+        html += `<div class="notion-column">${columnContent}</div>\n`;
+      }
+    }
+
+    html += '</div>\n';
+    return html;
+  } catch (error) {
+    console.error('Error fetching columns:', error);
+    return '';
+  }
+});
+
+// Handled by column_list
+builtInHandlers.set('column', async () => '');
+
+// Equation
+// Equations render as MathML (see lib/math.js), or as their LaTeX source if it can't be parsed
+builtInHandlers.set('equation', async (block) => {
+  const expression = block.equation.expression;
+  const { html, rendered } = renderEquation(expression, { displayMode: true });
+  return `<div class="notion-equation${rendered ? '' : ' notion-equation--source'}" data-equation="${escapeHtml(expression)}">${html}</div>\n`;
+});
+
+// Table of contents: filled in by blocksToHtml() once every heading is rendered
+builtInHandlers.set('table_of_contents', async () => `${TOC_PLACEHOLDER}\n`);
+
+// Breadcrumb: the page's ancestors with their canonical URLs
+builtInHandlers.set('breadcrumb', async (block, ctx) => {
+  let trail;
+  try {
+    trail = await getBreadcrumbTrail(block, ctx);
+  } catch (error) {
+    console.error(`Error building breadcrumb for block ${block.id}:`, error.code || error.message);
+    return '';
+  }
+  if (trail.length === 0) return '';
+
+  const items = trail.map((crumb, i) => {
+    const title = escapeHtml(crumb.title);
+    if (i === trail.length - 1) return `<li aria-current="page">${title}</li>`;
+    return crumb.url ? `<li><a href="${escapeHtml(crumb.url)}">${title}</a></li>` : `<li>${title}</li>`;
+  });
+  return `<nav class="notion-breadcrumb" aria-label="Breadcrumb"><ol class="notion-breadcrumb-list">${items.join('')}</ol></nav>\n`;
+});
+
+// Synced block
+builtInHandlers.set('synced_block', async (block, ctx) => {
+  if (block.synced_block.synced_from) {
+    // This is a reference to another synced block
+    try {
+      const originalBlocks = await ctx.getChildren(block.synced_block.synced_from.block_id);
+      return await ctx.blocksToHtml(originalBlocks);
+    } catch (error) {
+      console.error('Error fetching synced block:', error);
+      return '';
+    }
+  } else if (block.has_children) {
+    // This is the original synced block
+    try {
+      const childBlocks = await ctx.getChildren(block.id);
+      return await ctx.blocksToHtml(childBlocks);
+    } catch (error) {
+      console.error('Error fetching synced block children:', error);
+      return '';
+    }
+  }
+  return '';
+});
+
+// Template button (just render content)
+builtInHandlers.set('template', async (block, ctx) => {
+  const text = ctx.richTextToHtml(block.template.rich_text);
+  const childrenHtml = await ctx.renderChildren(block);
+  return `<div class="notion-template">${text}${childrenHtml}</div>\n`;
+});
+
+// Button: runs a Notion automation, which has no meaning off Notion
+builtInHandlers.set('button', async () => '');
+
+// Link to page
+builtInHandlers.set('link_to_page', async (block, ctx) => {
+  const pageRef = block.link_to_page;
+  const pageId = pageRef.page_id || pageRef.database_id;
+  if (!pageId) return '';
+
+  // Resolved from the page list without an API call when a resolver is available
+  const resolved = pageRef.page_id ? ctx.linkResolver?.resolvePage(pageId) : null;
+  if (resolved) {
+    return `<div class="notion-page-link">
+  <a href="${escapeHtml(resolved.url)}">↗ ${escapeHtml(resolved.title || 'Untitled')}</a>
+</div>\n`;
+  }
+
+  try {
+    // Visible to the integration but not on the site: name it without a link
+    const linkedPage = await ctx.notion.pages.retrieve({ page_id: pageId });
+    const title = extractTitle(linkedPage);
+    return `<div class="notion-page-link">
+  <span>↗ ${escapeHtml(title)}</span>
+</div>\n`;
+  } catch (error) {
+    return `<div class="notion-page-link notion-page-link--broken">Link to page</div>\n`;
+  }
+});
+
+// =============================================================================
+// Rich text and helpers
+// =============================================================================
+
+/**
+ * Convert rich text array to HTML
+ * @param {Array} richText - Notion rich text
+ * @param {Object} options
+ * @param {Object} options.linkResolver - Turns page mentions and links to Notion pages into site URLs
+ */
+function richTextToHtml(richText, { linkResolver = null } = {}) {
+  if (!richText || !Array.isArray(richText)) return '';
+
+  return richText.map(text => {
+    let html = escapeHtml(text.plain_text);
+
+    // Apply annotations
+    if (text.annotations) {
+      if (text.annotations.bold) html = `<strong>${html}</strong>`;
+      if (text.annotations.italic) html = `<em>${html}</em>`;
+      if (text.annotations.strikethrough) html = `<del>${html}</del>`;
+      if (text.annotations.underline) html = `<u>${html}</u>`;
+      if (text.annotations.code) html = `<code class="notion-inline-code">${html}</code>`;
+
+      // Color support
+      if (text.annotations.color && text.annotations.color !== 'default') {
+        const color = text.annotations.color;
+        if (color.endsWith('_background')) {
+          html = `<span class="notion-bg-${color.replace('_background', '')}">${html}</span>`;
+        } else {
+          html = `<span class="notion-color-${color}">${html}</span>`;
+        }
+      }
+    }
+
+    // Links to pages in the workspace ("/<id>" or a notion.so URL) stay on the site.
+    // "/<id>" links to pages the integration can't see would 404, so they become plain text.
+    const pageUrl = linkResolver && text.href && text.type !== 'mention'
+      ? linkResolver.resolveUrl(text.href)
+      : null;
+    const isPrivatePageLink = !pageUrl && !!linkResolver && /^\/[0-9a-f-]{32,36}(?:[?#]|$)/i.test(text.href || '');
+
+    // Handle links (validate URL scheme for security)
+    if (pageUrl) {
+      html = `<a href="${escapeHtml(pageUrl)}">${html}</a>`;
+    } else if (text.href && !isPrivatePageLink) {
+      const safeHref = sanitizeHref(text.href);
+      if (safeHref) {
+        html = `<a href="${escapeHtml(safeHref)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+      }
+      // If href is unsafe, just render the text without a link
+    }
+
+    // Handle mentions
+    if (text.type === 'mention') {
+      const mention = text.mention;
+      if (mention.type === 'user') {
+        html = `<span class="notion-mention notion-mention--user">@${escapeHtml(text.plain_text)}</span>`;
+      } else if (mention.type === 'date') {
+        const date = mention.date;
+        html = `<span class="notion-mention notion-mention--date">${escapeHtml(date.start)}${date.end ? ` → ${escapeHtml(date.end)}` : ''}</span>`;
+      } else if (mention.type === 'page') {
+        const mentionUrl = linkResolver?.resolveUrl(mention.page?.id);
+        html = mentionUrl
+          ? `<a href="${escapeHtml(mentionUrl)}" class="notion-mention notion-mention--page">${escapeHtml(text.plain_text)}</a>`
+          : `<span class="notion-mention notion-mention--page">${escapeHtml(text.plain_text)}</span>`;
+      } else if (mention.type === 'database') {
+        const databaseUrl = linkResolver?.resolveUrl(mention.database?.id);
+        html = databaseUrl
+          ? `<a href="${escapeHtml(databaseUrl)}" class="notion-mention notion-mention--page">${escapeHtml(text.plain_text)}</a>`
+          : `<span class="notion-mention notion-mention--database">${escapeHtml(text.plain_text)}</span>`;
+      } else if (mention.type === 'link_mention' || mention.type === 'link_preview') {
+        // Pasted links Notion shows as a titled chip with the site's icon
+        const link = mention[mention.type] || {};
+        const href = sanitizeHref(link.href || link.url || text.href);
+        const iconUrl = sanitizeHref(link.icon_url);
+        const label = `${iconUrl ? `<img class="notion-mention-icon" src="${escapeHtml(iconUrl)}" alt="" loading="lazy" />` : ''}${escapeHtml(link.title || text.plain_text)}`;
+        html = href
+          ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="notion-mention notion-mention--link">${label}</a>`
+          : `<span class="notion-mention notion-mention--link">${label}</span>`;
+      } else if (mention.type === 'template_mention') {
+        html = `<span class="notion-mention notion-mention--date">${escapeHtml(text.plain_text)}</span>`;
+      } else if (mention.type === 'custom_emoji') {
+        const emojiUrl = sanitizeHref(mention.custom_emoji?.url);
+        if (emojiUrl) {
+          html = `<img class="notion-emoji" src="${escapeHtml(emojiUrl)}" alt="${escapeHtml(text.plain_text)}" />`;
+        }
+      }
+    }
+
+    // Handle equations
+    if (text.type === 'equation') {
+      const { html: math, rendered } = renderEquation(text.equation.expression);
+      html = `<span class="notion-equation-inline${rendered ? '' : ' notion-equation--source'}" data-equation="${escapeHtml(text.equation.expression)}">${math}</span>`;
+    }
+
+    return html;
+  }).join('');
+}
+
+/**
+ * Convert rich text array to plain text
+ */
+function richTextToPlain(richText) {
+  if (!richText || !Array.isArray(richText)) return '';
+  return richText.map(text => text.plain_text || '').join('');
+}
+
+/**
+ * Extract title from a Notion page
+ */
+function extractTitle(page) {
+  if (!page.properties) return 'Untitled';
+
+  const titleProp = page.properties.title ||
+                   page.properties.Title ||
+                   page.properties.Name ||
+                   page.properties.name;
+
+  return titleProp?.title?.[0]?.plain_text || 'Untitled';
+}
+
+/**
+ * Escape HTML entities
+ */
+function escapeHtml(text) {
+  if (!text) return '';
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Strip HTML tags from text
+ * Equations become their LaTeX source rather than every MathML token.
+ */
+function stripHtml(html) {
+  return html
+    .replace(/<math[\s\S]*?<annotation[^>]*>([\s\S]*?)<\/annotation>[\s\S]*?<\/math>/g, '$1')
+    .replace(/<[^>]*>/g, '');
+}
+
+/**
+ * Sanitize href URLs - allow only safe schemes
+ * Prevents javascript:, data:, and other potentially dangerous protocols
+ */
+function sanitizeHref(href) {
+  if (!href || typeof href !== 'string') return null;
+  try {
+    const url = new URL(href, 'https://example.com'); // Use base URL for relative links
+    const allowedProtocols = ['http:', 'https:', 'mailto:', 'tel:'];
+    if (allowedProtocols.includes(url.protocol)) {
+      return href;
+    }
+    return null;
+  } catch {
+    // If URL parsing fails, check if it's a valid relative path
+    if (href.startsWith('/') || href.startsWith('#')) {
+      return href;
+    }
+    return null;
+  }
+}
+
+/**
+ * Extract YouTube video ID from URL
+ */
+function extractYouTubeId(url) {
+  const match = url.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract Vimeo video ID from URL
+ * Handles: vimeo.com/123456789, vimeo.com/video/123456789, player.vimeo.com/video/123456789
+ */
+function extractVimeoId(url) {
+  try {
+    // Remove query params
+    const cleanUrl = url.split('?')[0];
+    const match = cleanUrl.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract Loom video ID from URL
+ * Handles: loom.com/share/abc123, loom.com/embed/abc123
+ */
+function extractLoomId(url) {
+  try {
+    const cleanUrl = url.split('?')[0];
+    const match = cleanUrl.match(/loom\.com\/(?:share|embed)\/([a-zA-Z0-9]+)/);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  registerBlockHandler,
+  unregisterBlockHandler,
+  getBlockHandler,
+  getAllBlocks,
+  blocksToHtml,
+  blockToHtml,
+  fillDeferredBlocks,
+  hasDeferredBlocks,
+  richTextToHtml,
+  richTextToPlain,
+  getHeadingId,
+  extractTitle,
+  escapeHtml,
+  stripHtml,
+  sanitizeHref
+};
+
+// Load project-specific block handlers (after exports so plugins can require this module)
+require('./block-plugins');
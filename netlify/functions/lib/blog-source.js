@@ -0,0 +1,238 @@
+/**
+ * Blog Source
+ *
+ * Where blog posts come from, and how their properties are read.
+ *
+ * - Child pages (default): every child page of NOTION_BLOG_PAGE_ID
+ * - Database: every row of NOTION_BLOG_DB_ID. Drafts and future scheduled
+ *   posts are filtered out by databases.query itself, rows come back sorted
+ *   by Pinned, Sort Order and date, and each row carries its properties, so
+ *   listing needs no pages.retrieve per post.
+ *
+ * Column names are configurable in SITE_CONFIG.blog.properties (js/config.js)
+ * for databases whose columns are named differently, e.g. "State" instead
+ * of "Status". Status may be a select or a status property.
+ */
+
+const { normalizeId } = require('./page-types');
+const SITE_CONFIG = require('../../../js/config');
+
+// Column names used when SITE_CONFIG.blog.properties doesn't override them
+const DEFAULT_PROPERTIES = {
+  title: null, // The title column, whatever it is called
+  status: 'Status',
+  publishDate: 'Publish Date',
+  slug: 'Slug',
+  pinned: 'Pinned',
+  featured: 'Featured',
+  sortOrder: 'Sort Order',
+  tags: 'Tags',
+  category: 'Category',
+  metaTitle: 'Meta Title',
+  metaDescription: 'Meta Description'
+};
+
+/**
+ * Column names for blog post properties
+ */
+function getBlogProperties() {
+  return { ...DEFAULT_PROPERTIES, ...(SITE_CONFIG.blog?.properties || {}) };
+}
+
+function getBlogDatabaseId() {
+  return process.env.NOTION_BLOG_DB_ID || null;
+}
+
+/**
+ * Whether either blog source is configured
+ */
+function isBlogConfigured() {
+  return !!(getBlogDatabaseId() || process.env.NOTION_BLOG_PAGE_ID);
+}
+
+/**
+ * Whether a page is a row of the blog database
+ */
+function isBlogDatabaseRow(page) {
+  const databaseId = getBlogDatabaseId();
+  return !!databaseId &&
+    page?.parent?.type === 'database_id' &&
+    normalizeId(page.parent.database_id) === normalizeId(databaseId);
+}
+
+/**
+ * Plain text of a property, whatever its type
+ */
+function getPropertyText(property) {
+  if (!property) return '';
+
+  switch (property.type) {
+    case 'select':
+    case 'status':
+      return property[property.type]?.name || '';
+    case 'formula':
+      return property.formula?.string || '';
+    case 'url':
+      return property.url || '';
+    default: {
+      // title and rich_text (also when type is missing)
+      const segments = property.title || property.rich_text;
+      if (Array.isArray(segments)) {
+        return segments.map(segment => segment.plain_text || '').join('').trim();
+      }
+      return property.select?.name || property.status?.name || '';
+    }
+  }
+}
+
+/**
+ * Title property: the configured column, else the page's title column
+ */
+function getTitleProperty(page, names = getBlogProperties()) {
+  const properties = page.properties || {};
+  if (names.title) return properties[names.title];
+  return properties.title || properties.Title || properties.Name ||
+    Object.values(properties).find(property => property?.type === 'title');
+}
+
+/**
+ * Read a blog post's properties using the configured column names
+ * @param {Object} page - Notion page object
+ * @returns {Object} { title, slug, customSlug, status, publishDate, isPinned, isFeatured, sortOrder, tags, category, metaTitle, metaDescription }
+ */
+function readPostProperties(page) {
+  const names = getBlogProperties();
+  const properties = page.properties || {};
+
+  const title = getPropertyText(getTitleProperty(page, names)) || 'Untitled Post';
+  const customSlug = getPropertyText(properties[names.slug]) || null;
+  const slug = customSlug ||
+    title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+  return {
+    title,
+    slug,
+    customSlug,
+    // Default to Published if not set
+    status: getPropertyText(properties[names.status]) || 'Published',
+    publishDate: properties[names.publishDate]?.date?.start || null,
+    isPinned: properties[names.pinned]?.checkbox || false,
+    isFeatured: properties[names.featured]?.checkbox || false,
+    sortOrder: properties[names.sortOrder]?.number || 0,
+    tags: (properties[names.tags]?.multi_select || []).map(option => option.name).filter(Boolean),
+    category: getPropertyText(properties[names.category]) || null,
+    metaTitle: getPropertyText(properties[names.metaTitle]) || null,
+    metaDescription: getPropertyText(properties[names.metaDescription]) || null
+  };
+}
+
+/**
+ * Query filter hiding drafts and future scheduled posts
+ * Only uses columns the database has, with the types the filter needs.
+ */
+function buildPublishedFilter(schema, names, now) {
+  const statusType = schema[names.status];
+  if (statusType !== 'select' && statusType !== 'status') return undefined;
+
+  const conditions = [{ property: names.status, [statusType]: { does_not_equal: 'Draft' } }];
+
+  if (schema[names.publishDate] === 'date') {
+    conditions.push({
+      or: [
+        { property: names.status, [statusType]: { does_not_equal: 'Scheduled' } },
+        { property: names.publishDate, date: { is_empty: true } },
+        { property: names.publishDate, date: { on_or_before: now.toISOString() } }
+      ]
+    });
+  }
+
+  return { and: conditions };
+}
+
+/**
+ * Pinned first, then Sort Order (higher first), then newest - same order blog-list sorts by
+ */
+function buildSorts(schema, names) {
+  const sorts = [];
+  if (schema[names.pinned] === 'checkbox') sorts.push({ property: names.pinned, direction: 'descending' });
+  if (schema[names.sortOrder] === 'number') sorts.push({ property: names.sortOrder, direction: 'descending' });
+  if (schema[names.publishDate] === 'date') sorts.push({ property: names.publishDate, direction: 'descending' });
+  sorts.push({ timestamp: 'created_time', direction: 'descending' });
+  return sorts;
+}
+
+/**
+ * Query every row of the blog database
+ */
+async function queryBlogDatabase(notion, databaseId, { includeUnpublished }) {
+  const names = getBlogProperties();
+  const database = await notion.databases.retrieve({ database_id: databaseId });
+  const schema = Object.fromEntries(
+    Object.entries(database.properties || {}).map(([name, property]) => [name, property.type])
+  );
+
+  const filter = includeUnpublished ? undefined : buildPublishedFilter(schema, names, new Date());
+  const sorts = buildSorts(schema, names);
+
+  const rows = [];
+  let cursor;
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      filter,
+      sorts,
+      start_cursor: cursor,
+      page_size: 100
+    });
+    rows.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return rows.filter(row => !row.archived);
+}
+
+/**
+ * List blog posts from the configured source
+ * @param {Object} notion - Notion client
+ * @param {Object} options
+ * @param {boolean} options.includeUnpublished - Include drafts and future scheduled posts
+ *   (database source only - child pages are always all returned)
+ * @returns {Promise<Array<{id: string, last_edited_time: string, page: Object|null}>>}
+ *   page is the full page object for database rows, null for child pages
+ */
+async function listBlogPosts(notion, { includeUnpublished = false } = {}) {
+  const databaseId = getBlogDatabaseId();
+
+  if (databaseId) {
+    const rows = await queryBlogDatabase(notion, databaseId, { includeUnpublished });
+    return rows.map(row => ({ id: row.id, last_edited_time: row.last_edited_time, page: row }));
+  }
+
+  // Not getAllBlocks() - block-renderer depends on this module via link-resolver
+  const posts = [];
+  let cursor;
+  do {
+    const response = await notion.blocks.children.list({
+      block_id: process.env.NOTION_BLOG_PAGE_ID,
+      start_cursor: cursor,
+      page_size: 100
+    });
+    for (const block of response.results) {
+      if (block.type === 'child_page') {
+        posts.push({ id: block.id, last_edited_time: block.last_edited_time, page: null });
+      }
+    }
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return posts;
+}
+
+module.exports = {
+  getBlogProperties,
+  getBlogDatabaseId,
+  isBlogConfigured,
+  isBlogDatabaseRow,
+  readPostProperties,
+  listBlogPosts
+};
@@ -0,0 +1,304 @@
+/**
+ * Response Cache
+ *
+ * Shared cache for rendered page HTML and list payloads. Every entry is
+ * stored with the Notion `last_edited_time` it was built from, and is only
+ * reused while that version still matches - there is no TTL.
+ *
+ * Environment Variables:
+ * - CACHE_BACKEND: memory (default) | filesystem | blobs | none
+ * - CACHE_DIR: Directory for the filesystem backend (default: OS temp dir)
+ * - CACHE_BLOBS_STORE: Store name for the blobs backend (default: notion-cms-cache)
+ *
+ * The memory backend survives between warm invocations of the same function
+ * instance. The filesystem backend survives across instances sharing a disk
+ * (and across builds/dev sessions). The blobs backend uses a Netlify Blobs
+ * style key/value store and survives across deploys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bump when the shape of cached values changes (e.g. renderer output)
+const CACHE_SCHEMA_VERSION = 17;
+
+/**
+ * In-memory backend (per function instance)
+ */
+function createMemoryBackend() {
+  const store = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async set(key, entry) {
+      store.set(key, entry);
+    },
+    async delete(key) {
+      store.delete(key);
+    }
+  };
+}
+
+/**
+ * Filesystem backend - one JSON file per entry
+ */
+function createFilesystemBackend(dir = process.env.CACHE_DIR || path.join(os.tmpdir(), 'notion-cms-cache')) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  return {
+    name: 'filesystem',
+    async get(key) {
+      try {
+        const raw = await fs.promises.readFile(fileFor(key), 'utf8');
+        return JSON.parse(raw);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, entry) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // Write to a temp file then rename so readers never see partial JSON
+      const file = fileFor(key);
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpFile, JSON.stringify(entry));
+      await fs.promises.rename(tmpFile, file);
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+}
+
+/**
+ * Key/value store backend (Netlify Blobs style)
+ * @param {Object} store - Object with get(key, { type: 'json' }), setJSON(key, value), delete(key)
+ */
+function createBlobsBackend(store) {
+  if (!store) {
+    let getStore;
+    try {
+      ({ getStore } = require('@netlify/blobs'));
+    } catch {
+      throw new Error('CACHE_BACKEND=blobs requires the @netlify/blobs package (npm install @netlify/blobs)');
+    }
+    store = getStore(process.env.CACHE_BLOBS_STORE || 'notion-cms-cache');
+  }
+
+  return {
+    name: 'blobs',
+    async get(key) {
+      return (await store.get(key, { type: 'json' })) || null;
+    },
+    async set(key, entry) {
+      await store.setJSON(key, entry);
+    },
+    async delete(key) {
+      await store.delete(key);
+    }
+  };
+}
+
+/**
+ * No-op backend (CACHE_BACKEND=none)
+ */
+function createNullBackend() {
+  return {
+    name: 'none',
+    async get() { return null; },
+    async set() {},
+    async delete() {}
+  };
+}
+
+let defaultBackend = null;
+
+/**
+ * Get the backend selected by CACHE_BACKEND
+ * Created once per function instance so the memory backend persists while warm.
+ */
+function getDefaultBackend() {
+  if (defaultBackend) return defaultBackend;
+
+  const type = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'filesystem':
+    case 'fs':
+      defaultBackend = createFilesystemBackend();
+      break;
+    case 'blobs':
+      defaultBackend = createBlobsBackend();
+      break;
+    case 'none':
+    case 'off':
+      defaultBackend = createNullBackend();
+      break;
+    case 'memory':
+    default:
+      defaultBackend = createMemoryBackend();
+      break;
+  }
+
+  return defaultBackend;
+}
+
+/**
+ * Replace the default backend (e.g. with a custom store)
+ */
+function setDefaultBackend(backend) {
+  defaultBackend = backend;
+}
+
+/**
+ * Create a cache handle for one function invocation
+ * Tracks hits and misses so the response can report them.
+ * Backend failures are logged and treated as misses - the cache never fails a request.
+ * @param {Object} options
+ * @param {Object} options.backend - Backend to use (default: CACHE_BACKEND)
+ * @returns {Object} Cache with get, set, wrap, getDiagnostics, getHeaders
+ */
+function createCache({ backend = getDefaultBackend() } = {}) {
+  const stats = { hits: 0, misses: 0 };
+
+  const fullKey = (key) => `v${CACHE_SCHEMA_VERSION}:${key}`;
+
+  /**
+   * Get a cached value if it was stored for the given version
+   * @returns {Promise<*>} Cached value, or undefined on miss
+   */
+  async function get(key, version) {
+    if (!version) {
+      stats.misses++;
+      return undefined;
+    }
+
+    try {
+      const entry = await backend.get(fullKey(key));
+      if (entry && entry.version === version) {
+        stats.hits++;
+        return entry.value;
+      }
+    } catch (error) {
+      console.error(`Cache read failed for ${key}:`, error);
+    }
+
+    stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value for the given version
+   */
+  async function set(key, version, value) {
+    if (!version || value === undefined) return;
+
+    try {
+      await backend.set(fullKey(key), {
+        version,
+        value,
+        storedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Cache write failed for ${key}:`, error);
+    }
+  }
+
+  /**
+   * Return the cached value for this version, or compute and store it
+   */
+  async function wrap(key, version, compute) {
+    const cached = await get(key, version);
+    if (cached !== undefined) return cached;
+
+    const value = await compute();
+    await set(key, version, value);
+    return value;
+  }
+
+  function getStatus() {
+    if (stats.hits === 0 && stats.misses === 0) return 'BYPASS';
+    if (stats.misses === 0) return 'HIT';
+    if (stats.hits === 0) return 'MISS';
+    return 'PARTIAL';
+  }
+
+  /**
+   * Cache diagnostics for this invocation
+   */
+  function getDiagnostics() {
+    return {
+      status: getStatus(),
+      backend: backend.name,
+      hits: stats.hits,
+      misses: stats.misses
+    };
+  }
+
+  /**
+   * Response headers describing cache usage for this invocation
+   */
+  function getHeaders() {
+    const { status, backend: backendName, hits, misses } = getDiagnostics();
+    return {
+      'X-Cache': status,
+      'X-Cache-Backend': backendName,
+      'X-Cache-Hits': String(hits),
+      'X-Cache-Misses': String(misses)
+    };
+  }
+
+  return { get, set, wrap, getDiagnostics, getHeaders };
+}
+
+/**
+ * Durable state on the cache backend (e.g. the slug registry)
+ * Unlike cache entries, state is not tied to a last_edited_time and is kept
+ * across CACHE_SCHEMA_VERSION bumps. Failures are logged and read as null.
+ * @param {Object} options
+ * @param {Object} options.backend - Backend to use (default: CACHE_BACKEND)
+ * @returns {Object} Store with get and set
+ */
+function createStateStore({ backend = getDefaultBackend() } = {}) {
+  const fullKey = (key) => `state:${key}`;
+
+  async function get(key) {
+    try {
+      const entry = await backend.get(fullKey(key));
+      return entry ? entry.value : null;
+    } catch (error) {
+      console.error(`State read failed for ${key}:`, error);
+      return null;
+    }
+  }
+
+  async function set(key, value) {
+    try {
+      await backend.set(fullKey(key), {
+        value,
+        storedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`State write failed for ${key}:`, error);
+    }
+  }
+
+  return { get, set };
+}
+
+module.exports = {
+  CACHE_SCHEMA_VERSION,
+  createCache,
+  createStateStore,
+  createMemoryBackend,
+  createFilesystemBackend,
+  createBlobsBackend,
+  createNullBackend,
+  getDefaultBackend,
+  setDefaultBackend
+};
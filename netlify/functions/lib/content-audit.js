@@ -0,0 +1,381 @@
+/**
+ * Content Audit
+ *
+ * Walks every page the integration can see and reports SEO and
+ * accessibility problems that are easy to miss in Notion: missing meta
+ * properties, images without captions (rendered with an empty alt),
+ * skipped heading levels, duplicate URLs, empty pages, scheduled pages
+ * without a Publish Date and block types the renderer doesn't support.
+ *
+ * Used by the content-audit function and scripts/audit.js. Block scans are
+ * stored in the response cache keyed by last_edited_time, so re-running
+ * the audit only re-reads pages that changed.
+ */
+
+const { getAllBlocks, getBlockHandler, escapeHtml, richTextToPlain } = require('./block-renderer');
+const { listPages } = require('./page-index');
+
+// Pages scanned concurrently (Notion allows ~3 requests/second)
+const AUDIT_CONCURRENCY = 3;
+
+// Bump when the block scan changes - cached scans are redone
+const SCAN_FORMAT = '1';
+
+// Blocks whose children are separate pages, not part of this page's content
+const SEPARATE_PAGE_TYPES = new Set(['child_page', 'child_database']);
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Rules, with how serious they are and how to fix them
+ */
+const RULES = {
+  'duplicate-slug': {
+    severity: 'error',
+    title: 'Duplicate URL',
+    hint: 'Two pages resolve to the same URL, so only one of them can be reached. Give one a unique Slug property.'
+  },
+  'scheduled-without-date': {
+    severity: 'error',
+    title: 'Scheduled without Publish Date',
+    hint: 'Scheduled pages without a Publish Date are published immediately. Set a Publish Date or change the Status.'
+  },
+  'empty-page': {
+    severity: 'warning',
+    title: 'Empty page',
+    hint: 'The page has no content. Add content, set Status to Draft, or delete it.'
+  },
+  'missing-meta-description': {
+    severity: 'warning',
+    title: 'Missing Meta Description',
+    hint: 'Search engines and social cards fall back to the first paragraph. Add a Meta Description property (about 150 characters).'
+  },
+  'image-missing-caption': {
+    severity: 'warning',
+    title: 'Image without caption',
+    hint: 'The caption becomes the image alt text - without one the image is rendered with alt="" and is skipped by screen readers.'
+  },
+  'heading-skip': {
+    severity: 'warning',
+    title: 'Skipped heading level',
+    hint: 'The page title is the only H1. Start sections with Heading 1 (rendered as H1) or Heading 2, and nest Heading 3 under them without skipping levels.'
+  },
+  'unsupported-block': {
+    severity: 'warning',
+    title: 'Unsupported block',
+    hint: 'Only the block\'s text and nested blocks are rendered (an HTML comment when it has neither). Replace it, or register a handler in lib/block-plugins.js.'
+  },
+  'missing-meta-title': {
+    severity: 'info',
+    title: 'Missing Meta Title',
+    hint: 'The page title is used as the <title>. Add a Meta Title property to tailor it for search results.'
+  }
+};
+
+// =============================================================================
+// SCANNING
+// =============================================================================
+
+/**
+ * Walk a page's blocks depth-first and collect block-level issues
+ * @returns {Promise<{issues: Array, blockCount: number, contentBlocks: number}>}
+ */
+async function scanPageBlocks(notion, pageId) {
+  const issues = [];
+  let blockCount = 0;
+  let contentBlocks = 0;
+
+  // The page title renders as the H1, so content headings start below it
+  let previousLevel = 1;
+
+  async function walk(blocks) {
+    for (const block of blocks) {
+      blockCount++;
+
+      if (hasContent(block)) contentBlocks++;
+
+      if (!getBlockHandler(block.type)) {
+        issues.push(createIssue('unsupported-block', `Block type "${block.type}" is not rendered`, block.id));
+      }
+
+      const headingMatch = /^heading_([1-3])$/.exec(block.type);
+      if (headingMatch) {
+        const level = Number(headingMatch[1]);
+        const text = richTextToPlain(block[block.type].rich_text);
+        if (level > previousLevel + 1) {
+          issues.push(createIssue('heading-skip', `"${text}" is H${level} but follows H${previousLevel}`, block.id));
+        }
+        previousLevel = level;
+      }
+
+      if (block.type === 'image' && !richTextToPlain(block.image.caption || []).trim()) {
+        issues.push(createIssue('image-missing-caption', 'Image has no caption (empty alt text)', block.id));
+      }
+
+      if (block.has_children && !SEPARATE_PAGE_TYPES.has(block.type)) {
+        await walk(await getAllBlocks(notion, block.id));
+      }
+    }
+  }
+
+  await walk(await getAllBlocks(notion, pageId));
+
+  return { issues, blockCount, contentBlocks };
+}
+
+/**
+ * Whether a block contributes visible content (blank paragraphs and dividers don't)
+ */
+function hasContent(block) {
+  if (block.type === 'divider' || block.type === 'column_list' || block.type === 'column') {
+    return false;
+  }
+  if (block.type === 'paragraph') {
+    return richTextToPlain(block.paragraph.rich_text).trim() !== '';
+  }
+  return true;
+}
+
+/**
+ * Issues that only need page properties
+ */
+function checkPageProperties(page) {
+  const issues = [];
+
+  if (page.status === 'Scheduled' && !page.publishDate) {
+    issues.push(createIssue('scheduled-without-date', 'Status is Scheduled but Publish Date is empty'));
+  }
+  if (!page.metaDescription) {
+    issues.push(createIssue('missing-meta-description', 'Meta Description is empty'));
+  }
+  if (!page.metaTitle) {
+    issues.push(createIssue('missing-meta-title', 'Meta Title is empty'));
+  }
+
+  return issues;
+}
+
+/**
+ * Pages that share a URL, grouped by URL
+ */
+function findDuplicateUrls(pages) {
+  const byUrl = new Map();
+  for (const page of pages) {
+    if (!byUrl.has(page.url)) byUrl.set(page.url, []);
+    byUrl.get(page.url).push(page);
+  }
+  return new Map([...byUrl].filter(([, group]) => group.length > 1));
+}
+
+function createIssue(rule, message, blockId = null) {
+  return { rule, severity: RULES[rule].severity, message, blockId };
+}
+
+/**
+ * Link to a page (or a block on it) in Notion
+ */
+function notionUrl(pageId, blockId = null) {
+  const base = `https://www.notion.so/${pageId.replace(/-/g, '')}`;
+  return blockId ? `${base}#${blockId.replace(/-/g, '')}` : base;
+}
+
+// =============================================================================
+// AUDIT
+// =============================================================================
+
+/**
+ * Audit every content page
+ * @param {Object} notion - Notion client
+ * @param {Object} options
+ * @param {Object} options.cache - Cache handle from createCache() (optional)
+ * @param {string} options.type - Only audit this page type (blog | landing | docs | unknown)
+ * @param {boolean} options.includeUnpublished - Include drafts and future scheduled pages
+ * @returns {Promise<Object>} Report
+ */
+async function auditContent(notion, { cache = null, type = null, includeUnpublished = true } = {}) {
+  const { pages } = await listPages(notion, { type, includeUnpublished });
+  const duplicates = findDuplicateUrls(pages);
+  const results = [];
+
+  for (let i = 0; i < pages.length; i += AUDIT_CONCURRENCY) {
+    const batch = pages.slice(i, i + AUDIT_CONCURRENCY);
+
+    results.push(...await Promise.all(batch.map(async (page) => {
+      const issues = checkPageProperties(page);
+
+      const duplicateGroup = duplicates.get(page.url);
+      if (duplicateGroup) {
+        const others = duplicateGroup.filter(other => other.id !== page.id).map(other => `"${other.title}"`);
+        issues.push(createIssue('duplicate-slug', `${page.url} is also used by ${others.join(', ')}`));
+      }
+
+      let blockCount = null;
+      try {
+        const scan = cache
+          ? await cache.wrap(`audit-scan:${SCAN_FORMAT}:${page.id}`, page.lastEditedTime, () => scanPageBlocks(notion, page.id))
+          : await scanPageBlocks(notion, page.id);
+
+        blockCount = scan.blockCount;
+        if (scan.contentBlocks === 0) {
+          issues.push(createIssue('empty-page', scan.blockCount === 0 ? 'Page has no blocks' : 'Page only has blank blocks'));
+        }
+        issues.push(...scan.issues);
+      } catch (error) {
+        console.error(`Error auditing page ${page.id}:`, error);
+      }
+
+      issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+      return {
+        id: page.id,
+        title: page.title,
+        url: page.url,
+        notionUrl: notionUrl(page.id),
+        pageType: page.pageType,
+        status: page.status,
+        blockCount,
+        scanned: blockCount !== null,
+        issues: issues.map(issue => ({
+          ...issue,
+          notionUrl: issue.blockId ? notionUrl(page.id, issue.blockId) : null
+        }))
+      };
+    })));
+  }
+
+  const summary = {
+    pages: results.length,
+    pagesWithIssues: results.filter(page => page.issues.length > 0).length,
+    issues: 0,
+    bySeverity: { error: 0, warning: 0, info: 0 },
+    byRule: Object.fromEntries(Object.keys(RULES).map(rule => [rule, 0]))
+  };
+
+  for (const page of results) {
+    for (const issue of page.issues) {
+      summary.issues++;
+      summary.bySeverity[issue.severity]++;
+      summary.byRule[issue.rule]++;
+    }
+  }
+
+  // Worst pages first
+  results.sort((a, b) => countBySeverity(b) - countBySeverity(a) || a.title.localeCompare(b.title));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary,
+    rules: RULES,
+    pages: results
+  };
+}
+
+/**
+ * Sort key: errors outweigh any number of warnings, warnings any number of infos
+ */
+function countBySeverity(page) {
+  return page.issues.reduce((total, issue) => total + [1e6, 1e3, 1][SEVERITY_ORDER[issue.severity]], 0);
+}
+
+// =============================================================================
+// HTML REPORT
+// =============================================================================
+
+/**
+ * Render a report as a standalone HTML document
+ */
+function renderAuditHtml(report) {
+  const { summary } = report;
+  const pagesWithIssues = report.pages.filter(page => page.issues.length > 0);
+
+  const ruleRows = Object.entries(report.rules)
+    .filter(([rule]) => summary.byRule[rule] > 0)
+    .map(([rule, info]) => `
+        <tr>
+          <td><span class="severity severity--${info.severity}">${info.severity}</span></td>
+          <td>${escapeHtml(info.title)}</td>
+          <td class="count">${summary.byRule[rule]}</td>
+          <td>${escapeHtml(info.hint)}</td>
+        </tr>`)
+    .join('');
+
+  const pageSections = pagesWithIssues.map(page => {
+    const issues = page.issues.map(issue => `
+          <li>
+            <span class="severity severity--${issue.severity}">${issue.severity}</span>
+            <strong>${escapeHtml(report.rules[issue.rule]?.title || issue.rule)}</strong> — ${escapeHtml(issue.message)}
+            ${issue.notionUrl ? `<a href="${escapeHtml(issue.notionUrl)}" target="_blank" rel="noopener noreferrer">Open block</a>` : ''}
+          </li>`).join('');
+
+    return `
+      <section class="page">
+        <h3>${escapeHtml(page.title)}</h3>
+        <p class="meta">
+          <code>${escapeHtml(page.url)}</code> · ${escapeHtml(page.pageType)} · ${escapeHtml(page.status)}
+          · <a href="${escapeHtml(page.notionUrl)}" target="_blank" rel="noopener noreferrer">Edit in Notion</a>
+          ${page.scanned ? '' : ' · <em>content could not be read</em>'}
+        </p>
+        <ul>${issues}
+        </ul>
+      </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Content Audit</title>
+  <style>
+    body { font-family: system-ui, -apple-system, sans-serif; line-height: 1.5; color: #1f2937; max-width: 960px; margin: 0 auto; padding: 2rem 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    .generated, .meta { color: #6b7280; font-size: 0.875rem; margin-top: 0; }
+    .totals { display: flex; gap: 1rem; flex-wrap: wrap; margin: 1.5rem 0; }
+    .total { border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem 1rem; min-width: 8rem; }
+    .total strong { display: block; font-size: 1.5rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.875rem; }
+    th, td { text-align: left; padding: 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    td.count { text-align: right; font-weight: 600; }
+    .page { border-top: 1px solid #e5e7eb; padding-top: 1rem; margin-top: 1rem; }
+    .page h3 { margin: 0; }
+    .page ul { padding-left: 1.25rem; }
+    .page li { margin: 0.25rem 0; }
+    .severity { display: inline-block; font-size: 0.75rem; font-weight: 600; text-transform: uppercase; border-radius: 4px; padding: 0 0.375rem; }
+    .severity--error { background: #fee2e2; color: #991b1b; }
+    .severity--warning { background: #fef3c7; color: #92400e; }
+    .severity--info { background: #dbeafe; color: #1e40af; }
+    a { color: #2563eb; }
+  </style>
+</head>
+<body>
+  <h1>Content Audit</h1>
+  <p class="generated">Generated ${escapeHtml(report.generatedAt)}</p>
+
+  <div class="totals">
+    <div class="total"><strong>${summary.pages}</strong>pages audited</div>
+    <div class="total"><strong>${summary.pagesWithIssues}</strong>pages with issues</div>
+    <div class="total"><strong>${summary.bySeverity.error}</strong>errors</div>
+    <div class="total"><strong>${summary.bySeverity.warning}</strong>warnings</div>
+    <div class="total"><strong>${summary.bySeverity.info}</strong>suggestions</div>
+  </div>
+
+  ${ruleRows ? `<h2>Issues by rule</h2>
+  <table>
+    <thead><tr><th>Severity</th><th>Rule</th><th>Count</th><th>How to fix</th></tr></thead>
+    <tbody>${ruleRows}
+    </tbody>
+  </table>` : '<p>No issues found.</p>'}
+
+  ${pagesWithIssues.length > 0 ? `<h2>Pages</h2>${pageSections}` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  RULES,
+  auditContent,
+  scanPageBlocks,
+  renderAuditHtml
+};
@@ -0,0 +1,446 @@
+/**
+ * Database Views
+ *
+ * Renders inline databases (child_database blocks) as an HTML table, a card
+ * gallery or a list, so pricing tables and directories can live in Notion.
+ * Used by the child_database handler in lib/block-renderer.js.
+ *
+ * Choosing a view:
+ * - A suffix on the database title: "Pricing [table]", "Team [gallery]",
+ *   "Resources [list]" (the suffix is not shown)
+ * - Otherwise the "Database View" select property of the page being
+ *   rendered (Table | Gallery | List), passed as options.page to
+ *   blocksToHtml()
+ * - Otherwise a table
+ *
+ * Columns whose name starts with "_" are hidden. Row titles link to the
+ * row's page when it is part of the site (e.g. an inline view of the blog
+ * database). Files uploaded to a files property are listed by name only -
+ * their signed URLs expire - so use the row's page cover or external links
+ * for gallery images.
+ *
+ * Editing a row doesn't change the page's (or the database's)
+ * last_edited_time, so views are rendered on every request rather than kept
+ * in the page cache - and reused from the state store for
+ * DATABASE_VIEW_TTL_SECONDS, so a page view doesn't query the database each
+ * time. Edited rows show up after at most that long.
+ */
+
+const { escapeHtml, sanitizeHref } = require('./block-renderer');
+const { getPageCover } = require('./assets');
+const { CACHE_SCHEMA_VERSION, createStateStore } = require('./cache');
+const { getPageTitle } = require('./link-resolver');
+const SITE_CONFIG = require('../../../js/config');
+
+const VIEWS = ['table', 'gallery', 'list'];
+const DEFAULT_VIEW = 'table';
+
+// Page property selecting the view for every inline database on the page
+const VIEW_PROPERTY = 'Database View';
+
+// Rows rendered per database
+const MAX_ROWS = 200;
+
+// How long a rendered view is reused
+const DATABASE_VIEW_TTL_SECONDS = 60;
+
+// Notion number formats -> ISO currency codes
+const CURRENCIES = {
+  dollar: 'USD',
+  canadian_dollar: 'CAD',
+  australian_dollar: 'AUD',
+  euro: 'EUR',
+  pound: 'GBP',
+  yen: 'JPY',
+  yuan: 'CNY',
+  rupee: 'INR',
+  won: 'KRW',
+  real: 'BRL',
+  franc: 'CHF',
+  krona: 'SEK',
+  peso: 'MXN',
+  ruble: 'RUB'
+};
+
+/**
+ * Split "Pricing [gallery]" into its title and view
+ */
+function parseDatabaseTitle(title) {
+  const match = /^(.*?)\s*\[(table|gallery|list)\]\s*$/i.exec(title || '');
+  if (!match) return { title: title || '', view: null };
+  return { title: match[1], view: match[2].toLowerCase() };
+}
+
+/**
+ * View for an inline database: title suffix, then the page property, then the default
+ */
+function getDatabaseView(titleView, page) {
+  if (titleView) return titleView;
+
+  const pageView = page?.properties?.[VIEW_PROPERTY]?.select?.name?.toLowerCase();
+  return VIEWS.includes(pageView) ? pageView : DEFAULT_VIEW;
+}
+
+function getLocale() {
+  return SITE_CONFIG.pages?.dateLocale || SITE_CONFIG.blog?.dateLocale || 'en-US';
+}
+
+// =============================================================================
+// Property values
+// =============================================================================
+
+function formatNumber(value, format) {
+  if (value === null || value === undefined) return '';
+
+  try {
+    if (format === 'percent') {
+      return new Intl.NumberFormat(getLocale(), { style: 'percent', maximumFractionDigits: 2 }).format(value);
+    }
+    if (CURRENCIES[format]) {
+      return new Intl.NumberFormat(getLocale(), { style: 'currency', currency: CURRENCIES[format] }).format(value);
+    }
+    if (format === 'number_with_commas') {
+      return new Intl.NumberFormat(getLocale()).format(value);
+    }
+  } catch {
+    // Unknown locale or currency - fall through to the plain number
+  }
+  return String(value);
+}
+
+function formatDateValue(value) {
+  if (!value) return '';
+
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return escapeHtml(value);
+
+  const options = { year: 'numeric', month: 'short', day: 'numeric' };
+  // Date-only values are midnight UTC - don't let the server's time zone shift them
+  if (value.includes('T')) {
+    Object.assign(options, { hour: 'numeric', minute: '2-digit' });
+  } else {
+    options.timeZone = 'UTC';
+  }
+  return `<time datetime="${escapeHtml(value)}">${escapeHtml(d.toLocaleString(getLocale(), options))}</time>`;
+}
+
+function formatDateRange(date) {
+  if (!date?.start) return '';
+  return date.end
+    ? `${formatDateValue(date.start)} → ${formatDateValue(date.end)}`
+    : formatDateValue(date.start);
+}
+
+function renderTag(option) {
+  if (!option?.name) return '';
+  const color = /^[a-z_]+$/.test(option.color || '') ? option.color : 'default';
+  return `<span class="notion-tag notion-tag--${color}">${escapeHtml(option.name)}</span>`;
+}
+
+function renderLink(href, label) {
+  const safeHref = sanitizeHref(href);
+  if (!safeHref) return escapeHtml(label);
+  const external = !safeHref.startsWith('/') && !safeHref.startsWith('mailto:') && !safeHref.startsWith('tel:');
+  return `<a href="${escapeHtml(safeHref)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${escapeHtml(label)}</a>`;
+}
+
+/**
+ * Shorten a URL for display: example.com/path
+ */
+function displayUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.hostname.replace(/^www\./, '') + parsed.pathname).replace(/\/$/, '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Title of a related page, from the link resolver or a (memoized) API call
+ * @returns {Promise<{title: string, url: string|null}>}
+ */
+async function resolveRelation(id, ctx, state) {
+  const resolved = ctx.linkResolver?.resolvePage(id);
+  if (resolved?.title) {
+    return { title: resolved.title, url: resolved.url };
+  }
+
+  // Visible to the integration but not published: title only
+  const page = ctx.linkResolver?.getPage(id);
+  if (page) {
+    return { title: getPageTitle(page), url: null };
+  }
+
+  if (!state.relations.has(id)) {
+    state.relations.set(id, ctx.notion.pages.retrieve({ page_id: id })
+      .then(page => {
+        const titleProperty = Object.values(page.properties || {}).find(property => property?.type === 'title');
+        return { title: (titleProperty?.title || []).map(t => t.plain_text || '').join('') || 'Untitled', url: null };
+      })
+      .catch(() => ({ title: null, url: null })));
+  }
+  return state.relations.get(id);
+}
+
+/**
+ * Render a property value as HTML ('' when empty)
+ * @param {Object} value - Property value from a database row
+ * @param {Object} schema - Property definition from databases.retrieve (number format etc.)
+ */
+async function renderPropertyValue(value, schema, ctx, state) {
+  if (!value) return '';
+
+  switch (value.type) {
+    case 'title':
+    case 'rich_text':
+      return ctx.richTextToHtml(value[value.type]);
+    case 'number':
+      return escapeHtml(formatNumber(value.number, schema?.number?.format));
+    case 'select':
+    case 'status':
+      return renderTag(value[value.type]);
+    case 'multi_select':
+      return (value.multi_select || []).map(renderTag).join(' ');
+    case 'date':
+      return formatDateRange(value.date);
+    case 'checkbox':
+      return value.checkbox
+        ? '<span class="notion-checkbox notion-checkbox--checked" role="img" aria-label="Yes">✓</span>'
+        : '<span class="notion-checkbox" role="img" aria-label="No"></span>';
+    case 'url':
+      return value.url ? renderLink(value.url, displayUrl(value.url)) : '';
+    case 'email':
+      return value.email ? renderLink(`mailto:${value.email}`, value.email) : '';
+    case 'phone_number':
+      return value.phone_number ? renderLink(`tel:${value.phone_number.replace(/[^\d+]/g, '')}`, value.phone_number) : '';
+    case 'people':
+    case 'created_by':
+    case 'last_edited_by': {
+      const people = value.type === 'people' ? value.people : [value[value.type]];
+      return escapeHtml((people || []).map(person => person?.name).filter(Boolean).join(', '));
+    }
+    case 'relation': {
+      const related = await Promise.all((value.relation || []).map(({ id }) => resolveRelation(id, ctx, state)));
+      return related
+        .filter(item => item.title)
+        .map(item => item.url ? renderLink(item.url, item.title) : escapeHtml(item.title))
+        .join(', ');
+    }
+    case 'files':
+      return (value.files || [])
+        .map(file => file.type === 'external' && file.external?.url
+          ? renderLink(file.external.url, file.name || displayUrl(file.external.url))
+          : escapeHtml(file.name || ''))
+        .filter(Boolean)
+        .join(', ');
+    case 'created_time':
+    case 'last_edited_time':
+      return formatDateValue(value[value.type]);
+    case 'formula': {
+      const result = value.formula || {};
+      if (result.type === 'string') return escapeHtml(result.string || '');
+      if (result.type === 'number') return escapeHtml(formatNumber(result.number, schema?.formula?.number_format));
+      if (result.type === 'boolean') return renderPropertyValue({ type: 'checkbox', checkbox: result.boolean }, null, ctx, state);
+      if (result.type === 'date') return formatDateRange(result.date);
+      return '';
+    }
+    case 'rollup': {
+      const result = value.rollup || {};
+      if (result.type === 'number') return escapeHtml(formatNumber(result.number, schema?.rollup?.number_format));
+      if (result.type === 'date') return formatDateRange(result.date);
+      if (result.type === 'array') {
+        const items = await Promise.all((result.array || []).map(item => renderPropertyValue(item, null, ctx, state)));
+        return items.filter(Boolean).join(', ');
+      }
+      return '';
+    }
+    case 'unique_id':
+      return value.unique_id?.number === null || value.unique_id?.number === undefined
+        ? ''
+        : escapeHtml(`${value.unique_id.prefix ? `${value.unique_id.prefix}-` : ''}${value.unique_id.number}`);
+    default:
+      return '';
+  }
+}
+
+// =============================================================================
+// Views
+// =============================================================================
+
+/**
+ * Rows as { url, cover, cells: [{ name, type, html }] } in column order
+ */
+async function buildRows(rows, columns, ctx) {
+  const state = { relations: new Map() };
+
+  return Promise.all(rows.map(async (row) => {
+    const url = ctx.linkResolver?.resolveUrl(row.id) || null;
+    const cells = await Promise.all(columns.map(async (column) => ({
+      name: column.name,
+      type: column.type,
+      html: await renderPropertyValue(row.properties?.[column.name], column, ctx, state)
+    })));
+
+    // Gallery cover: the page cover, else the first external image in a files property
+    let cover = getPageCover(row);
+    if (!cover) {
+      const image = columns
+        .filter(column => column.type === 'files')
+        .flatMap(column => row.properties?.[column.name]?.files || [])
+        .find(file => file.type === 'external' && /\.(png|jpe?g|gif|webp|avif|svg)(\?|$)/i.test(file.external?.url || ''));
+      cover = image ? image.external.url : null;
+    }
+
+    return {
+      url,
+      cover,
+      cells
+    };
+  }));
+}
+
+function renderTitleCell(row, cell) {
+  if (!cell.html) return '';
+  return row.url ? `<a href="${escapeHtml(row.url)}">${cell.html}</a>` : cell.html;
+}
+
+function renderTableView(rows, columns) {
+  let html = '<div class="notion-table-wrapper"><table class="notion-table notion-database-table">\n<thead>\n<tr>\n';
+  for (const column of columns) {
+    html += `  <th scope="col">${escapeHtml(column.name)}</th>\n`;
+  }
+  html += '</tr>\n</thead>\n<tbody>\n';
+
+  for (const row of rows) {
+    html += '<tr>\n';
+    for (const cell of row.cells) {
+      if (cell.type === 'title') {
+        html += `  <th scope="row">${renderTitleCell(row, cell)}</th>\n`;
+      } else {
+        html += `  <td class="notion-database-cell--${cell.type}">${cell.html}</td>\n`;
+      }
+    }
+    html += '</tr>\n';
+  }
+
+  return html + '</tbody>\n</table></div>\n';
+}
+
+/**
+ * Non-empty, non-title properties as a definition list
+ */
+function renderProperties(row) {
+  const items = row.cells
+    .filter(cell => cell.type !== 'title' && cell.html)
+    .map(cell => `    <div class="notion-database-property"><dt>${escapeHtml(cell.name)}</dt><dd>${cell.html}</dd></div>`);
+  return items.length > 0 ? `  <dl class="notion-database-properties">\n${items.join('\n')}\n  </dl>\n` : '';
+}
+
+function renderGalleryView(rows) {
+  let html = '<div class="notion-database-gallery">\n';
+  for (const row of rows) {
+    const titleCell = row.cells.find(cell => cell.type === 'title');
+    html += '<article class="notion-database-card">\n';
+    if (row.cover) {
+      html += `  <img class="notion-database-card-cover" src="${escapeHtml(row.cover)}" alt="" loading="lazy">\n`;
+    }
+    html += `  <h4 class="notion-database-card-title">${titleCell ? renderTitleCell(row, titleCell) : ''}</h4>\n`;
+    html += renderProperties(row);
+    html += '</article>\n';
+  }
+  return html + '</div>\n';
+}
+
+function renderListView(rows) {
+  let html = '<ul class="notion-database-list">\n';
+  for (const row of rows) {
+    const titleCell = row.cells.find(cell => cell.type === 'title');
+    html += `<li class="notion-database-list-item">\n  <span class="notion-database-list-title">${titleCell ? renderTitleCell(row, titleCell) : ''}</span>\n`;
+    html += renderProperties(row);
+    html += '</li>\n';
+  }
+  return html + '</ul>\n';
+}
+
+/**
+ * Render a child_database block, from the state store while fresh
+ * @param {Object} block - child_database block (its ID is the database ID)
+ * @param {Object} ctx - Block renderer context
+ */
+async function renderChildDatabase(block, ctx) {
+  const { title, view: titleView } = parseDatabaseTitle(block.child_database?.title);
+  const view = getDatabaseView(titleView, ctx.options.page);
+
+  const store = createStateStore();
+  const key = `database-view:v${CACHE_SCHEMA_VERSION}:${block.id}:${view}`;
+  const stored = await store.get(key);
+  if (stored && stored.title === title && stored.expiresAt > Date.now()) {
+    return stored.html;
+  }
+
+  const html = await renderDatabaseView(block, ctx, title, view);
+  // Failed loads aren't kept, so the next request tries again
+  if (html !== null) {
+    await store.set(key, { title, html, expiresAt: Date.now() + DATABASE_VIEW_TTL_SECONDS * 1000 });
+    return html;
+  }
+
+  return `<div class="notion-child-database">
+  <span>📊 ${escapeHtml(title)}</span>
+</div>\n`;
+}
+
+/**
+ * Query a database and render its rows as the view, or null if it can't be loaded
+ */
+async function renderDatabaseView(block, ctx, title, view) {
+  let database;
+  const rows = [];
+  try {
+    database = await ctx.notion.databases.retrieve({ database_id: block.id });
+
+    let cursor;
+    do {
+      const response = await ctx.notion.databases.query({
+        database_id: block.id,
+        start_cursor: cursor,
+        page_size: 100
+      });
+      rows.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor && rows.length < MAX_ROWS);
+  } catch (error) {
+    // Linked databases and databases not shared with the integration can't be queried
+    console.error(`Error loading database ${block.id}:`, error.code || error.message);
+    return null;
+  }
+
+  // Title column first, then the rest in schema order; "_"-prefixed columns are hidden
+  const columns = Object.entries(database.properties || {})
+    .map(([name, schema]) => ({ ...schema, name }))
+    .filter(column => !column.name.startsWith('_') && column.type !== 'button')
+    .sort((a, b) => (b.type === 'title') - (a.type === 'title'));
+
+  const renderedRows = await buildRows(rows.slice(0, MAX_ROWS).filter(row => !row.archived), columns, ctx);
+
+  let body;
+  if (renderedRows.length === 0) {
+    body = '<p class="notion-database-empty">No entries</p>\n';
+  } else if (view === 'gallery') {
+    body = renderGalleryView(renderedRows);
+  } else if (view === 'list') {
+    body = renderListView(renderedRows);
+  } else {
+    body = renderTableView(renderedRows, columns);
+  }
+
+  return `<section class="notion-database notion-database--${view}">
+${title ? `<h3 class="notion-database-title">${escapeHtml(title)}</h3>\n` : ''}${body}</section>\n`;
+}
+
+module.exports = {
+  renderChildDatabase,
+  renderPropertyValue,
+  parseDatabaseTitle
+};
@@ -0,0 +1,142 @@
+/**
+ * HTML Template Helpers
+ *
+ * Fill the static page shells (index.html, pages/*.html) on the server.
+ * Elements are addressed by id, the same way the browser scripts use
+ * getElementById. These are string operations written for our own
+ * templates: a targeted element must not contain a nested element with
+ * the same tag name.
+ */
+
+const { escapeHtml } = require('./block-renderer');
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match the opening tag of the element with the given id
+ * Groups: 1 = tag name, 2 = attributes
+ */
+function openTagPattern(id) {
+  return new RegExp(`<([a-zA-Z][\\w-]*)((?:\\s[^>]*?)?\\sid="${escapeRegExp(id)}"[^>]*?)\\s*(/?)>`);
+}
+
+/**
+ * Replace the inner HTML of an element
+ * @param {string} html - Template
+ * @param {string} id - Element id
+ * @param {string} content - Trusted HTML
+ */
+function setInnerHtml(html, id, content) {
+  const pattern = new RegExp(
+    `(<([a-zA-Z][\\w-]*)(?:\\s[^>]*?)?\\sid="${escapeRegExp(id)}"[^>]*>)[\\s\\S]*?(</\\2>)`
+  );
+  return html.replace(pattern, (match, open, tag, close) => `${open}${content}${close}`);
+}
+
+/**
+ * Replace the text of an element (escaped)
+ */
+function setText(html, id, text) {
+  return setInnerHtml(html, id, escapeHtml(text));
+}
+
+/**
+ * Set (or with value null, remove) an attribute on an element
+ */
+function setAttribute(html, id, name, value) {
+  return html.replace(openTagPattern(id), (match, tag, attrs, selfClosing) => {
+    const attrPattern = new RegExp(`\\s${escapeRegExp(name)}="[^"]*"`);
+    let updated = attrs.replace(attrPattern, '');
+    if (value !== null && value !== undefined) {
+      updated += ` ${name}="${escapeHtml(value)}"`;
+    }
+    return `<${tag}${updated}${selfClosing ? ' /' : ''}>`;
+  });
+}
+
+/**
+ * Set the CSS display of an element, keeping its other inline styles
+ * @param {string|null} display - e.g. 'block', 'none', or null to clear
+ */
+function setDisplay(html, id, display) {
+  const match = html.match(openTagPattern(id));
+  if (!match) return html;
+
+  const styleMatch = match[2].match(/\sstyle="([^"]*)"/);
+  const declarations = (styleMatch ? styleMatch[1] : '')
+    .split(';')
+    .map(rule => rule.trim())
+    .filter(rule => rule && !/^display\s*:/.test(rule));
+
+  if (display) {
+    declarations.unshift(`display: ${display}`);
+  }
+
+  return setAttribute(html, id, 'style', declarations.length > 0 ? `${declarations.join('; ')};` : null);
+}
+
+/**
+ * Replace the document <title>
+ */
+function setDocumentTitle(html, title) {
+  return html.replace(/(<title[^>]*>)[\s\S]*?(<\/title>)/, (match, open, close) => `${open}${escapeHtml(title)}${close}`);
+}
+
+/**
+ * Replace the content of <meta name="description">
+ */
+function setMetaDescription(html, description) {
+  return html.replace(/<meta\s+name="description"[^>]*>/, (tag) =>
+    tag.replace(/content="[^"]*"/, `content="${escapeHtml(description)}"`)
+  );
+}
+
+/**
+ * Add an attribute to the root <html> element
+ */
+function setRootAttribute(html, name, value) {
+  return html.replace(/<html([^>]*)>/, (match, attrs) => {
+    const cleaned = attrs.replace(new RegExp(`\\s${escapeRegExp(name)}="[^"]*"`), '');
+    return `<html${cleaned} ${name}="${escapeHtml(value)}">`;
+  });
+}
+
+/**
+ * Insert markup at the end of <head>
+ */
+function appendToHead(html, markup) {
+  return html.replace('</head>', () => `${markup}</head>`);
+}
+
+/**
+ * Embed data as a JSON script element before the page scripts
+ * Read in the browser with NotionCMS.utils.getPageData().
+ */
+function embedJson(html, id, data) {
+  // Escape characters that could close the script element or start a comment
+  const json = JSON.stringify(data)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026');
+  const script = `  <script type="application/json" id="${escapeHtml(id)}">${json}</script>\n`;
+
+  const firstScript = html.indexOf('  <script src=');
+  if (firstScript === -1) {
+    return html.replace('</body>', () => `${script}</body>`);
+  }
+  return html.slice(0, firstScript) + script + html.slice(firstScript);
+}
+
+module.exports = {
+  setInnerHtml,
+  setText,
+  setAttribute,
+  setDisplay,
+  setDocumentTitle,
+  setMetaDescription,
+  setRootAttribute,
+  appendToHead,
+  embedJson
+};
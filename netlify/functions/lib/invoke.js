@@ -0,0 +1,48 @@
+/**
+ * Function Invocation
+ *
+ * Call another function's handler in-process and get its JSON payload, so
+ * the SSR function and the static build render exactly what the JSON API
+ * returns. Pass the handler itself (not a name) so bundlers can see the
+ * require() of the target function.
+ */
+
+/**
+ * Invoke a handler with a GET request
+ * @param {Function} handler - exports.handler of the target function
+ * @param {Object} params - Query string parameters
+ * @param {Object} options
+ * @param {string} options.name - Function name, used in errors and event.path
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {Error} with statusCode set when the handler does not return 200,
+ *   and redirect set to the canonical URL when it answers with a slug redirect
+ */
+async function invokeHandler(handler, params = {}, { name = 'function' } = {}) {
+  const response = await handler({
+    httpMethod: 'GET',
+    path: `/.netlify/functions/${name}`,
+    queryStringParameters: params,
+    headers: {}
+  }, {});
+
+  if (response.statusCode !== 200) {
+    let message = `HTTP ${response.statusCode}`;
+    let payload = null;
+    try {
+      payload = JSON.parse(response.body);
+      message += `: ${payload.error || payload.redirect}`;
+    } catch {
+      // Non-JSON body
+    }
+    const error = new Error(`${name} returned ${message}`);
+    error.statusCode = response.statusCode;
+    if (payload && payload.redirect) {
+      error.redirect = payload.redirect;
+    }
+    throw error;
+  }
+
+  return JSON.parse(response.body);
+}
+
+module.exports = { invokeHandler };
@@ -0,0 +1,348 @@
+/**
+ * Link Preview
+ *
+ * Reads the Open Graph title, description, image and favicon of a URL, for
+ * the preview cards bookmark and link_preview blocks render. Results are
+ * kept in the state store (see createStateStore in lib/cache.js) for
+ * LINK_PREVIEW_TTL seconds, failures for an hour, so a page only fetches
+ * the sites it links to when they have expired.
+ *
+ * All network access goes through the fetch function the fetcher is
+ * created with, so it can be pointed at a stub server or replaced entirely:
+ *
+ *   const previews = createLinkPreviewFetcher({ fetch: myFetch });
+ *   await blocksToHtml(notion, blocks, { linkPreviews: previews });
+ *
+ * Bookmark URLs come from page content, so the server must not fetch its own
+ * network: before each request (and each redirect, which are followed one at
+ * a time) the host is resolved and every address checked against
+ * PRIVATE_ADDRESSES - loopback, private, link-local (including the
+ * 169.254.169.254 metadata endpoint) and other non-public ranges. fetch
+ * resolves the host again when it connects, so a DNS server that answers
+ * differently within those milliseconds isn't caught.
+ *
+ * Environment Variables:
+ * - LINK_PREVIEWS: off to render bookmarks as plain links (default: on)
+ * - LINK_PREVIEW_TTL: Seconds a fetched preview is reused (default: 86400)
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { createStateStore } = require('./cache');
+
+// Bump when the preview shape changes - older entries are fetched again
+const PREVIEW_FORMAT = 1;
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const FAILURE_TTL_SECONDS = 60 * 60;
+const DEFAULT_TIMEOUT_MS = 3000;
+
+// Only the <head> is needed; stop reading large pages here
+const MAX_HTML_BYTES = 512 * 1024;
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Addresses previews never connect to (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local, cloud metadata
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, broadcast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 127], // Unspecified, loopback
+  ['64:ff9b::', 96], // NAT64 - embeds any IPv4 address
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Whole tags, including quoted attribute values that contain ">"
+const TAG_PATTERNS = {
+  meta: /<meta\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi,
+  link: /<link\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Attributes of an HTML tag, lowercased names -> decoded values
+ */
+function parseAttributes(tag) {
+  const attributes = {};
+  const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Absolute http(s) URL, or null
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function clean(text, maxLength) {
+  if (!text) return null;
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  if (!collapsed) return null;
+  return collapsed.length > maxLength ? `${collapsed.slice(0, maxLength - 1).trimEnd()}…` : collapsed;
+}
+
+/**
+ * Read the preview fields from a page's HTML
+ * Open Graph tags first, then Twitter cards, then plain <title>/<meta name="description">.
+ * @param {string} html - Page HTML (the <head> is enough)
+ * @param {string} pageUrl - URL the HTML came from, for relative links
+ * @returns {{url: string, title: string|null, description: string|null, image: string|null, favicon: string|null, siteName: string|null}}
+ */
+function parseLinkPreview(html, pageUrl) {
+  const head = html.split(/<\/head\s*>/i)[0];
+  const meta = {};
+  const icons = [];
+
+  for (const [tag] of head.matchAll(TAG_PATTERNS.meta)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  for (const [tag] of head.matchAll(TAG_PATTERNS.link)) {
+    const attributes = parseAttributes(tag);
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (attributes.href && (rel.includes('icon') || rel.includes('apple-touch-icon'))) {
+      icons.push({ href: attributes.href, apple: rel.includes('apple-touch-icon') });
+    }
+  }
+
+  const titleMatch = head.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const baseUrl = resolveUrl(meta['og:url'], pageUrl) || pageUrl;
+  // Regular icons before apple-touch-icon, which is usually much larger
+  const icon = icons.find(candidate => !candidate.apple) || icons[0];
+
+  return {
+    url: baseUrl,
+    title: clean(meta['og:title'] || meta['twitter:title'] || (titleMatch && decodeEntities(titleMatch[1])), 200),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, 300),
+    image: resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], baseUrl),
+    favicon: resolveUrl(icon ? icon.href : '/favicon.ico', pageUrl),
+    siteName: clean(meta['og:site_name'], 100)
+  };
+}
+
+/**
+ * Whether an IP address is outside the loopback, private, link-local and reserved ranges
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Throw unless every address the URL's host resolves to is allowed
+ */
+async function assertAllowedHost(url, lookup, isAllowedAddress) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await lookup(hostname, { all: true, verbatim: true });
+
+  const blocked = addresses.find(({ address }) => !isAllowedAddress(address));
+  if (addresses.length === 0 || blocked) {
+    throw new Error(`${hostname} resolves to a non-public address${blocked ? ` (${blocked.address})` : ''}`);
+  }
+}
+
+/**
+ * Read a response body as text, up to maxBytes
+ */
+async function readText(response, maxBytes) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    return (await response.text()).slice(0, maxBytes);
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+/**
+ * Create a link preview fetcher
+ * @param {Object} options
+ * @param {Function} options.fetch - fetch(url, init) implementation (default: global fetch)
+ * @param {Object} options.store - State store for previews (default: createStateStore())
+ * @param {number} options.ttl - Seconds a preview is reused (default: LINK_PREVIEW_TTL or one day)
+ * @param {number} options.timeout - Milliseconds before a fetch is abandoned (default: 3000)
+ * @param {Function} options.lookup - dns.promises.lookup-compatible resolver (default: dns.promises.lookup)
+ * @param {Function} options.isAllowedAddress - Whether an IP address may be fetched (default: isPublicAddress)
+ * @returns {Object} Fetcher with getPreview(url)
+ */
+function createLinkPreviewFetcher({
+  fetch: fetchImpl = globalThis.fetch,
+  store = createStateStore(),
+  ttl = Number(process.env.LINK_PREVIEW_TTL) || DEFAULT_TTL_SECONDS,
+  timeout = DEFAULT_TIMEOUT_MS,
+  lookup = dns.promises.lookup,
+  isAllowedAddress = isPublicAddress
+} = {}) {
+  // Requests in flight, so a URL linked twice on a page is fetched once
+  const pending = new Map();
+
+  async function fetchPreview(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      // Redirects are followed here so every hop gets the address check
+      let location = url;
+      let response;
+      for (let redirects = 0; ; redirects++) {
+        await assertAllowedHost(location, lookup, isAllowedAddress);
+        response = await fetchImpl(location, {
+          signal: controller.signal,
+          redirect: 'manual',
+          headers: {
+            Accept: 'text/html,application/xhtml+xml',
+            'User-Agent': 'Mozilla/5.0 (compatible; NotionCMS-LinkPreview/1.0)'
+          }
+        });
+
+        if (!REDIRECT_STATUSES.has(response.status)) break;
+
+        const next = resolveUrl(response.headers.get('location'), location);
+        if (response.body && typeof response.body.cancel === 'function') {
+          response.body.cancel().catch(() => {});
+        }
+        if (!next || redirects >= MAX_REDIRECTS) {
+          console.warn(`Link preview for ${url} failed: ${next ? 'too many redirects' : 'invalid redirect'}`);
+          return null;
+        }
+        location = next;
+      }
+
+      if (!response.ok) {
+        console.warn(`Link preview for ${url} failed with HTTP ${response.status}`);
+        return null;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType && !/html/i.test(contentType)) return null;
+
+      const html = await readText(response, MAX_HTML_BYTES);
+      return parseLinkPreview(html, location);
+    } catch (error) {
+      console.warn(`Link preview for ${url} failed: ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Preview fields for a URL, from the store while fresh
+   * Never throws - a URL that can't be previewed resolves to null.
+   * @param {string} url - http(s) URL
+   * @returns {Promise<Object|null>} See parseLinkPreview
+   */
+  async function getPreview(url) {
+    if (!resolveUrl(url)) return null;
+    if (pending.has(url)) return pending.get(url);
+
+    const key = `link-preview:${crypto.createHash('sha1').update(url).digest('hex')}`;
+
+    const promise = (async () => {
+      const stored = await store.get(key);
+      if (stored && stored.format === PREVIEW_FORMAT && stored.expiresAt > Date.now()) {
+        return stored.preview;
+      }
+
+      const preview = await fetchPreview(url);
+      const lifetime = preview ? ttl : Math.min(ttl, FAILURE_TTL_SECONDS);
+      await store.set(key, { format: PREVIEW_FORMAT, preview, expiresAt: Date.now() + lifetime * 1000 });
+      return preview;
+    })();
+
+    pending.set(url, promise);
+    try {
+      return await promise;
+    } finally {
+      pending.delete(url);
+    }
+  }
+
+  return { getPreview };
+}
+
+let defaultFetcher;
+
+/**
+ * Fetcher used when a render doesn't pass one, or null when LINK_PREVIEWS=off
+ */
+function getDefaultLinkPreviewFetcher() {
+  if (defaultFetcher !== undefined) return defaultFetcher;
+
+  const setting = (process.env.LINK_PREVIEWS || 'on').toLowerCase();
+  defaultFetcher = setting === 'off' || setting === 'false' || typeof globalThis.fetch !== 'function'
+    ? null
+    : createLinkPreviewFetcher();
+  return defaultFetcher;
+}
+
+/**
+ * Replace the default fetcher (null disables previews)
+ */
+function setDefaultLinkPreviewFetcher(fetcher) {
+  defaultFetcher = fetcher;
+}
+
+module.exports = {
+  createLinkPreviewFetcher,
+  getDefaultLinkPreviewFetcher,
+  setDefaultLinkPreviewFetcher,
+  isPublicAddress,
+  parseLinkPreview
+};
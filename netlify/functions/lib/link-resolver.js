@@ -0,0 +1,213 @@
+/**
+ * Link Resolver
+ *
+ * Turns Notion page references into the site's canonical URLs:
+ * /blog/:slug, /docs/:slug or /page/:slug depending on where the page lives,
+ * using the page's custom Slug property when it has one. Handles page IDs
+ * (with or without dashes), relative links from the API ("/<id>#<block>")
+ * and notion.so / notion.site URLs pasted as plain links.
+ *
+ * Built on createPageTypeResolver, so resolving a link costs no API calls
+ * once the page list from notion.search() is loaded (see loadLinkResolver
+ * in lib/page-index.js).
+ */
+
+const { createPageTypeResolver, normalizeId } = require('./page-types');
+const { isBlogDatabaseRow, readPostProperties } = require('./blog-source');
+
+const NOTION_ID_PATTERN = /^[0-9a-f]{32}$/i;
+
+/**
+ * Title as plain text (all segments), 'Untitled' if empty
+ */
+function getPageTitle(page) {
+  const titleProp = page.properties?.title ||
+                   page.properties?.Title ||
+                   page.properties?.Name ||
+                   page.properties?.name ||
+                   Object.values(page.properties || {}).find(property => property?.type === 'title');
+
+  if (titleProp?.title && Array.isArray(titleProp.title)) {
+    return titleProp.title.map(segment => segment.plain_text || '').join('').trim() || 'Untitled';
+  }
+  return 'Untitled';
+}
+
+/**
+ * URL slug from a title
+ */
+function slugifyTitle(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Canonical slug: the custom Slug property, else derived from the title
+ * Rows of the blog database use the configured column names (lib/blog-source.js).
+ */
+function getPageSlug(page, title = getPageTitle(page)) {
+  if (isBlogDatabaseRow(page)) {
+    return readPostProperties(page).slug;
+  }
+  const customSlug = page.properties?.Slug?.rich_text?.[0]?.plain_text;
+  return customSlug || slugifyTitle(title) || page.id;
+}
+
+/**
+ * Canonical URL for a page type and slug
+ */
+function getPageUrl(pageType, slug) {
+  if (pageType === 'blog') return `/blog/${slug}`;
+  if (pageType === 'docs') return `/docs/${slug}`;
+  return `/page/${slug}`;
+}
+
+/**
+ * Whether a page is visible to the public (not a draft or a future scheduled page)
+ */
+function isPublished({ status, publishDate }, now = new Date()) {
+  if (status === 'Draft') return false;
+  if (status === 'Scheduled' && publishDate && new Date(publishDate) > now) return false;
+  return true;
+}
+
+/**
+ * Status and publish date of a page (rows of the blog database use its configured columns)
+ * @returns {{status: string, publishDate: string|null}} For isPublished()
+ */
+function readPublishState(page) {
+  const post = isBlogDatabaseRow(page) ? readPostProperties(page) : null;
+  return {
+    status: post ? post.status : (page.properties?.Status?.select?.name || 'Published'),
+    publishDate: (post ? post.publishDate : page.properties?.['Publish Date']?.date?.start) || null
+  };
+}
+
+/**
+ * Extract a Notion page ID from an ID, an API-relative link or a Notion URL
+ * @returns {string|null} Normalized ID (32 hex characters, no dashes)
+ */
+function parseNotionPageId(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  if (NOTION_ID_PATTERN.test(trimmed.replace(/-/g, ''))) {
+    return normalizeId(trimmed);
+  }
+
+  let url;
+  try {
+    url = new URL(trimmed, 'https://www.notion.so');
+  } catch {
+    return null;
+  }
+
+  // Relative links come from the API itself; absolute ones must point at Notion
+  const isRelative = trimmed.startsWith('/') && !trimmed.startsWith('//');
+  const isNotionHost = /(^|\.)notion\.(so|site)$/i.test(url.hostname);
+  if (!isRelative && !isNotionHost) return null;
+
+  // Peek view links: notion.so/<database>?p=<page id>
+  const peekId = (url.searchParams.get('p') || '').replace(/-/g, '');
+  if (NOTION_ID_PATTERN.test(peekId)) {
+    return peekId.toLowerCase();
+  }
+
+  // notion.so/<workspace>/<Title>-<id>, notion.so/<id>, /<id>
+  const lastSegment = url.pathname.split('/').filter(Boolean).pop() || '';
+  const match = /([0-9a-f]{32})$/i.exec(lastSegment.replace(/-/g, ''));
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Build a link resolver from already-fetched pages
+ * @param {Array} allPages - All pages from notion.search()
+ * @returns {Object} Resolver with resolvePage(), resolveUrl(), getPage() and getPageType()
+ */
+function createLinkResolver(allPages) {
+  const typeResolver = createPageTypeResolver(allPages);
+  const pagesById = new Map(allPages.map(page => [normalizeId(page.id), page]));
+  const now = new Date();
+
+  // Section pages link to their listings
+  const sectionUrls = new Map();
+  const sections = [
+    [process.env.NOTION_HOMEPAGE_ID, '/', 'home'],
+    [process.env.NOTION_BLOG_PAGE_ID, '/blog', 'blog'],
+    [process.env.NOTION_BLOG_DB_ID, '/blog', 'blog'],
+    [process.env.NOTION_DOCS_PAGE_ID, '/docs', 'docs'],
+    [process.env.NOTION_LANDING_PAGE_ID, '/pages', 'landing']
+  ];
+  for (const [id, url, pageType] of sections) {
+    if (id) sectionUrls.set(normalizeId(id), { url, pageType });
+  }
+
+  /**
+   * Resolve a page reference
+   * Only pages the site publishes resolve: drafts, future scheduled pages and
+   * pages outside the blog, docs and landing sections return null.
+   * @param {string} reference - Page ID, "/<id>" link or Notion URL
+   * @returns {{id: string, title: string|null, slug: string|null, pageType: string, url: string}|null}
+   */
+  function resolvePage(reference) {
+    const id = parseNotionPageId(reference);
+    if (!id) return null;
+
+    const page = pagesById.get(id);
+
+    if (sectionUrls.has(id)) {
+      const section = sectionUrls.get(id);
+      return {
+        id: page?.id || id,
+        title: page ? getPageTitle(page) : null,
+        slug: null,
+        pageType: section.pageType,
+        url: section.url
+      };
+    }
+
+    // Not shared with the integration (or not a page), or not public yet
+    if (!page || !isPublished(readPublishState(page), now)) return null;
+
+    const { type } = typeResolver.getPageType(page.id);
+    if (type === 'unknown') return null;
+
+    const title = getPageTitle(page);
+    const slug = getPageSlug(page, title);
+
+    return { id: page.id, title, slug, pageType: type, url: getPageUrl(type, slug) };
+  }
+
+  /**
+   * Canonical URL for a page reference, or null if it isn't a known page
+   */
+  function resolveUrl(reference) {
+    return resolvePage(reference)?.url || null;
+  }
+
+  /**
+   * Page object for a reference, if the integration can see it
+   */
+  function getPage(reference) {
+    const id = parseNotionPageId(reference);
+    return id ? pagesById.get(id) || null : null;
+  }
+
+  return {
+    resolvePage,
+    resolveUrl,
+    getPage,
+    getPageType: typeResolver.getPageType,
+    typeResolver
+  };
+}
+
+module.exports = {
+  createLinkResolver,
+  parseNotionPageId,
+  getPageTitle,
+  getPageSlug,
+  getPageUrl,
+  isPublished,
+  readPublishState,
+  slugifyTitle
+};
@@ -0,0 +1,105 @@
+/**
+ * Math Rendering
+ *
+ * Converts the LaTeX in Notion equation blocks and inline equations to
+ * MathML at render time with Temml (https://temml.org), the MathML-only
+ * sibling of the KaTeX renderer Notion's own editor uses, so the same
+ * syntax works and browsers draw the math natively without a client-side
+ * library.
+ *
+ * Anything Temml can't parse throws; renderEquation() falls back to the
+ * escaped LaTeX source so a typo never breaks the page. The source is kept
+ * in a TeX annotation for copy/paste and assistive technology.
+ *
+ * Used by the equation handler and inline equations in lib/block-renderer.js.
+ */
+
+const temml = require('temml');
+const { escapeXml } = require('./xml');
+
+// Groups ({...}, \left...\right, \begin...\end) nested deeper than this are
+// rejected before parsing - the parser is recursive and would overflow the stack
+const MAX_NESTING_DEPTH = 50;
+
+// Characters of an unrenderable expression quoted in the log
+const MAX_LOGGED_EXPRESSION_LENGTH = 80;
+
+// Unrenderable expressions remembered so each is logged once; the oldest are forgotten past this
+const MAX_REPORTED_FAILURES = 500;
+
+/**
+ * Throw if the expression nests groups deeper than MAX_NESTING_DEPTH
+ */
+function assertNestingDepth(source) {
+  let depth = 0;
+  for (const [token] of source.matchAll(/\\(?:left|begin)(?![a-zA-Z])|\\(?:right|end)(?![a-zA-Z])|\\.|[{}]/g)) {
+    if (token === '{' || token === '\\left' || token === '\\begin') {
+      depth++;
+      if (depth > MAX_NESTING_DEPTH) {
+        throw new Error(`Groups nested more than ${MAX_NESTING_DEPTH} deep`);
+      }
+    } else if (token === '}' || token === '\\right' || token === '\\end') {
+      depth--;
+    }
+  }
+}
+
+/**
+ * Convert LaTeX to a <math> element
+ * @param {string} expression - LaTeX source
+ * @param {Object} options
+ * @param {boolean} options.displayMode - Block equation (centred, display style)
+ * @returns {string} MathML
+ * @throws {Error} When the LaTeX can't be parsed
+ */
+function latexToMathML(expression, { displayMode = false } = {}) {
+  const source = String(expression || '');
+  assertNestingDepth(source);
+  return temml.renderToString(source, {
+    displayMode,
+    annotate: true,
+    xml: true,
+    throwOnError: true
+  });
+}
+
+// Expressions already reported by this instance, so a page rendered on every request logs them once
+const reportedFailures = new Set();
+
+/**
+ * Log an unrenderable expression the first time this instance sees it
+ */
+function reportFailure(source, error) {
+  if (reportedFailures.has(source)) return;
+
+  if (reportedFailures.size >= MAX_REPORTED_FAILURES) {
+    // Sets iterate in insertion order - drop the oldest
+    reportedFailures.delete(reportedFailures.values().next().value);
+  }
+  reportedFailures.add(source);
+
+  const quoted = source.length > MAX_LOGGED_EXPRESSION_LENGTH
+    ? `${source.slice(0, MAX_LOGGED_EXPRESSION_LENGTH)}…`
+    : source;
+  const message = error.message.split('\n')[0].trim().replace(/:$/, '');
+  console.warn(`Could not render equation "${quoted}": ${message}`);
+}
+
+/**
+ * Render an equation, falling back to the escaped source
+ * @returns {{html: string, rendered: boolean}} rendered is false for the fallback
+ */
+function renderEquation(expression, { displayMode = false } = {}) {
+  try {
+    return { html: latexToMathML(expression, { displayMode }), rendered: true };
+  } catch (error) {
+    const source = String(expression || '');
+    reportFailure(source, error);
+    return { html: escapeXml(source), rendered: false };
+  }
+}
+
+module.exports = {
+  latexToMathML,
+  renderEquation
+};
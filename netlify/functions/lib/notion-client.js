@@ -0,0 +1,237 @@
+/**
+ * Notion Client
+ *
+ * Shared factory for @notionhq/client instances that stay under Notion's
+ * rate limit (about 3 requests per second per integration).
+ *
+ * - Every request waits for a token from a bucket shared by all clients in
+ *   the function instance, so fan-outs like Promise.all over child pages are
+ *   queued instead of tripping 429s.
+ * - `rate_limited` responses are retried after `Retry-After` (and pause the
+ *   whole queue); 5xx responses and timeouts on read requests are retried
+ *   with exponential backoff.
+ * - Each client counts its own requests, so a function can report what one
+ *   invocation cost.
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Default auth token
+ * - NOTION_RATE_LIMIT: Requests per second (default: 3)
+ * - NOTION_MAX_RETRIES: Retries per request (default: 4)
+ * - NOTION_LOG_REQUESTS: "true" to log request counts after every invocation
+ *   (otherwise only invocations that were retried or rate limited are logged)
+ */
+
+const { Client } = require('@notionhq/client');
+
+const DEFAULT_RATE_LIMIT = 3;
+const DEFAULT_MAX_RETRIES = 4;
+
+// Backoff for 5xx and timeouts: 500ms, 1s, 2s, 4s... (plus jitter), capped
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+// Error codes that are safe to retry
+const RATE_LIMITED = 'rate_limited';
+const TIMEOUT = 'notionhq_client_request_timeout';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket that releases waiters in order
+ * @param {Object} options
+ * @param {number} options.rate - Tokens added per second
+ * @param {number} options.capacity - Maximum burst
+ */
+function createTokenBucket({ rate, capacity = rate }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  }
+
+  /**
+   * Wait for a token
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  function take() {
+    const started = Date.now();
+    const turn = queue.then(async () => {
+      for (;;) {
+        const now = Date.now();
+        if (pausedUntil > now) {
+          await sleep(pausedUntil - now);
+          continue;
+        }
+
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return Date.now() - started;
+        }
+
+        await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+      }
+    });
+
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Hold every waiter for a while (after a 429)
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    tokens = 0;
+  }
+
+  return { take, pause };
+}
+
+let sharedBucket = null;
+
+/**
+ * One bucket per function instance - the limit is per integration, not per client
+ */
+function getSharedBucket() {
+  if (!sharedBucket) {
+    const rate = parseFloat(process.env.NOTION_RATE_LIMIT) || DEFAULT_RATE_LIMIT;
+    sharedBucket = createTokenBucket({ rate });
+  }
+  return sharedBucket;
+}
+
+/**
+ * Requests that only read data (safe to repeat after a 5xx)
+ * search and databases/:id/query are POSTs but do not modify anything.
+ */
+function isReadRequest(method, path) {
+  const upper = String(method).toUpperCase();
+  return upper === 'GET' || path === 'search' || /^databases\/[^/]+\/query$/.test(path);
+}
+
+/**
+ * How long to wait before retrying, or null if the error is not retryable
+ */
+function getRetryDelay(error, attempt, { method, path }) {
+  if (error.code === RATE_LIMITED || error.status === 429) {
+    const retryAfter = parseFloat(error.headers?.get?.('retry-after'));
+    return Number.isFinite(retryAfter) ? retryAfter * 1000 : backoff(attempt);
+  }
+
+  const isServerError = error.status >= 500 || error.code === TIMEOUT;
+  if (isServerError && isReadRequest(method, path)) {
+    return backoff(attempt);
+  }
+
+  return null;
+}
+
+function backoff(attempt) {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return delay + Math.floor(Math.random() * (delay / 4));
+}
+
+/**
+ * Group requests by endpoint (IDs replaced with :id)
+ */
+function endpointName(method, path) {
+  const normalized = path
+    .split('/')
+    .map(segment => /^[0-9a-f-]{32,36}$/i.test(segment) ? ':id' : segment)
+    .join('/');
+  return `${String(method).toUpperCase()} ${normalized}`;
+}
+
+/**
+ * Create a rate-limited Notion client
+ * Behaves exactly like `new Client(...)`, plus getStats(), getHeaders() and logStats().
+ * @param {Object} options - Client options (auth defaults to NOTION_TOKEN)
+ * @param {number} options.maxRetries - Retries per request (default: NOTION_MAX_RETRIES or 4)
+ * @param {Object} options.bucket - Token bucket (default: shared per instance)
+ * @returns {Client}
+ */
+function createNotionClient({
+  auth = process.env.NOTION_TOKEN,
+  maxRetries = parseInt(process.env.NOTION_MAX_RETRIES, 10) || DEFAULT_MAX_RETRIES,
+  bucket = getSharedBucket(),
+  ...clientOptions
+} = {}) {
+  const client = new Client({ auth, ...clientOptions });
+  const stats = { calls: 0, retries: 0, rateLimited: 0, failures: 0, waitedMs: 0, endpoints: {} };
+
+  // Every endpoint method (pages.retrieve, blocks.children.list, ...) goes through request()
+  const send = client.request.bind(client);
+
+  client.request = async (args) => {
+    const endpoint = endpointName(args.method, args.path);
+
+    for (let attempt = 0; ; attempt++) {
+      stats.waitedMs += await bucket.take();
+      stats.calls++;
+      stats.endpoints[endpoint] = (stats.endpoints[endpoint] || 0) + 1;
+
+      try {
+        return await send(args);
+      } catch (error) {
+        const delay = attempt < maxRetries ? getRetryDelay(error, attempt, args) : null;
+
+        if (delay === null) {
+          stats.failures++;
+          if (attempt > 0) {
+            console.error(`Notion request ${endpoint} failed after ${attempt} retries (${error.code || error.status})`);
+          }
+          throw error;
+        }
+
+        if (error.code === RATE_LIMITED || error.status === 429) {
+          stats.rateLimited++;
+          bucket.pause(delay);
+        } else {
+          await sleep(delay);
+        }
+        stats.retries++;
+      }
+    }
+  };
+
+  /**
+   * Request counts for this client (one function invocation)
+   */
+  client.getStats = () => ({
+    calls: stats.calls,
+    retries: stats.retries,
+    rateLimited: stats.rateLimited,
+    failures: stats.failures,
+    waitedMs: stats.waitedMs,
+    endpoints: { ...stats.endpoints }
+  });
+
+  /**
+   * Response headers describing Notion usage for this invocation
+   */
+  client.getHeaders = () => ({
+    'X-Notion-Calls': String(stats.calls),
+    'X-Notion-Retries': String(stats.retries)
+  });
+
+  /**
+   * Log request counts - always with NOTION_LOG_REQUESTS=true, otherwise only if retried
+   */
+  client.logStats = (label = 'notion') => {
+    if (process.env.NOTION_LOG_REQUESTS !== 'true' && stats.retries === 0) return;
+    console.log(`[${label}] Notion requests: ${JSON.stringify(client.getStats())}`);
+  };
+
+  return client;
+}
+
+module.exports = {
+  createNotionClient,
+  createTokenBucket
+};
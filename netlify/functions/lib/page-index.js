@@ -0,0 +1,234 @@
+/**
+ * Page Index
+ *
+ * Enumerates every page the Notion integration can see, with its type,
+ * slug, canonical URL and publishing status. Shared by pages-list and
+ * sitemap so both agree on which pages exist and where they live.
+ *
+ * Notion Page Properties (optional):
+ * - Status (select): Draft | Published | Scheduled
+ * - Slug (text): Custom URL slug override
+ * - Publish Date (date): Scheduled publish date
+ * - Meta Description (text): SEO description
+ * - Meta Title (text): SEO title override
+ * - No Index (checkbox): Hide from search engines and the sitemap
+ */
+
+const { createPageTypeResolver, getPageTypeConfig, normalizeId } = require('./page-types');
+const { getPageIcon, getPageCover } = require('./assets');
+const {
+  createLinkResolver,
+  getPageTitle,
+  getPageSlug,
+  getPageUrl,
+  isPublished,
+  readPublishState
+} = require('./link-resolver');
+const { isBlogDatabaseRow, readPostProperties } = require('./blog-source');
+const { createStateStore } = require('./cache');
+
+const PAGE_LIST_KEY = 'all-pages';
+
+// How long the page list behind link resolvers is reused - new and renamed pages resolve after at most this long
+const PAGE_LIST_TTL_SECONDS = 60;
+
+/**
+ * Fetch every page via search, most recently edited first
+ */
+async function searchAllPages(notion) {
+  let allResults = [];
+  let hasMore = true;
+  let startCursor = undefined;
+
+  while (hasMore) {
+    const response = await notion.search({
+      filter: {
+        property: 'object',
+        value: 'page'
+      },
+      sort: {
+        direction: 'descending',
+        timestamp: 'last_edited_time'
+      },
+      page_size: 100,
+      start_cursor: startCursor
+    });
+
+    allResults = allResults.concat(response.results);
+    hasMore = response.has_more;
+    startCursor = response.next_cursor;
+
+    // Safety limit to prevent infinite loops
+    if (allResults.length > 1000) {
+      hasMore = false;
+    }
+  }
+
+  return allResults;
+}
+
+/**
+ * Whether a page opted out of search engines via the No Index checkbox
+ */
+function isNoIndex(page) {
+  return page?.properties?.['No Index']?.checkbox === true;
+}
+
+/**
+ * List content pages
+ * @param {Object} notion - Notion client
+ * @param {Object} options
+ * @param {string} options.type - Only include this page type (blog | landing | docs | unknown)
+ * @param {boolean} options.includeUnpublished - Include drafts and future scheduled pages (preview mode)
+ * @returns {Promise<{pages: Array, totalFetched: number}>}
+ */
+async function listPages(notion, { type: filterType = null, includeUnpublished = false } = {}) {
+  const allResults = await searchAllPages(notion);
+  const pages = [];
+  const now = new Date();
+
+  // Build a map of configured parent IDs for quick lookup
+  const configuredParents = {
+    blog: process.env.NOTION_BLOG_PAGE_ID,
+    landing: process.env.NOTION_LANDING_PAGE_ID,
+    docs: process.env.NOTION_DOCS_PAGE_ID
+  };
+
+  // Build a set of excluded page IDs (parent pages and homepage)
+  // These are container/category pages, not content pages
+  const excludedPageIds = new Set();
+  if (configuredParents.blog) excludedPageIds.add(normalizeId(configuredParents.blog));
+  if (configuredParents.landing) excludedPageIds.add(normalizeId(configuredParents.landing));
+  if (configuredParents.docs) excludedPageIds.add(normalizeId(configuredParents.docs));
+  if (process.env.NOTION_HOMEPAGE_ID) excludedPageIds.add(normalizeId(process.env.NOTION_HOMEPAGE_ID));
+
+  // Create page type resolver using fetched data (no extra API calls)
+  const resolver = createPageTypeResolver(allResults);
+
+  for (const page of allResults) {
+    try {
+      // Skip excluded pages (configured parent pages and homepage)
+      const normalizedPageId = normalizeId(page.id);
+      if (excludedPageIds.has(normalizedPageId)) {
+        continue;
+      }
+
+      // Skip workspace-level (root) pages - these are containers, not content
+      if (page.parent?.type === 'workspace') {
+        continue;
+      }
+
+      // Extract page title (concatenate all rich text segments)
+      const title = getPageTitle(page);
+
+      // Extract icon
+      const icon = getPageIcon(page);
+
+      // Extract cover
+      const cover = getPageCover(page);
+
+      // Blog database rows use the configured column names (lib/blog-source.js)
+      const post = isBlogDatabaseRow(page) ? readPostProperties(page) : null;
+
+      // Status (default Published) and publish date for scheduled posts
+      const { status, publishDate } = readPublishState(page);
+
+      // Filter out drafts and scheduled posts (unless in preview mode)
+      if (!includeUnpublished && !isPublished({ status, publishDate }, now)) {
+        continue;
+      }
+
+      // Use custom slug if provided, otherwise generate from title
+      const slug = getPageSlug(page, title);
+
+      // Extract SEO metadata
+      const metaDescription = post ? post.metaDescription : page.properties?.['Meta Description']?.rich_text?.[0]?.plain_text || '';
+      const metaTitle = post ? post.metaTitle : page.properties?.['Meta Title']?.rich_text?.[0]?.plain_text || '';
+
+      // Determine page type using cached resolver (no API calls)
+      const typeInfo = resolver.getPageType(page.id);
+      const styleConfig = getPageTypeConfig(typeInfo.type);
+
+      // Determine structural info
+      let structureType = 'page';
+      let parentId = null;
+
+      if (page.parent) {
+        if (page.parent.type === 'database_id') {
+          structureType = 'database_entry';
+          parentId = page.parent.database_id;
+        } else if (page.parent.type === 'page_id') {
+          structureType = 'child_page';
+          parentId = page.parent.page_id;
+        } else if (page.parent.type === 'workspace') {
+          structureType = 'root_page';
+        }
+      }
+
+      // Skip if filtering by type and doesn't match
+      if (filterType && typeInfo.type !== filterType) {
+        continue;
+      }
+
+      // Generate appropriate URL based on page type
+      const url = getPageUrl(typeInfo.type, slug);
+
+      pages.push({
+        id: page.id,
+        title,
+        slug,
+        icon,
+        cover,
+        status,
+        pageType: typeInfo.type,
+        styleConfig,
+        structureType,
+        parentId,
+        url,
+        publishDate: publishDate || null,
+        metaTitle: metaTitle || null,
+        metaDescription: metaDescription || null,
+        noIndex: isNoIndex(page),
+        createdTime: page.created_time,
+        lastEditedTime: page.last_edited_time
+      });
+    } catch (error) {
+      console.error(`Error processing page ${page.id}:`, error);
+      continue;
+    }
+  }
+
+  return { pages, totalFetched: allResults.length };
+}
+
+/**
+ * Link resolver over every page the integration can see (see lib/link-resolver.js)
+ * Without allPages, the page list is reused from the state store for
+ * PAGE_LIST_TTL_SECONDS, so handlers don't search the whole workspace on
+ * every request.
+ * @param {Object} notion - Notion client
+ * @param {Array} allPages - Pages already fetched with searchAllPages (optional)
+ * @param {Object} options
+ * @param {Object} options.store - State store for the page list (default: createStateStore())
+ */
+async function loadLinkResolver(notion, allPages = null, { store = createStateStore() } = {}) {
+  if (allPages) return createLinkResolver(allPages);
+
+  const stored = await store.get(PAGE_LIST_KEY);
+  if (stored && stored.expiresAt > Date.now()) {
+    return createLinkResolver(stored.pages);
+  }
+
+  const pages = await searchAllPages(notion);
+  await store.set(PAGE_LIST_KEY, { pages, expiresAt: Date.now() + PAGE_LIST_TTL_SECONDS * 1000 });
+  return createLinkResolver(pages);
+}
+
+module.exports = {
+  listPages,
+  loadLinkResolver,
+  searchAllPages,
+  isPublished,
+  readPublishState,
+  isNoIndex
+};
@@ -5,6 +5,7 @@
  * Configure parent page IDs via environment variables:
  *
  * - NOTION_BLOG_PAGE_ID: Blog posts (article style)
+ * - NOTION_BLOG_DB_ID: Blog posts kept in a database (article style)
  * - NOTION_LANDING_PAGE_ID: Landing pages (marketing style)
  * - NOTION_DOCS_PAGE_ID: Documentation (sidebar + TOC style)
  *
@@ -55,6 +56,11 @@ function createPageTypeResolver(allPages) {
     }
   }
 
+  // Rows of the blog database are blog posts wherever the database lives
+  if (process.env.NOTION_BLOG_DB_ID) {
+    normalizedParents[normalizeId(process.env.NOTION_BLOG_DB_ID)] = PAGE_TYPES.BLOG;
+  }
+
   // Build a map of page ID -> parent ID from the fetched data
   const parentMap = new Map();
   const pageSet = new Set();
@@ -179,6 +185,11 @@ async function determinePageType(notion, pageId, page = null, resolver = null) {
 
     if (directParentId) {
       const normalizedParent = normalizeId(directParentId);
+
+      if (process.env.NOTION_BLOG_DB_ID && normalizeId(process.env.NOTION_BLOG_DB_ID) === normalizedParent) {
+        return { type: PAGE_TYPES.BLOG, parentId: process.env.NOTION_BLOG_DB_ID, parentType: PAGE_TYPES.BLOG };
+      }
+
       for (const [type, parentId] of Object.entries(parents)) {
         if (parentId && normalizeId(parentId) === normalizedParent) {
           result.type = type;
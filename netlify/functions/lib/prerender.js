@@ -0,0 +1,388 @@
+/**
+ * Prerendering
+ *
+ * Turns API responses into complete HTML documents by filling the static
+ * page shells (index.html, pages/*.html). Cards, homepage sections and the
+ * docs sidebar come from the browser scripts' own renderers, so prerendered
+ * markup matches what the client renders.
+ *
+ * Listing documents are marked with data-prerendered so the browser scripts
+ * refresh them in place instead of showing a loading state. Detail documents
+ * also get Open Graph tags and embed their metadata as #page-data, which
+ * js/page.js, js/doc.js and js/blog-post.js hydrate from instead of refetching.
+ * Used by the static build (scripts/build.js) and the render function.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, stripHtml } = require('./block-renderer');
+const {
+  setInnerHtml,
+  setText,
+  setAttribute,
+  setDisplay,
+  setDocumentTitle,
+  setMetaDescription,
+  setRootAttribute,
+  appendToHead,
+  embedJson
+} = require('./html-template');
+const { getSiteUrl } = require('./site-url');
+
+// Static paths so the function bundler includes the browser scripts
+const SITE_CONFIG = require('../../../js/config');
+const { renderPostCards, renderTagLinks, renderPaginationLinks } = require('../../../js/blog');
+const { renderPageCards } = require('../../../js/pages');
+const { renderDocCards } = require('../../../js/docs');
+const { renderHomepageContent } = require('../../../js/home');
+const { renderTreeItems, flattenTree } = require('../../../js/doc');
+
+// Templates are read from disk (see included_files in netlify.toml)
+const ROOT_DIR = path.join(__dirname, '..', '..', '..');
+
+const TEMPLATES = {
+  home: 'index.html',
+  blogList: 'pages/blog.html',
+  blogPost: 'pages/blog-post.html',
+  pagesList: 'pages/pages.html',
+  page: 'pages/page.html',
+  docsList: 'pages/docs.html',
+  doc: 'pages/doc.html'
+};
+
+const templateCache = new Map();
+
+/**
+ * Read a page shell (cached)
+ * @param {string} name - Key of TEMPLATES
+ */
+function loadTemplate(name) {
+  if (!templateCache.has(name)) {
+    templateCache.set(name, fs.readFileSync(path.join(ROOT_DIR, TEMPLATES[name]), 'utf8'));
+  }
+  return templateCache.get(name);
+}
+
+function siteName() {
+  return SITE_CONFIG.siteName || 'Notion CMS';
+}
+
+/**
+ * Plain-text description from rendered HTML (mirrors extractText() in the browser scripts)
+ */
+function describe(html, maxLength = 160) {
+  const text = stripHtml(html || '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+}
+
+function formatDate(dateString, config = {}) {
+  if (!dateString) return '';
+  return new Date(dateString).toLocaleDateString(
+    config.dateLocale || 'en-US',
+    config.dateFormat || { year: 'numeric', month: 'long', day: 'numeric' }
+  );
+}
+
+/**
+ * Mark a document as prerendered and swap the loading state for content
+ */
+function finalize(html, contentId, display = 'block') {
+  html = setRootAttribute(html, 'data-prerendered', 'true');
+  html = setDisplay(html, 'loading', 'none');
+  return setDisplay(html, contentId, display);
+}
+
+/**
+ * Canonical link, Open Graph and Twitter Card tags
+ * Relative URLs (e.g. /api/asset/... images) are made absolute with baseUrl,
+ * and dropped when no base URL is known. Pages with No Index checked also
+ * get a robots noindex tag.
+ */
+function renderSocialTags({ title, description, url, image, type = 'website', publishedTime, modifiedTime, noIndex = false }, baseUrl) {
+  const absolute = (value) => {
+    if (!value) return null;
+    if (/^https?:\/\//.test(value)) return value;
+    return baseUrl && value.startsWith('/') ? `${baseUrl}${value}` : null;
+  };
+
+  const pageUrl = absolute(url);
+  const imageUrl = absolute(image);
+  const meta = (attr, key, value) => value ? `<meta ${attr}="${key}" content="${escapeHtml(value)}">` : null;
+
+  const tags = [
+    noIndex ? meta('name', 'robots', 'noindex') : null,
+    pageUrl ? `<link rel="canonical" href="${escapeHtml(pageUrl)}">` : null,
+    meta('property', 'og:type', type),
+    meta('property', 'og:site_name', siteName()),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:url', pageUrl),
+    meta('property', 'og:image', imageUrl),
+    meta('property', 'article:published_time', publishedTime),
+    meta('property', 'article:modified_time', modifiedTime),
+    meta('name', 'twitter:card', imageUrl ? 'summary_large_image' : 'summary'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', imageUrl)
+  ].filter(Boolean);
+
+  return tags.map(tag => `  ${tag}\n`).join('');
+}
+
+/**
+ * Detail response without its rendered content, for #page-data
+ */
+function toPageData(payload) {
+  const { content, ...data } = payload;
+  return data;
+}
+
+/**
+ * Hide an element that has no id, addressed by its exact opening tag
+ */
+function hideByClass(html, tag, className) {
+  return html.replace(`<${tag} class="${className}">`, `<${tag} class="${className}" style="display: none;">`);
+}
+
+/**
+ * Render a page icon (emoji or image URL) into an icon element
+ */
+function setIcon(html, id, icon) {
+  if (!icon) {
+    return setDisplay(html, id, 'none');
+  }
+  if (icon.startsWith('http') || icon.startsWith('/')) {
+    return setInnerHtml(
+      html,
+      id,
+      `<img src="${escapeHtml(icon)}" alt="" style="width: 1.5rem; height: 1.5rem; vertical-align: middle;">`
+    );
+  }
+  return setText(html, id, icon);
+}
+
+// =============================================================================
+// LISTING PAGES
+// =============================================================================
+
+/**
+ * Fill a listing shell with cards, or its empty state
+ */
+function renderListing(html, gridId, cards) {
+  if (!cards) {
+    return finalize(html, 'empty');
+  }
+  html = setInnerHtml(html, gridId, cards);
+  return finalize(html, gridId, 'grid');
+}
+
+/**
+ * /blog from a blog-list response (the first page when paginated)
+ */
+function renderBlogListDocument({ posts = [], tags = [], pagination = null }) {
+  let html = loadTemplate('blogList');
+  const cards = posts.length > 0 ? renderPostCards(posts, SITE_CONFIG) : '';
+  const tagLinks = renderTagLinks(tags);
+  const pageLinks = renderPaginationLinks(pagination, '/blog');
+
+  if (tagLinks) {
+    html = setInnerHtml(html, 'blog-tags', tagLinks);
+    html = setDisplay(html, 'blog-tags', 'flex');
+  }
+  if (pageLinks) {
+    html = setInnerHtml(html, 'blog-pagination', pageLinks);
+    html = setDisplay(html, 'blog-pagination', 'flex');
+  }
+
+  return renderListing(html, 'posts-grid', cards);
+}
+
+/**
+ * /pages from a pages-list response
+ */
+function renderPagesListDocument({ pages = [] }) {
+  const cards = pages.length > 0 ? renderPageCards(pages, SITE_CONFIG) : '';
+  return renderListing(loadTemplate('pagesList'), 'pages-grid', cards);
+}
+
+/**
+ * /docs from a pages-list response
+ */
+function renderDocsListDocument({ pages = [] }) {
+  const cards = pages.length > 0 ? renderDocCards(pages) : '';
+  return renderListing(loadTemplate('docsList'), 'docs-grid', cards);
+}
+
+/**
+ * / from a homepage response
+ */
+function renderHomeDocument(data) {
+  let html = loadTemplate('home');
+
+  if (data.metaTitle) {
+    html = setDocumentTitle(html, data.metaTitle);
+  }
+  if (data.metaDescription) {
+    html = setMetaDescription(html, data.metaDescription);
+  }
+
+  html = setInnerHtml(html, 'home-content', renderHomepageContent(data));
+  html = setDisplay(html, 'fallback-content', 'none');
+  html = html.replace(/<body([^>]*)>/, '<body$1 class="page-home layout-landing">');
+
+  return finalize(html, 'home-content');
+}
+
+// =============================================================================
+// DETAIL PAGES
+// =============================================================================
+
+/**
+ * /blog/:slug from a blog-detail response
+ * @param {Object} options
+ * @param {string} options.baseUrl - Site origin for absolute URLs (default: SITE_URL / URL)
+ */
+function renderBlogPostDocument(post, { baseUrl = getSiteUrl() } = {}) {
+  let html = loadTemplate('blogPost');
+  const description = post.metaDescription || describe(post.content);
+
+  html = setDocumentTitle(html, `${post.title} — ${siteName()}`);
+  html = setMetaDescription(html, description);
+  html = appendToHead(html, renderSocialTags({
+    title: post.metaTitle || post.title,
+    description,
+    url: post.url || `/blog/${post.slug}`,
+    image: post.heroImage,
+    type: 'article',
+    publishedTime: post.publishedDate,
+    modifiedTime: post.lastEditedDate,
+    noIndex: post.noIndex
+  }, baseUrl));
+  html = embedJson(html, 'page-data', toPageData(post));
+  html = setText(html, 'breadcrumb-title', post.title);
+  html = setText(html, 'post-title', post.title);
+  html = setText(html, 'post-date', formatDate(post.publishedDate, SITE_CONFIG.blog));
+  html = setInnerHtml(html, 'post-body', post.content);
+
+  return finalize(html, 'post-content');
+}
+
+/**
+ * /page/:slug from a page-detail response
+ * Applies the same page type layout as applyPageTypeLayout() in js/page.js.
+ */
+function renderPageDocument(page, { baseUrl = getSiteUrl() } = {}) {
+  let html = loadTemplate('page');
+  const styleConfig = page.styleConfig || {};
+  const description = describe(page.content);
+
+  html = setDocumentTitle(html, `${page.title} — ${siteName()}`);
+  html = setMetaDescription(html, description);
+  html = appendToHead(html, renderSocialTags({
+    title: page.title,
+    description,
+    url: page.url || `/page/${page.slug}`,
+    image: page.cover,
+    modifiedTime: page.lastEditedTime,
+    noIndex: page.noIndex
+  }, baseUrl));
+  html = embedJson(html, 'page-data', toPageData(page));
+  html = setText(html, 'breadcrumb-title', page.title);
+  html = setText(html, 'page-name', page.title);
+  html = setText(html, 'page-date', formatDate(page.lastEditedTime, SITE_CONFIG.pages));
+  html = setIcon(html, 'page-icon', page.icon);
+  html = setInnerHtml(html, 'page-body', page.content);
+
+  if (page.cover) {
+    html = setAttribute(html, 'page-cover', 'src', page.cover);
+    html = setDisplay(html, 'page-cover', 'block');
+  }
+
+  // Page type layout
+  html = html.replace('<article class="article">', `<article class="article layout-${escapeHtml(page.pageType)}">`);
+  if (styleConfig.contentClass) {
+    html = setAttribute(html, 'page-body', 'class', styleConfig.contentClass);
+  }
+  if (!styleConfig.showDate) {
+    html = hideByClass(html, 'p', 'article-meta');
+  }
+  if (!styleConfig.showShareButtons) {
+    html = hideByClass(html, 'div', 'share-buttons');
+  }
+  if (page.pageType === 'landing') {
+    html = hideByClass(html, 'footer', 'article-footer');
+    html = hideByClass(html, 'nav', 'breadcrumb');
+  }
+
+  return finalize(html, 'page-content');
+}
+
+/**
+ * /docs/:slug from a page-detail response and the docs-tree
+ */
+function renderDocDocument(page, tree = [], { baseUrl = getSiteUrl() } = {}) {
+  let html = loadTemplate('doc');
+  const description = describe(page.content);
+
+  html = setDocumentTitle(html, `${page.title} — Documentation — ${siteName()}`);
+  html = setMetaDescription(html, description);
+  html = appendToHead(html, renderSocialTags({
+    title: page.title,
+    description,
+    url: page.url || `/docs/${page.slug}`,
+    image: page.cover,
+    type: 'article',
+    modifiedTime: page.lastEditedTime,
+    noIndex: page.noIndex
+  }, baseUrl));
+  html = embedJson(html, 'page-data', toPageData(page));
+  html = setText(html, 'breadcrumb-title', page.title);
+  html = setText(html, 'doc-name', page.title);
+  html = setText(html, 'doc-date', formatDate(page.lastEditedTime));
+  html = setIcon(html, 'doc-icon', page.icon);
+  html = setInnerHtml(html, 'doc-body', page.content);
+
+  if (tree.length > 0) {
+    html = setInnerHtml(html, 'docs-nav', renderTreeItems(tree, page.slug));
+  }
+
+  // Prev/next links (mirrors setupPrevNext() in js/doc.js)
+  const flatDocs = flattenTree(tree);
+  const currentIndex = flatDocs.findIndex(doc => doc.slug === page.slug);
+  if (flatDocs.length > 1 && currentIndex !== -1) {
+    const prevDoc = flatDocs[currentIndex - 1];
+    const nextDoc = flatDocs[currentIndex + 1];
+
+    html = setDisplay(html, 'docs-prev-next', 'grid');
+    if (prevDoc) {
+      html = setAttribute(html, 'prev-link', 'href', `/docs/${prevDoc.slug}`);
+      html = setDisplay(html, 'prev-link', 'block');
+      html = setText(html, 'prev-title', prevDoc.title);
+    }
+    if (nextDoc) {
+      html = setAttribute(html, 'next-link', 'href', `/docs/${nextDoc.slug}`);
+      html = setDisplay(html, 'next-link', 'block');
+      html = setText(html, 'next-title', nextDoc.title);
+    }
+  }
+
+  return finalize(html, 'doc-content', 'grid');
+}
+
+module.exports = {
+  loadTemplate,
+  renderHomeDocument,
+  renderBlogListDocument,
+  renderPagesListDocument,
+  renderDocsListDocument,
+  renderBlogPostDocument,
+  renderPageDocument,
+  renderDocDocument
+};
@@ -0,0 +1,259 @@
+/**
+ * Notion Redirects
+ *
+ * Vanity URLs and legacy redirects managed from a Notion database instead
+ * of netlify.toml. Each row is one rule:
+ *
+ * - From: Path to match, e.g. /launch, /news/:year/:slug or /old-blog/*
+ * - To: Target path or absolute URL; :splat and :placeholders are filled in
+ * - Status code: 301 (default), 302, 303, 307 or 308
+ * - Active: Unchecked rows are ignored
+ *
+ * Matching follows Netlify's redirect syntax: a trailing * captures the rest
+ * of the path as :splat, :name captures one path segment, trailing slashes
+ * are ignored and the query string is passed on unless To has its own.
+ * Rules without wildcards are tried first, then rows in the order they were
+ * created - the first match wins.
+ *
+ * Used by the redirect function (paths nothing else serves), render.js (detail
+ * routes that 404) and scripts/build.js, which writes the rules that don't
+ * overlap a site route to _redirects - so a rule applies in the same places
+ * at the edge as it does in the functions.
+ * The functions reuse the rules from the state store for REDIRECTS_TTL_SECONDS,
+ * so unmatched requests don't query the database each time.
+ */
+
+const { createStateStore } = require('./cache');
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+const DEFAULT_STATUS_CODE = 301;
+
+// How long loaded rules are reused - edited rows take effect after at most this long
+const REDIRECTS_TTL_SECONDS = 60;
+
+/**
+ * Plain text of a title, rich_text, url, number or select property
+ */
+function getPropertyText(property) {
+  if (!property) return '';
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return (property[property.type] || []).map(segment => segment.plain_text || '').join('').trim();
+    case 'url':
+      return (property.url || '').trim();
+    case 'number':
+      return property.number === null || property.number === undefined ? '' : String(property.number);
+    case 'select':
+      return property.select?.name || '';
+    default:
+      return '';
+  }
+}
+
+function hasWildcards(pattern) {
+  return pattern.includes('*') || /\/:[^/]+/.test(pattern);
+}
+
+/**
+ * Strip the trailing slash (except for "/") so /about and /about/ match the same rules
+ */
+function normalizePath(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+}
+
+/**
+ * Compile a From pattern to a regular expression and its placeholder names
+ */
+function compilePattern(from) {
+  const names = [];
+  const segments = normalizePath(from).split('/').slice(1);
+
+  let source = '';
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+
+    if (segment === '*' && i === segments.length - 1) {
+      names.push('splat');
+      source += '(?:/(.*))?';
+    } else if (segment.startsWith(':') && segment.length > 1) {
+      names.push(segment.slice(1));
+      source += '/([^/]+)';
+    } else {
+      source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return { regex: new RegExp(`^${source || '/'}$`, 'i'), names };
+}
+
+/**
+ * Turn a database row into a rule, or explain why it can't be one
+ * @returns {{rule: Object|null, problem: string|null}}
+ */
+function parseRedirectRow(page) {
+  const properties = page.properties || {};
+  const from = getPropertyText(properties.From);
+  const to = getPropertyText(properties.To);
+  const statusText = getPropertyText(properties['Status code']);
+  const status = statusText ? parseInt(statusText, 10) : DEFAULT_STATUS_CODE;
+
+  if (!from.startsWith('/') || /\s/.test(from)) {
+    return { rule: null, problem: `From "${from}" must be a path starting with /` };
+  }
+  if (from.includes('*') && !from.endsWith('/*')) {
+    return { rule: null, problem: `From "${from}" can only have * as its last segment` };
+  }
+  if (!/^(\/|https?:\/\/)/.test(to) || /\s/.test(to)) {
+    return { rule: null, problem: `To "${to}" must be a path or an http(s) URL` };
+  }
+  if (!REDIRECT_STATUS_CODES.includes(status)) {
+    return { rule: null, problem: `Status code "${statusText}" must be one of ${REDIRECT_STATUS_CODES.join(', ')}` };
+  }
+
+  return { rule: { id: page.id, from, to, status }, problem: null };
+}
+
+/**
+ * Load the active rules from NOTION_REDIRECTS_DB_ID
+ * Invalid rows are skipped with a warning.
+ * @param {Object} notion - Notion client
+ * @param {Object} options
+ * @param {Object} options.store - State store the rules are kept in (default: createStateStore())
+ * @param {number} options.ttl - Seconds loaded rules are reused; 0 always queries the database (default: 60)
+ * @returns {Promise<Array<{id, from, to, status}>>} Rules in match order ([] when not configured)
+ */
+async function loadRedirects(notion, { store = createStateStore(), ttl = REDIRECTS_TTL_SECONDS } = {}) {
+  const databaseId = process.env.NOTION_REDIRECTS_DB_ID;
+  if (!databaseId) return [];
+
+  const key = `redirect-rules:${databaseId}`;
+  if (ttl > 0) {
+    const stored = await store.get(key);
+    if (stored && stored.expiresAt > Date.now()) {
+      return stored.rules;
+    }
+  }
+
+  const rules = await queryRedirects(notion, databaseId);
+  await store.set(key, { rules, expiresAt: Date.now() + ttl * 1000 });
+  return rules;
+}
+
+/**
+ * Query and parse every row of the redirects database
+ */
+async function queryRedirects(notion, databaseId) {
+  const rows = [];
+  let cursor;
+  do {
+    const response = await notion.databases.query({
+      database_id: databaseId,
+      sorts: [{ timestamp: 'created_time', direction: 'ascending' }],
+      start_cursor: cursor,
+      page_size: 100
+    });
+    rows.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  const rules = [];
+  for (const row of rows) {
+    // A missing Active column means every row is active
+    if (row.archived || row.properties?.Active?.checkbox === false) continue;
+
+    const { rule, problem } = parseRedirectRow(row);
+    if (problem) {
+      console.warn(`Skipping redirect ${row.id}: ${problem}`);
+      continue;
+    }
+    rules.push(rule);
+  }
+
+  // Exact paths before wildcards; sort() is stable so creation order is kept otherwise
+  return rules.sort((a, b) => Number(hasWildcards(a.from)) - Number(hasWildcards(b.from)));
+}
+
+/**
+ * Find the first rule matching a request path
+ * @param {Array} rules - From loadRedirects()
+ * @param {string} pathname - Request path
+ * @param {string} search - Request query string ("?a=1" or "")
+ * @returns {{rule: Object, location: string, status: number}|null}
+ */
+function matchRedirect(rules, pathname, search = '') {
+  const requestPath = normalizePath(pathname);
+
+  for (const rule of rules) {
+    const { regex, names } = compilePattern(rule.from);
+    const match = regex.exec(requestPath);
+    if (!match) continue;
+
+    const params = {};
+    names.forEach((name, i) => {
+      params[name] = match[i + 1] || '';
+    });
+
+    // Longest names first so :splat isn't cut short by a :s placeholder
+    let location = rule.to;
+    for (const name of [...names].sort((a, b) => b.length - a.length)) {
+      location = location.split(`:${name}`).join(params[name]);
+    }
+
+    if (search && !location.includes('?')) {
+      location += search;
+    }
+
+    // Never redirect a path to itself
+    if (normalizePath(location.split('?')[0]) === requestPath && !/^https?:/.test(location)) {
+      continue;
+    }
+
+    return { rule, location, status: rule.status };
+  }
+
+  return null;
+}
+
+/**
+ * Whether some path matches both From patterns, e.g. /blog/* and /blog/:slug
+ */
+function patternsOverlap(a, b) {
+  const left = normalizePath(a).split('/').slice(1);
+  const right = normalizePath(b).split('/').slice(1);
+
+  for (let i = 0; ; i++) {
+    const x = left[i];
+    const y = right[i];
+
+    if (x === '*' && i === left.length - 1) return true;
+    if (y === '*' && i === right.length - 1) return true;
+    if (x === undefined || y === undefined) return x === undefined && y === undefined;
+    if (x.startsWith(':') || y.startsWith(':')) continue;
+    if (x.toLowerCase() !== y.toLowerCase()) return false;
+  }
+}
+
+/**
+ * Netlify _redirects file contents for the rules
+ */
+function toRedirectsFile(rules) {
+  const lines = [
+    '# Generated from the Notion redirects database by scripts/build.js - do not edit by hand',
+    ''
+  ];
+  for (const rule of rules) {
+    lines.push(`${rule.from}  ${rule.to}  ${rule.status}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  REDIRECT_STATUS_CODES,
+  loadRedirects,
+  matchRedirect,
+  parseRedirectRow,
+  patternsOverlap,
+  toRedirectsFile
+};
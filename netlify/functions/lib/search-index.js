@@ -0,0 +1,449 @@
+/**
+ * Search Index
+ *
+ * Inverted index over the titles, headings and body text of published
+ * blog, docs and landing pages. The index is stored in the response cache
+ * (CACHE_BACKEND) and updated incrementally: only pages whose
+ * last_edited_time changed since the last build are re-read, and pages that
+ * were deleted or unpublished are dropped.
+ *
+ * The list of searchable pages is kept in the state store for a minute, so
+ * most searches don't page through the whole workspace. A request indexes
+ * for at most INDEX_TIME_BUDGET_MS and saves what it has, so a cold index is
+ * built over several requests instead of timing out in the first one.
+ *
+ * Page text is read from the blocks' own rich text rather than the rendered
+ * HTML, so content the renderer adds (bookmark previews, inline database
+ * rows) doesn't make pages match on text that isn't theirs.
+ *
+ * Ranking is BM25 over a weighted term frequency (title > headings > body),
+ * with prefix matching on the last query term for search-as-you-type.
+ */
+
+const { getAllBlocks, escapeHtml, richTextToPlain, getHeadingId } = require('./block-renderer');
+const { listPages } = require('./page-index');
+const { createStateStore } = require('./cache');
+
+// Bump when the index structure changes - old indexes are rebuilt from scratch
+const INDEX_FORMAT = '2';
+const INDEX_KEY = 'search-index';
+const PAGE_LIST_KEY = 'search-pages';
+
+// How long the list of searchable pages is reused - new and edited pages are found after at most this long
+const PAGE_LIST_TTL_SECONDS = 60;
+
+// Time spent indexing per request, well inside the 10s function timeout
+const INDEX_TIME_BUDGET_MS = 5000;
+
+// Page types that are searchable
+const SEARCHABLE_TYPES = new Set(['blog', 'docs', 'landing']);
+
+// Term frequency weights per field
+const FIELD_WEIGHTS = { title: 5, headings: 2, body: 1 };
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Stored text per page, used for snippets
+const MAX_STORED_TEXT = 20000;
+
+// Pages indexed concurrently (Notion allows ~3 requests/second)
+const INDEX_CONCURRENCY = 3;
+
+// Blocks whose children are separate pages, not part of this one
+const SEPARATE_PAGE_TYPES = new Set(['child_page', 'child_database']);
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// =============================================================================
+// TEXT
+// =============================================================================
+
+/**
+ * Split text into lowercase index terms
+ */
+function tokenize(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * A page's blocks -> { headings, text }, walking nested blocks in reading order
+ * Heading IDs are assigned in the same order block-renderer assigns them, so
+ * they match the anchors on the rendered page.
+ */
+async function extractBlockText(notion, blocks) {
+  const headings = [];
+  const parts = [];
+  const headingIds = new Map();
+
+  async function walk(items) {
+    for (const block of items) {
+      const value = block[block.type] || {};
+      const text = richTextToPlain(value.rich_text).trim();
+
+      if (/^heading_[1-3]$/.test(block.type)) {
+        const id = getHeadingId(block, richTextToPlain(value.rich_text), headingIds);
+        if (text) headings.push({ text, id });
+      }
+
+      if (text) parts.push(text);
+      if (block.type === 'table_row') parts.push(...(value.cells || []).map(richTextToPlain));
+      if (value.caption) parts.push(richTextToPlain(value.caption));
+
+      // Synced copies render the original block's children
+      const childrenOf = block.type === 'synced_block' && value.synced_from
+        ? value.synced_from.block_id
+        : (block.has_children && !SEPARATE_PAGE_TYPES.has(block.type) ? block.id : null);
+
+      if (childrenOf) {
+        try {
+          await walk(await getAllBlocks(notion, childrenOf));
+        } catch (error) {
+          console.error(`Error fetching children of ${block.type} block ${block.id}:`, error);
+        }
+      }
+    }
+  }
+
+  await walk(blocks);
+
+  return {
+    headings,
+    text: parts.join(' ').replace(/\s+/g, ' ').trim()
+  };
+}
+
+// =============================================================================
+// INDEXING
+// =============================================================================
+
+function createEmptyIndex() {
+  return {
+    format: INDEX_FORMAT,
+    docs: {},
+    postings: {},
+    totalLength: 0,
+    updatedAt: null
+  };
+}
+
+/**
+ * Build the index document for one page
+ */
+async function buildDocument(notion, page) {
+  const blocks = await getAllBlocks(notion, page.id);
+  const { headings, text } = await extractBlockText(notion, blocks);
+  const fields = {
+    title: tokenize(page.title),
+    headings: tokenize(headings.map(heading => heading.text).join(' ')),
+    body: tokenize(text)
+  };
+
+  // term -> [title, headings, body] counts
+  const terms = {};
+  ['title', 'headings', 'body'].forEach((field, position) => {
+    for (const term of fields[field]) {
+      if (!terms[term]) terms[term] = [0, 0, 0];
+      terms[term][position]++;
+    }
+  });
+
+  return {
+    doc: {
+      id: page.id,
+      title: page.title,
+      url: page.url,
+      pageType: page.pageType,
+      lastEditedTime: page.lastEditedTime,
+      headings,
+      text: text.slice(0, MAX_STORED_TEXT),
+      length: fields.title.length + fields.headings.length + fields.body.length,
+      terms: Object.keys(terms)
+    },
+    terms
+  };
+}
+
+function addDocument(index, { doc, terms }) {
+  index.docs[doc.id] = doc;
+  index.totalLength += doc.length;
+  for (const [term, counts] of Object.entries(terms)) {
+    if (!index.postings[term]) index.postings[term] = {};
+    index.postings[term][doc.id] = counts;
+  }
+}
+
+function removeDocument(index, id) {
+  const doc = index.docs[id];
+  if (!doc) return;
+
+  for (const term of doc.terms) {
+    const posting = index.postings[term];
+    if (!posting) continue;
+    delete posting[id];
+    if (Object.keys(posting).length === 0) {
+      delete index.postings[term];
+    }
+  }
+
+  index.totalLength -= doc.length;
+  delete index.docs[id];
+}
+
+/**
+ * Published searchable pages, from the state store while fresh
+ */
+async function loadSearchablePages(notion, store) {
+  const stored = await store.get(PAGE_LIST_KEY);
+  if (stored && stored.expiresAt > Date.now()) {
+    return stored.pages;
+  }
+
+  const { pages } = await listPages(notion);
+  const searchable = pages
+    .filter(page => SEARCHABLE_TYPES.has(page.pageType))
+    .map(({ id, title, url, pageType, lastEditedTime }) => ({ id, title, url, pageType, lastEditedTime }));
+
+  await store.set(PAGE_LIST_KEY, { pages: searchable, expiresAt: Date.now() + PAGE_LIST_TTL_SECONDS * 1000 });
+  return searchable;
+}
+
+/**
+ * Load the stored index and bring it up to date with the published pages
+ * Stops indexing once the time budget is spent; the rest is picked up by later requests.
+ * @param {Object} notion - Notion client
+ * @param {Object} cache - Cache handle from createCache()
+ * @param {Object} options
+ * @param {Object} options.store - State store for the page list (default: createStateStore())
+ * @param {number} options.timeBudget - Milliseconds to spend indexing (default: INDEX_TIME_BUDGET_MS)
+ * @returns {Promise<{index: Object, stats: {documents: number, indexed: number, removed: number, failed: number, pending: number}}>}
+ */
+async function getSearchIndex(notion, cache, { store = createStateStore(), timeBudget = INDEX_TIME_BUDGET_MS } = {}) {
+  const deadline = Date.now() + timeBudget;
+  const stored = await cache.get(INDEX_KEY, INDEX_FORMAT);
+  const index = stored && stored.format === INDEX_FORMAT ? stored : createEmptyIndex();
+  const stats = { documents: 0, indexed: 0, removed: 0, failed: 0, pending: 0 };
+
+  const pages = await loadSearchablePages(notion, store);
+  const current = new Map(pages.map(page => [page.id, page]));
+
+  // Drop deleted or unpublished pages
+  for (const id of Object.keys(index.docs)) {
+    if (!current.has(id)) {
+      removeDocument(index, id);
+      stats.removed++;
+    }
+  }
+
+  // Re-index new and edited pages, a few at a time
+  const stale = [...current.values()].filter(page => {
+    const doc = index.docs[page.id];
+    return !doc ||
+      doc.lastEditedTime !== page.lastEditedTime ||
+      doc.url !== page.url ||
+      doc.pageType !== page.pageType;
+  });
+
+  for (let i = 0; i < stale.length; i += INDEX_CONCURRENCY) {
+    if (Date.now() >= deadline) {
+      stats.pending = stale.length - i;
+      break;
+    }
+
+    const batch = stale.slice(i, i + INDEX_CONCURRENCY);
+    const built = await Promise.all(batch.map(async (page) => {
+      try {
+        return await buildDocument(notion, page);
+      } catch (error) {
+        console.error(`Error indexing page ${page.id}:`, error);
+        stats.failed++;
+        return null;
+      }
+    }));
+
+    built.forEach((entry, position) => {
+      if (!entry) return;
+      removeDocument(index, batch[position].id);
+      addDocument(index, entry);
+      stats.indexed++;
+    });
+  }
+
+  if (stats.indexed > 0 || stats.removed > 0 || !stored) {
+    index.updatedAt = new Date().toISOString();
+    await cache.set(INDEX_KEY, INDEX_FORMAT, index);
+  }
+
+  stats.documents = Object.keys(index.docs).length;
+  return { index, stats };
+}
+
+// =============================================================================
+// QUERYING
+// =============================================================================
+
+/**
+ * Query terms -> index terms they match
+ * Exact matches, plus prefix matches for the last term (search-as-you-type).
+ */
+function expandTerms(index, queryTerms) {
+  return queryTerms.map((term, position) => {
+    const matches = index.postings[term] ? [{ term, weight: 1 }] : [];
+
+    if (position === queryTerms.length - 1 && term.length >= 2) {
+      for (const candidate of Object.keys(index.postings)) {
+        if (candidate !== term && candidate.startsWith(term)) {
+          matches.push({ term: candidate, weight: 0.5 });
+        }
+      }
+    }
+
+    return matches;
+  });
+}
+
+/**
+ * Wrap matched words in <mark>, escaping everything else
+ */
+function highlight(text, terms) {
+  if (terms.length === 0) return escapeHtml(text);
+
+  const escaped = terms
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escaped.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeHtml(text.slice(lastIndex, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Excerpt of the page text around the first match
+ */
+function buildSnippet(text, terms, length = 160) {
+  const lower = text.toLowerCase();
+  let position = -1;
+
+  for (const term of terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u');
+    const found = lower.search(pattern);
+    if (found !== -1 && (position === -1 || found < position)) {
+      position = found;
+    }
+  }
+
+  let start = position === -1 ? 0 : Math.max(0, position - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < position) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const excerpt = text.slice(start, end);
+  return `${start > 0 ? '… ' : ''}${highlight(excerpt, terms)}${end < text.length ? ' …' : ''}`;
+}
+
+/**
+ * Rank pages for a query
+ * Pages must match every query term; if none do, pages matching any term are returned.
+ * @param {Object} index - Index from getSearchIndex()
+ * @param {string} query - Search text
+ * @param {Object} options
+ * @param {string} options.type - Only return this page type (blog | docs | landing)
+ * @param {number} options.limit - Maximum results (default: 10)
+ * @returns {{results: Array, total: number}}
+ */
+function searchIndex(index, query, { type = null, limit = 10 } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return { results: [], total: 0 };
+  }
+
+  const docIds = Object.keys(index.docs);
+  const documentCount = docIds.length;
+  const averageLength = documentCount > 0 ? index.totalLength / documentCount : 0;
+  const expanded = expandTerms(index, queryTerms);
+
+  // docId -> { score, matchedTerms: Set of query term positions, words: Set of index terms }
+  const scores = new Map();
+
+  expanded.forEach((matches, position) => {
+    for (const { term, weight } of matches) {
+      const posting = index.postings[term];
+      const df = Object.keys(posting).length;
+      const idf = Math.log(1 + (documentCount - df + 0.5) / (df + 0.5));
+
+      for (const [id, counts] of Object.entries(posting)) {
+        const doc = index.docs[id];
+        if (!doc || (type && doc.pageType !== type)) continue;
+
+        const tf = counts[0] * FIELD_WEIGHTS.title + counts[1] * FIELD_WEIGHTS.headings + counts[2] * FIELD_WEIGHTS.body;
+        const norm = 1 - BM25_B + BM25_B * (doc.length / (averageLength || 1));
+        const score = weight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+
+        if (!scores.has(id)) scores.set(id, { score: 0, matched: new Set(), words: new Set() });
+        const entry = scores.get(id);
+        entry.score += score;
+        entry.matched.add(position);
+        entry.words.add(term);
+      }
+    }
+  });
+
+  let candidates = [...scores.entries()];
+  const matchingAll = candidates.filter(([, entry]) => entry.matched.size === queryTerms.length);
+  if (matchingAll.length > 0) {
+    candidates = matchingAll;
+  }
+
+  candidates.sort((a, b) => b[1].score - a[1].score);
+
+  const results = candidates.slice(0, limit).map(([id, entry]) => {
+    const doc = index.docs[id];
+    const words = [...entry.words];
+    const heading = doc.headings.find(item => tokenize(item.text).some(term => entry.words.has(term)));
+
+    return {
+      id: doc.id,
+      title: doc.title,
+      titleHtml: highlight(doc.title, words),
+      url: doc.url,
+      pageType: doc.pageType,
+      snippet: buildSnippet(doc.text, words),
+      heading: heading ? {
+        text: heading.text,
+        url: heading.id ? `${doc.url}#${heading.id}` : doc.url
+      } : null,
+      score: Math.round(entry.score * 1000) / 1000,
+      lastEditedTime: doc.lastEditedTime
+    };
+  });
+
+  return { results, total: candidates.length };
+}
+
+module.exports = {
+  getSearchIndex,
+  searchIndex,
+  tokenize,
+  extractBlockText,
+  highlight,
+  SEARCHABLE_TYPES
+};
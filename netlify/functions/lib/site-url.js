@@ -0,0 +1,27 @@
+/**
+ * Site URL
+ *
+ * The public origin used for absolute links (canonical, og:url, sitemap,
+ * feeds). SITE_URL wins, then the URL Netlify sets for the deploy, then
+ * the host of the current request.
+ */
+
+/**
+ * Resolve the site origin without a trailing slash
+ * @param {Object} event - Optional Netlify event, used when no URL is configured
+ * @returns {string} e.g. https://example.com, or '' when unknown
+ */
+function getSiteUrl(event) {
+  const configured = process.env.SITE_URL || process.env.URL;
+  if (configured) {
+    return configured.replace(/\/+$/, '');
+  }
+
+  const host = event?.headers?.host;
+  if (!host) return '';
+
+  const protocol = event.headers['x-forwarded-proto'] || 'https';
+  return `${protocol}://${host}`;
+}
+
+module.exports = { getSiteUrl };
@@ -0,0 +1,184 @@
+/**
+ * Slug Registry
+ *
+ * Remembers every URL each page has had, so links to a page keep working
+ * after it is retitled or its Slug property changes. The list functions
+ * (blog-list, pages-list, docs-tree) record the current URL of every page
+ * they return; page-detail and blog-detail look up retired URLs before
+ * answering 404 and redirect to the page's current URL instead.
+ *
+ * Also reports slug collisions - two live pages with the same URL, where
+ * only one can be reached.
+ *
+ * The registry is a single document in the state store (see
+ * createStateStore in lib/cache.js). With the default memory backend each
+ * function instance has its own copy, so redirects need CACHE_BACKEND=blobs
+ * (or filesystem) in production.
+ */
+
+const { createStateStore } = require('./cache');
+const { normalizeId } = require('./page-types');
+
+const REGISTRY_KEY = 'slug-registry';
+
+// Bump when the document shape changes - older registries are started afresh
+const REGISTRY_FORMAT = 1;
+
+// Retired URLs kept per page
+const MAX_PREVIOUS_URLS = 20;
+
+function createEmptyRegistry() {
+  return { format: REGISTRY_FORMAT, pages: {}, collisions: {}, updatedAt: null };
+}
+
+async function loadRegistry(store) {
+  const stored = await store.get(REGISTRY_KEY);
+  return stored && stored.format === REGISTRY_FORMAT ? stored : createEmptyRegistry();
+}
+
+/**
+ * Live pages that share a URL
+ * @returns {Array<{url: string, ids: Array<string>}>}
+ */
+function findCollisions(entries) {
+  const idsByUrl = new Map();
+  for (const { id, url } of entries) {
+    if (!idsByUrl.has(url)) idsByUrl.set(url, new Set());
+    idsByUrl.get(url).add(normalizeId(id));
+  }
+  return [...idsByUrl]
+    .filter(([, ids]) => ids.size > 1)
+    .map(([url, ids]) => ({ url, ids: [...ids] }));
+}
+
+/**
+ * Record the current URL of each page, retiring the URLs they had before
+ *
+ * Not atomic: the registry is read, updated and written back without a lock,
+ * so when two list functions record at the same moment the later write drops
+ * the other's changes. Nothing is lost for long - each list records all of its
+ * pages on every request, so the next request writes any missing URL change
+ * again (a retired URL is only lost if the page changes URL once more first).
+ * @param {Array<{id: string, url: string}>} entries - Pages from a list function
+ * @param {Object} options
+ * @param {string} options.source - List that produced the entries (collisions are tracked per list)
+ * @param {Object} options.store - State store (default: createStateStore())
+ * @returns {Promise<{changed: number, collisions: Array}>}
+ */
+async function recordSlugs(entries, { source, store = createStateStore() } = {}) {
+  const live = entries.filter(entry => entry && entry.id && entry.url);
+  const registry = await loadRegistry(store);
+  const now = new Date().toISOString();
+  let changed = 0;
+
+  for (const { id, url } of live) {
+    const key = normalizeId(id);
+    const record = registry.pages[key];
+
+    if (!record) {
+      registry.pages[key] = { url, previous: [] };
+      changed++;
+      continue;
+    }
+
+    if (record.url === url) continue;
+
+    // Retire the old URL (a page going back to an old URL takes it out of the list)
+    record.previous = [
+      { url: record.url, retiredAt: now },
+      ...record.previous.filter(previous => previous.url !== url && previous.url !== record.url)
+    ].slice(0, MAX_PREVIOUS_URLS);
+    record.url = url;
+    changed++;
+  }
+
+  const collisions = findCollisions(live);
+  for (const { url, ids } of collisions) {
+    console.warn(`Slug collision in ${source || 'list'}: ${url} is used by ${ids.length} pages (${ids.join(', ')}) - only one can be reached`);
+  }
+
+  const previousCollisions = JSON.stringify(registry.collisions[source] || []);
+  if (source && JSON.stringify(collisions) !== previousCollisions) {
+    if (collisions.length > 0) {
+      registry.collisions[source] = collisions;
+    } else {
+      delete registry.collisions[source];
+    }
+    changed++;
+  }
+
+  if (changed > 0) {
+    registry.updatedAt = now;
+    await store.set(REGISTRY_KEY, registry);
+  }
+
+  return { changed, collisions };
+}
+
+/**
+ * Find the current URL of a page that used to live at one of these URLs
+ * @param {Array<string>} urls - Retired URLs to look for (e.g. ['/docs/old', '/page/old'])
+ * @param {Object} options
+ * @param {Object} options.store - State store (default: createStateStore())
+ * @returns {Promise<{id: string, url: string, slug: string}|null>}
+ */
+async function findSlugRedirect(urls, { store = createStateStore() } = {}) {
+  const registry = await loadRegistry(store);
+  const wanted = new Set(urls);
+  let match = null;
+
+  for (const [id, record] of Object.entries(registry.pages)) {
+    // A live page with this URL wins over any page that used to have it
+    if (wanted.has(record.url)) return null;
+
+    for (const previous of record.previous) {
+      if (wanted.has(previous.url) && (!match || previous.retiredAt > match.retiredAt)) {
+        match = { id, url: record.url, retiredAt: previous.retiredAt };
+      }
+    }
+  }
+
+  if (!match) return null;
+
+  return {
+    id: match.id,
+    url: match.url,
+    slug: decodeURIComponent(match.url.split('/').pop())
+  };
+}
+
+/**
+ * Slug collisions currently reported by the list functions
+ */
+async function getSlugCollisions({ store = createStateStore() } = {}) {
+  const registry = await loadRegistry(store);
+  return Object.values(registry.collisions).flat();
+}
+
+/**
+ * Redirect response for a retired slug
+ * Location points at the detail function for the new URL so fetch() follows it
+ * transparently; `redirect` in the body is the page's canonical URL.
+ * @param {Object} redirect - From findSlugRedirect()
+ * @param {Object} headers - Response headers
+ */
+function slugRedirectResponse(redirect, headers) {
+  const name = redirect.url.startsWith('/blog/') ? 'blog-detail' : 'page-detail';
+  const query = new URLSearchParams({ slug: redirect.slug });
+
+  return {
+    statusCode: 301,
+    headers: { ...headers, Location: `/.netlify/functions/${name}?${query}` },
+    body: JSON.stringify({
+      redirect: redirect.url,
+      slug: redirect.slug
+    })
+  };
+}
+
+module.exports = {
+  recordSlugs,
+  findSlugRedirect,
+  getSlugCollisions,
+  slugRedirectResponse
+};
@@ -0,0 +1,414 @@
+/**
+ * Syntax Highlighting
+ *
+ * Tokenises code blocks at render time with Prism (https://prismjs.com), so
+ * highlighted code needs no client-side library. Covers the languages in
+ * Notion's code block menu that Prism has a grammar for; others are shown
+ * as plain text. Used by the code handler in lib/block-renderer.js and the
+ * homepage Code section.
+ *
+ * Output is one <span class="code-line"> per line with tokens wrapped in
+ * <span class="tok-{type}">; colors live in css/styles.css.
+ *
+ * Captions can carry a filename and lines to highlight:
+ * - "app.js"            -> filename
+ * - "app.js {3-5}"      -> filename, lines 3 to 5 highlighted
+ * - "Install it {1,4}"  -> caption "Install it", lines 1 and 4 highlighted
+ */
+
+const Prism = require('prismjs');
+
+// Highlighted ranges can't cover more lines than this (guards "{1-99999999}")
+const MAX_HIGHLIGHT_LINES = 1000;
+
+// Captions without spaces that are filenames despite having no extension
+const BARE_FILENAMES = ['Dockerfile', 'Makefile', 'Procfile', 'Gemfile', 'Rakefile', 'Vagrantfile', 'Brewfile'];
+
+/**
+ * Escape code text (no dependency on block-renderer, which requires this module)
+ */
+function escapeCode(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// =============================================================================
+// Languages
+// =============================================================================
+
+// Prism components outside its core (markup, css, clike, javascript), loaded
+// on first use. The require() paths are literal so the function bundler
+// includes them; components extend the shared Prism instance.
+const COMPONENTS = {
+  abap: () => require('prismjs/components/prism-abap'),
+  agda: () => require('prismjs/components/prism-agda'),
+  arduino: () => require('prismjs/components/prism-arduino'),
+  bash: () => require('prismjs/components/prism-bash'),
+  basic: () => require('prismjs/components/prism-basic'),
+  bnf: () => require('prismjs/components/prism-bnf'),
+  c: () => require('prismjs/components/prism-c'),
+  clojure: () => require('prismjs/components/prism-clojure'),
+  coffeescript: () => require('prismjs/components/prism-coffeescript'),
+  coq: () => require('prismjs/components/prism-coq'),
+  cpp: () => require('prismjs/components/prism-cpp'),
+  csharp: () => require('prismjs/components/prism-csharp'),
+  dart: () => require('prismjs/components/prism-dart'),
+  dhall: () => require('prismjs/components/prism-dhall'),
+  diff: () => require('prismjs/components/prism-diff'),
+  docker: () => require('prismjs/components/prism-docker'),
+  ebnf: () => require('prismjs/components/prism-ebnf'),
+  elixir: () => require('prismjs/components/prism-elixir'),
+  elm: () => require('prismjs/components/prism-elm'),
+  erlang: () => require('prismjs/components/prism-erlang'),
+  flow: () => require('prismjs/components/prism-flow'),
+  fortran: () => require('prismjs/components/prism-fortran'),
+  fsharp: () => require('prismjs/components/prism-fsharp'),
+  gherkin: () => require('prismjs/components/prism-gherkin'),
+  glsl: () => require('prismjs/components/prism-glsl'),
+  go: () => require('prismjs/components/prism-go'),
+  graphql: () => require('prismjs/components/prism-graphql'),
+  groovy: () => require('prismjs/components/prism-groovy'),
+  haskell: () => require('prismjs/components/prism-haskell'),
+  idris: () => require('prismjs/components/prism-idris'),
+  java: () => require('prismjs/components/prism-java'),
+  json: () => require('prismjs/components/prism-json'),
+  julia: () => require('prismjs/components/prism-julia'),
+  kotlin: () => require('prismjs/components/prism-kotlin'),
+  latex: () => require('prismjs/components/prism-latex'),
+  less: () => require('prismjs/components/prism-less'),
+  lisp: () => require('prismjs/components/prism-lisp'),
+  livescript: () => require('prismjs/components/prism-livescript'),
+  llvm: () => require('prismjs/components/prism-llvm'),
+  lua: () => require('prismjs/components/prism-lua'),
+  makefile: () => require('prismjs/components/prism-makefile'),
+  markdown: () => require('prismjs/components/prism-markdown'),
+  'markup-templating': () => require('prismjs/components/prism-markup-templating'),
+  matlab: () => require('prismjs/components/prism-matlab'),
+  nasm: () => require('prismjs/components/prism-nasm'),
+  nix: () => require('prismjs/components/prism-nix'),
+  objectivec: () => require('prismjs/components/prism-objectivec'),
+  ocaml: () => require('prismjs/components/prism-ocaml'),
+  pascal: () => require('prismjs/components/prism-pascal'),
+  perl: () => require('prismjs/components/prism-perl'),
+  php: () => require('prismjs/components/prism-php'),
+  powershell: () => require('prismjs/components/prism-powershell'),
+  prolog: () => require('prismjs/components/prism-prolog'),
+  protobuf: () => require('prismjs/components/prism-protobuf'),
+  purescript: () => require('prismjs/components/prism-purescript'),
+  python: () => require('prismjs/components/prism-python'),
+  r: () => require('prismjs/components/prism-r'),
+  racket: () => require('prismjs/components/prism-racket'),
+  reason: () => require('prismjs/components/prism-reason'),
+  ruby: () => require('prismjs/components/prism-ruby'),
+  rust: () => require('prismjs/components/prism-rust'),
+  sass: () => require('prismjs/components/prism-sass'),
+  scala: () => require('prismjs/components/prism-scala'),
+  scheme: () => require('prismjs/components/prism-scheme'),
+  scss: () => require('prismjs/components/prism-scss'),
+  smalltalk: () => require('prismjs/components/prism-smalltalk'),
+  solidity: () => require('prismjs/components/prism-solidity'),
+  sql: () => require('prismjs/components/prism-sql'),
+  swift: () => require('prismjs/components/prism-swift'),
+  toml: () => require('prismjs/components/prism-toml'),
+  typescript: () => require('prismjs/components/prism-typescript'),
+  vbnet: () => require('prismjs/components/prism-vbnet'),
+  verilog: () => require('prismjs/components/prism-verilog'),
+  vhdl: () => require('prismjs/components/prism-vhdl'),
+  'visual-basic': () => require('prismjs/components/prism-visual-basic'),
+  wasm: () => require('prismjs/components/prism-wasm'),
+  wolfram: () => require('prismjs/components/prism-wolfram'),
+  yaml: () => require('prismjs/components/prism-yaml')
+};
+
+// Components a component extends, loaded before it (see prismjs/components.json)
+const COMPONENT_DEPENDENCIES = {
+  arduino: ['cpp'],
+  cpp: ['c'],
+  glsl: ['c'],
+  idris: ['haskell'],
+  objectivec: ['c'],
+  php: ['markup-templating'],
+  purescript: ['haskell'],
+  racket: ['scheme'],
+  scala: ['java'],
+  vbnet: ['basic']
+};
+
+// Notion's code block language names -> Prism language ids
+const ALIASES = {
+  'abap': 'abap',
+  'agda': 'agda',
+  'arduino': 'arduino',
+  'assembly': 'nasm',
+  'bash': 'bash',
+  'basic': 'basic',
+  'bnf': 'bnf',
+  'c': 'c',
+  'c#': 'csharp',
+  'c++': 'cpp',
+  'clojure': 'clojure',
+  'coffeescript': 'coffeescript',
+  'coq': 'coq',
+  'css': 'css',
+  'dart': 'dart',
+  'dhall': 'dhall',
+  'diff': 'diff',
+  'docker': 'docker',
+  'dockerfile': 'docker',
+  'ebnf': 'ebnf',
+  'elixir': 'elixir',
+  'elm': 'elm',
+  'erlang': 'erlang',
+  'f#': 'fsharp',
+  'flow': 'flow',
+  'fortran': 'fortran',
+  'gherkin': 'gherkin',
+  'glsl': 'glsl',
+  'go': 'go',
+  'graphql': 'graphql',
+  'groovy': 'groovy',
+  'haskell': 'haskell',
+  'html': 'markup',
+  'idris': 'idris',
+  'java': 'java',
+  'java/c/c++/c#': 'clike',
+  'javascript': 'javascript',
+  'json': 'json',
+  'julia': 'julia',
+  'kotlin': 'kotlin',
+  'latex': 'latex',
+  'less': 'less',
+  'lisp': 'lisp',
+  'livescript': 'livescript',
+  'llvm ir': 'llvm',
+  'lua': 'lua',
+  'makefile': 'makefile',
+  'markdown': 'markdown',
+  'markup': 'markup',
+  'mathematica': 'wolfram',
+  'matlab': 'matlab',
+  'nix': 'nix',
+  'objective-c': 'objectivec',
+  'ocaml': 'ocaml',
+  'pascal': 'pascal',
+  'perl': 'perl',
+  'php': 'php',
+  'powershell': 'powershell',
+  'prolog': 'prolog',
+  'protobuf': 'protobuf',
+  'purescript': 'purescript',
+  'python': 'python',
+  'r': 'r',
+  'racket': 'racket',
+  'reason': 'reason',
+  'ruby': 'ruby',
+  'rust': 'rust',
+  'sass': 'sass',
+  'scala': 'scala',
+  'scheme': 'scheme',
+  'scss': 'scss',
+  'shell': 'bash',
+  'smalltalk': 'smalltalk',
+  'solidity': 'solidity',
+  'sql': 'sql',
+  'swift': 'swift',
+  'toml': 'toml',
+  'typescript': 'typescript',
+  'vb.net': 'vbnet',
+  'verilog': 'verilog',
+  'vhdl': 'vhdl',
+  'visual basic': 'visual-basic',
+  'webassembly': 'wasm',
+  'xml': 'markup',
+  'yaml': 'yaml'
+};
+
+/**
+ * Load a Prism component and the components it extends
+ */
+function loadComponent(id) {
+  for (const dependency of COMPONENT_DEPENDENCIES[id] || []) {
+    loadComponent(dependency);
+  }
+  if (COMPONENTS[id]) COMPONENTS[id]();
+}
+
+/**
+ * Prism grammar for a Notion language name, or null for plain text
+ */
+function getGrammar(language) {
+  const id = ALIASES[String(language || '').toLowerCase()];
+  if (!id) return null;
+  if (!Prism.languages[id]) loadComponent(id);
+  return Prism.languages[id] || null;
+}
+
+// =============================================================================
+// Tokenising
+// =============================================================================
+
+// Prism token types and aliases -> tok-* classes; other tokens (punctuation,
+// operators, ...) take the class of the token around them, like nested spans
+const TOKEN_CLASSES = {
+  comment: 'comment', prolog: 'comment', doctype: 'comment', cdata: 'comment',
+  keyword: 'keyword', atrule: 'keyword', rule: 'keyword', important: 'keyword',
+  string: 'string', char: 'string', regex: 'string', url: 'string', 'attr-value': 'string',
+  number: 'number',
+  boolean: 'literal', constant: 'literal', symbol: 'literal',
+  'attr-name': 'attr',
+  function: 'function', 'function-definition': 'function',
+  'class-name': 'type',
+  builtin: 'builtin',
+  directive: 'meta', macro: 'meta', annotation: 'meta', decorator: 'meta', 'doctype-tag': 'meta',
+  entity: 'entity',
+  property: 'property', key: 'property',
+  tag: 'tag', selector: 'tag',
+  variable: 'variable', parameter: 'variable',
+  inserted: 'inserted', deleted: 'deleted'
+};
+
+function getTokenClass(token) {
+  const aliases = Array.isArray(token.alias) ? token.alias : [token.alias];
+  for (const name of [token.type, ...aliases]) {
+    if (name && TOKEN_CLASSES[name]) return TOKEN_CLASSES[name];
+  }
+  return null;
+}
+
+/**
+ * Flatten Prism's token tree into typed runs of text
+ */
+function flattenTokens(stream, inheritedType, tokens) {
+  for (const item of Array.isArray(stream) ? stream : [stream]) {
+    if (typeof item === 'string') {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === inheritedType) last.text += item;
+      else if (item) tokens.push({ type: inheritedType, text: item });
+    } else {
+      flattenTokens(item.content, getTokenClass(item) || inheritedType, tokens);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Tokenise code
+ * @returns {Array<{type: string|null, text: string}>} Tokens covering the whole input
+ */
+function tokenize(code, language) {
+  const grammar = getGrammar(language);
+  if (!grammar) return [{ type: null, text: code }];
+  return flattenTokens(Prism.tokenize(code, grammar), null, []);
+}
+
+// =============================================================================
+// Rendering
+// =============================================================================
+
+/**
+ * Parse line ranges: "3-5", "1,4-6" -> Set of line numbers
+ */
+function parseLineRanges(text) {
+  const lines = new Set();
+  for (const part of String(text || '').split(',')) {
+    const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+    if (!match) continue;
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    for (let line = start; line <= end && lines.size < MAX_HIGHLIGHT_LINES; line++) {
+      if (line > 0) lines.add(line);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Read a filename and highlighted lines from a code caption
+ * @param {string} caption - Plain caption text
+ * @returns {{filename: string|null, caption: string, highlightLines: Set<number>}}
+ *   caption is what remains to show as a caption ('' when it was only a filename)
+ */
+function parseCodeCaption(caption) {
+  let text = String(caption || '').trim();
+  let highlightLines = new Set();
+
+  const rangeMatch = /\s*\{([\d\s,-]+)\}\s*$/.exec(text);
+  if (rangeMatch) {
+    highlightLines = parseLineRanges(rangeMatch[1]);
+    text = text.slice(0, rangeMatch.index).trim();
+  }
+
+  // A single word with an extension or a path ("app.js", "src/index.ts", ".env") is a filename
+  const isFilename = /^[\w@~.\/\\-]+$/.test(text) &&
+    (/[\w-]\.[A-Za-z\d]+$/.test(text) || /^\.[\w.-]+$/.test(text) || text.includes('/') || BARE_FILENAMES.includes(text));
+
+  return {
+    filename: isFilename ? text : null,
+    caption: isFilename ? '' : text,
+    highlightLines
+  };
+}
+
+/**
+ * Split tokens into lines, closing and reopening tokens that span lines
+ */
+function splitLines(tokens) {
+  const lines = [[]];
+  for (const token of tokens) {
+    const parts = token.text.split('\n');
+    parts.forEach((part, i) => {
+      if (i > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ type: token.type, text: part });
+    });
+  }
+  return lines;
+}
+
+/**
+ * Highlight code as HTML lines
+ * @param {string} code - Code text
+ * @param {string} language - Notion language name (e.g. "javascript", "c++", "plain text")
+ * @param {Object} options
+ * @param {Set<number>} options.highlightLines - 1-based lines to mark
+ * @returns {{html: string, lineCount: number}} html is the content for a <code> element
+ */
+function highlightCode(code, language, { highlightLines = new Set() } = {}) {
+  // A trailing newline doesn't start another line
+  const text = String(code || '').replace(/\r\n?/g, '\n').replace(/\n$/, '');
+  const lines = splitLines(tokenize(text, language));
+
+  const html = lines.map((tokens, i) => {
+    const content = tokens
+      .map(token => token.type
+        ? `<span class="tok-${token.type}">${escapeCode(token.text)}</span>`
+        : escapeCode(token.text))
+      .join('');
+    const highlighted = highlightLines.has(i + 1) ? ' code-line--highlighted' : '';
+    return `<span class="code-line${highlighted}" data-line="${i + 1}">${content}</span>`;
+  }).join('\n');
+
+  return { html, lineCount: lines.length };
+}
+
+/**
+ * CSS-safe language name for class attributes ("plain text" -> "plain-text")
+ */
+function getLanguageClass(language) {
+  return String(language || 'text').toLowerCase()
+    .replace(/\+/g, 'p')
+    .replace(/#/g, 'sharp')
+    .replace(/[^a-z\d]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'text';
+}
+
+module.exports = {
+  highlightCode,
+  parseCodeCaption,
+  parseLineRanges,
+  getLanguageClass,
+  tokenize
+};
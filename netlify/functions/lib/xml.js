@@ -0,0 +1,19 @@
+/**
+ * XML Helpers
+ *
+ * Escaping for the XML documents served by the sitemap and feed functions.
+ */
+
+/**
+ * Escape text for use in XML element content and attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = { escapeXml };
@@ -1,4 +1,5 @@
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('./lib/notion-client');
+const { getPageIcon } = require('./lib/assets');
 
 /**
  * Navigation Function
@@ -35,9 +36,7 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
+    const notion = createNotionClient();
 
     if (!process.env.NOTION_TOKEN) {
       return {
@@ -94,16 +93,7 @@ exports.handler = async (event, context) => {
       }
 
       // Extract icon
-      let icon = null;
-      if (page.icon) {
-        if (page.icon.type === 'emoji') {
-          icon = page.icon.emoji;
-        } else if (page.icon.type === 'external') {
-          icon = page.icon.external.url;
-        } else if (page.icon.type === 'file') {
-          icon = page.icon.file.url;
-        }
-      }
+      const icon = getPageIcon(page);
 
       // Note: Don't filter by draft status for navigation items
       // Draft filtering should only apply to content listings, not nav structure
@@ -219,7 +209,7 @@ exports.handler = async (event, context) => {
     // Ensure configured page types are included in navigation
     // even if they're not direct children of the root page
     const configuredSections = [
-      { envVar: 'NOTION_BLOG_PAGE_ID', title: 'Blog', url: '/blog', icon: '📝' },
+      { envVar: process.env.NOTION_BLOG_PAGE_ID ? 'NOTION_BLOG_PAGE_ID' : 'NOTION_BLOG_DB_ID', title: 'Blog', url: '/blog', icon: '📝' },
       { envVar: 'NOTION_DOCS_PAGE_ID', title: 'Docs', url: '/docs', icon: '📖' },
       { envVar: 'NOTION_LANDING_PAGE_ID', title: 'Pages', url: '/pages', icon: '📄' }
     ];
@@ -238,9 +228,11 @@ exports.handler = async (event, context) => {
       }
     }
 
+    notion.logStats('navigation');
+
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...notion.getHeaders() },
       body: JSON.stringify({
         items: processedItems,
         homePage,
@@ -1,5 +1,6 @@
-const { Client } = require('@notionhq/client');
-const { createPageTypeResolver, getPageTypeConfig, normalizeId } = require('./lib/page-types');
+const { createNotionClient } = require('./lib/notion-client');
+const { listPages } = require('./lib/page-index');
+const { recordSlugs } = require('./lib/slug-registry');
 
 /**
  * Pages List Function
@@ -19,6 +20,7 @@ const { createPageTypeResolver, getPageTypeConfig, normalizeId } = require('./li
  * - Publish Date (date): Scheduled publish date
  * - Meta Description (text): SEO description
  * - Meta Title (text): SEO title override
+ * - No Index (checkbox): Hide from search engines and the sitemap
  */
 exports.handler = async (event, context) => {
   const headers = {
@@ -42,9 +44,7 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
+    const notion = createNotionClient();
 
     if (!process.env.NOTION_TOKEN) {
       return {
@@ -62,203 +62,33 @@ exports.handler = async (event, context) => {
     const { type: filterType, preview } = event.queryStringParameters || {};
     const isPreviewMode = !!(process.env.PREVIEW_SECRET && preview && preview === process.env.PREVIEW_SECRET);
 
-    // Search for all pages with pagination
-    let allResults = [];
-    let hasMore = true;
-    let startCursor = undefined;
-
-    while (hasMore) {
-      const response = await notion.search({
-        filter: {
-          property: 'object',
-          value: 'page'
-        },
-        sort: {
-          direction: 'descending',
-          timestamp: 'last_edited_time'
-        },
-        page_size: 100,
-        start_cursor: startCursor
-      });
-
-      allResults = allResults.concat(response.results);
-      hasMore = response.has_more;
-      startCursor = response.next_cursor;
-
-      // Safety limit to prevent infinite loops
-      if (allResults.length > 1000) {
-        hasMore = false;
-      }
-    }
-
-    const pages = [];
-
-    // Build a map of configured parent IDs for quick lookup
-    const configuredParents = {
-      blog: process.env.NOTION_BLOG_PAGE_ID,
-      landing: process.env.NOTION_LANDING_PAGE_ID,
-      docs: process.env.NOTION_DOCS_PAGE_ID
-    };
-
-    // Build a set of excluded page IDs (parent pages and homepage)
-    // These are container/category pages, not content pages
-    const excludedPageIds = new Set();
-    if (configuredParents.blog) excludedPageIds.add(normalizeId(configuredParents.blog));
-    if (configuredParents.landing) excludedPageIds.add(normalizeId(configuredParents.landing));
-    if (configuredParents.docs) excludedPageIds.add(normalizeId(configuredParents.docs));
-    if (process.env.NOTION_HOMEPAGE_ID) excludedPageIds.add(normalizeId(process.env.NOTION_HOMEPAGE_ID));
-
-    // Create page type resolver using fetched data (no extra API calls)
-    const resolver = createPageTypeResolver(allResults);
-
-    for (const page of allResults) {
-      try {
-        // Skip excluded pages (configured parent pages and homepage)
-        const normalizedPageId = normalizeId(page.id);
-        if (excludedPageIds.has(normalizedPageId)) {
-          continue;
-        }
-
-        // Skip workspace-level (root) pages - these are containers, not content
-        if (page.parent?.type === 'workspace') {
-          continue;
-        }
-
-        // Extract page title (concatenate all rich text segments)
-        let title = 'Untitled';
-
-        if (page.properties) {
-          const titleProp = page.properties.title ||
-                           page.properties.Title ||
-                           page.properties.Name ||
-                           page.properties.name;
-
-          if (titleProp?.title && Array.isArray(titleProp.title) && titleProp.title.length > 0) {
-            // Concatenate all rich text segments for multi-segment titles
-            title = titleProp.title
-              .map(segment => segment.plain_text || '')
-              .join('')
-              .trim() || 'Untitled';
-          }
-        }
-
-        // Extract icon
-        let icon = null;
-        if (page.icon) {
-          if (page.icon.type === 'emoji') {
-            icon = page.icon.emoji;
-          } else if (page.icon.type === 'external') {
-            icon = page.icon.external.url;
-          } else if (page.icon.type === 'file') {
-            icon = page.icon.file.url;
-          }
-        }
-
-        // Extract cover
-        let cover = null;
-        if (page.cover) {
-          if (page.cover.type === 'external') {
-            cover = page.cover.external.url;
-          } else if (page.cover.type === 'file') {
-            cover = page.cover.file.url;
-          }
-        }
-
-        // Extract status (default to Published if not set)
-        const status = page.properties?.Status?.select?.name || 'Published';
-
-        // Check publish date for scheduled posts
-        const publishDate = page.properties?.['Publish Date']?.date?.start;
-        const now = new Date();
-
-        // Filter out drafts and scheduled posts (unless in preview mode)
-        if (!isPreviewMode) {
-          if (status === 'Draft') continue;
-          if (status === 'Scheduled' && publishDate && new Date(publishDate) > now) continue;
-        }
-
-        // Extract custom slug from Notion property
-        const customSlug = page.properties?.Slug?.rich_text?.[0]?.plain_text;
-
-        // Use custom slug if provided, otherwise generate from title
-        const slug = customSlug ||
-          title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || page.id;
-
-        // Extract SEO metadata
-        const metaDescription = page.properties?.['Meta Description']?.rich_text?.[0]?.plain_text || '';
-        const metaTitle = page.properties?.['Meta Title']?.rich_text?.[0]?.plain_text || '';
-
-        // Determine page type using cached resolver (no API calls)
-        const typeInfo = resolver.getPageType(page.id);
-        const styleConfig = getPageTypeConfig(typeInfo.type);
-
-        // Determine structural info
-        let structureType = 'page';
-        let parentId = null;
-
-        if (page.parent) {
-          if (page.parent.type === 'database_id') {
-            structureType = 'database_entry';
-            parentId = page.parent.database_id;
-          } else if (page.parent.type === 'page_id') {
-            structureType = 'child_page';
-            parentId = page.parent.page_id;
-          } else if (page.parent.type === 'workspace') {
-            structureType = 'root_page';
-          }
-        }
-
-        // Skip if filtering by type and doesn't match
-        if (filterType && typeInfo.type !== filterType) {
-          continue;
-        }
-
-        // Generate appropriate URL based on page type
-        let url = `/page/${slug}`;
-        if (typeInfo.type === 'blog') {
-          url = `/blog/${slug}`;
-        } else if (typeInfo.type === 'docs') {
-          url = `/docs/${slug}`;
-        }
+    const { pages, totalFetched } = await listPages(notion, {
+      type: filterType,
+      includeUnpublished: isPreviewMode
+    });
 
-        pages.push({
-          id: page.id,
-          title,
-          slug,
-          icon,
-          cover,
-          status,
-          pageType: typeInfo.type,
-          styleConfig,
-          structureType,
-          parentId,
-          url,
-          publishDate: publishDate || null,
-          metaTitle: metaTitle || null,
-          metaDescription: metaDescription || null,
-          createdTime: page.created_time,
-          lastEditedTime: page.last_edited_time
-        });
-      } catch (error) {
-        console.error(`Error processing page ${page.id}:`, error);
-        continue;
-      }
+    // Remember each page's URL so retired slugs can redirect (see lib/slug-registry.js).
+    // Preview lists include drafts, which have no public URL yet.
+    if (!isPreviewMode) {
+      await recordSlugs(pages, { source: filterType ? `pages-list:${filterType}` : 'pages-list' });
     }
 
     // Get configured parent info for response
     const configuration = {
-      blogPageId: configuredParents.blog || null,
-      landingPageId: configuredParents.landing || null,
-      docsPageId: configuredParents.docs || null
+      blogPageId: process.env.NOTION_BLOG_PAGE_ID || null,
+      landingPageId: process.env.NOTION_LANDING_PAGE_ID || null,
+      docsPageId: process.env.NOTION_DOCS_PAGE_ID || null
     };
 
+    notion.logStats('pages-list');
+
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...notion.getHeaders() },
       body: JSON.stringify({
         pages,
         total: pages.length,
-        totalFetched: allResults.length,
+        totalFetched,
         configuration,
         lastUpdated: new Date().toISOString()
       })
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { createNotionClient } = require('./lib/notion-client');
+const { loadRedirects, matchRedirect } = require('./lib/redirects');
+
+// The site's not-found page (see included_files in netlify.toml)
+const NOT_FOUND_PAGE = path.join(__dirname, '..', '..', '404.html');
+
+let notFoundHtml;
+
+/**
+ * Redirect Function
+ * Applies the redirects managed in the Notion redirects database (see
+ * lib/redirects.js) to paths nothing else serves. When NOTION_REDIRECTS_DB_ID
+ * is set, the notion-redirects build plugin sends every unmatched path here
+ * last; scripts/build.js also writes the rules to _redirects at deploy time,
+ * so this function covers rows added or changed since the last deploy.
+ * Paths no rule matches get the site's 404.html.
+ *
+ * Routes (see netlify/plugins/notion-redirects):
+ * - /*  -> /.netlify/functions/redirect (after every other rule)
+ *
+ * Query Parameters:
+ * - path: Test a path instead of redirecting - responds with the matching
+ *   rule as JSON, e.g. /api/redirect?path=/launch
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Notion integration token
+ * - NOTION_REDIRECTS_DB_ID: Redirects database (From, To, Status code, Active)
+ */
+exports.handler = async (event, context) => {
+  const params = event.queryStringParameters || {};
+  const isLookup = typeof params.path === 'string';
+
+  const headers = isLookup ? {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-cache'
+  } : {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Cache-Control': 'public, max-age=300' // Cache for 5 minutes
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 405,
+      headers: { ...headers, Allow: 'GET, HEAD' },
+      body: isLookup ? JSON.stringify({ error: 'Method not allowed' }) : 'Method not allowed'
+    };
+  }
+
+  const notFound = isLookup ? {
+    statusCode: 404,
+    headers,
+    body: JSON.stringify({ error: 'Not found' })
+  } : {
+    statusCode: 404,
+    headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' },
+    body: loadNotFoundPage()
+  };
+
+  if (!process.env.NOTION_TOKEN || !process.env.NOTION_REDIRECTS_DB_ID) {
+    if (isLookup) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({
+          error: 'Redirects not configured',
+          message: 'NOTION_TOKEN and NOTION_REDIRECTS_DB_ID environment variables must be set'
+        })
+      };
+    }
+    return notFound;
+  }
+
+  try {
+    const notion = createNotionClient();
+    const rules = await loadRedirects(notion);
+
+    notion.logStats('redirect');
+
+    if (isLookup) {
+      const [pathname, query] = params.path.split(/\?(.*)/s);
+      const match = matchRedirect(rules, pathname, query ? `?${query}` : '');
+
+      return {
+        statusCode: 200,
+        headers: { ...headers, ...notion.getHeaders() },
+        body: JSON.stringify({
+          path: params.path,
+          match: match ? {
+            from: match.rule.from,
+            to: match.rule.to,
+            status: match.status,
+            location: match.location
+          } : null,
+          rules: rules.length
+        })
+      };
+    }
+
+    const pathname = (event.path || '/').replace(/^\/\.netlify\/functions\/redirect/, '') || '/';
+    const match = matchRedirect(rules, pathname, event.rawQuery ? `?${event.rawQuery}` : '');
+
+    if (!match) {
+      return notFound;
+    }
+
+    return {
+      statusCode: match.status,
+      headers: { ...headers, Location: match.location },
+      body: ''
+    };
+
+  } catch (error) {
+    console.error('Error loading redirects:', error);
+
+    if (!isLookup) {
+      return notFound;
+    }
+
+    let errorMessage = 'Failed to load redirects';
+    let statusCode = 500;
+
+    if (error.code === 'unauthorized') {
+      errorMessage = 'Notion integration not configured properly';
+      statusCode = 503;
+    } else if (error.code === 'object_not_found') {
+      errorMessage = 'Redirects database not found';
+      statusCode = 404;
+    }
+
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({
+        error: errorMessage,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+/**
+ * The site's 404 page, or plain text if it is missing from the bundle
+ */
+function loadNotFoundPage() {
+  if (notFoundHtml === undefined) {
+    try {
+      notFoundHtml = fs.readFileSync(NOT_FOUND_PAGE, 'utf8');
+    } catch (error) {
+      console.warn(`404.html unavailable: ${error.message}`);
+      notFoundHtml = 'Not found';
+    }
+  }
+  return notFoundHtml;
+}
@@ -0,0 +1,190 @@
+const blogDetail = require('./blog-detail');
+const pageDetail = require('./page-detail');
+const docsTree = require('./docs-tree');
+const { invokeHandler } = require('./lib/invoke');
+const { createNotionClient } = require('./lib/notion-client');
+const { loadRedirects, matchRedirect } = require('./lib/redirects');
+const { getSiteUrl } = require('./lib/site-url');
+const {
+  loadTemplate,
+  renderBlogPostDocument,
+  renderPageDocument,
+  renderDocDocument
+} = require('./lib/prerender');
+
+/**
+ * Render Function
+ * Serves /blog/:slug, /docs/:slug and /page/:slug as complete HTML, with the
+ * title, meta description, Open Graph tags and body filled in server-side
+ * using the pages/*.html templates. The page scripts hydrate from the
+ * embedded #page-data instead of refetching.
+ *
+ * Content comes from blog-detail, page-detail and docs-tree, so caching,
+ * drafts and slugs behave exactly like the JSON API. If the API fails, the
+ * plain template is returned and the page falls back to client-side
+ * rendering. Slugs that don't exist are checked against the Notion
+ * redirects database (NOTION_REDIRECTS_DB_ID) before answering 404.
+ *
+ * Routes (see netlify.toml):
+ * - /blog/:slug  -> /.netlify/functions/render/blog/:slug
+ * - /docs/:slug  -> /.netlify/functions/render/docs/:slug
+ * - /page/:slug  -> /.netlify/functions/render/page/:slug
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN and the NOTION_*_ID variables used by the detail functions
+ * - SITE_URL: Site origin for canonical and og:url (default: Netlify's URL,
+ *   then the request host)
+ */
+
+const ROUTES = {
+  blog: { template: 'blogPost' },
+  docs: { template: 'doc' },
+  page: { template: 'page' }
+};
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'public, max-age=600' // Cache for 10 minutes
+  };
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 405,
+      headers: { ...headers, Allow: 'GET, HEAD' },
+      body: 'Method not allowed'
+    };
+  }
+
+  const route = parseRoute(event.path);
+
+  if (!route) {
+    return {
+      statusCode: 404,
+      headers,
+      body: 'Not found'
+    };
+  }
+
+  // Fall back to the client-rendered shell
+  const shell = (statusCode) => ({
+    statusCode,
+    headers: { ...headers, 'Cache-Control': 'no-cache' },
+    body: loadTemplate(ROUTES[route.type].template)
+  });
+
+  try {
+    const options = { baseUrl: getSiteUrl(event) };
+    let body;
+
+    if (route.type === 'blog') {
+      const post = await invokeHandler(blogDetail.handler, { slug: route.slug }, { name: 'blog-detail' });
+      body = renderBlogPostDocument(post, options);
+    } else if (route.type === 'docs') {
+      const [page, tree] = await Promise.all([
+        invokeHandler(pageDetail.handler, { slug: route.slug }, { name: 'page-detail' }),
+        // The sidebar is optional - render the page without it if the tree fails
+        invokeHandler(docsTree.handler, {}, { name: 'docs-tree' })
+          .then(data => data.tree || [])
+          .catch(() => [])
+      ]);
+
+      // Slugs are matched across the workspace - other pages go to their own path
+      if (page.pageType !== 'docs' && page.url) {
+        return {
+          statusCode: 301,
+          headers: { Location: page.url, 'Cache-Control': 'public, max-age=600' },
+          body: ''
+        };
+      }
+
+      body = renderDocDocument(page, tree, options);
+    } else {
+      const page = await invokeHandler(pageDetail.handler, { slug: route.slug }, { name: 'page-detail' });
+
+      // Blog and docs pages live under their own paths (mirrors js/page.js)
+      if (page.pageType !== 'landing' && page.url && page.url !== `/page/${route.slug}`) {
+        return {
+          statusCode: 301,
+          headers: { Location: page.url, 'Cache-Control': 'public, max-age=600' },
+          body: ''
+        };
+      }
+
+      body = renderPageDocument(page, options);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body
+    };
+
+  } catch (error) {
+    // Retired slug (see lib/slug-registry.js)
+    if (error.redirect) {
+      return {
+        statusCode: 301,
+        headers: { Location: error.redirect, 'Cache-Control': 'public, max-age=600' },
+        body: ''
+      };
+    }
+
+    if (error.statusCode === 404) {
+      const redirect = await findNotionRedirect(event);
+      if (redirect) {
+        return {
+          statusCode: redirect.status,
+          headers: { Location: redirect.location, 'Cache-Control': 'public, max-age=300' },
+          body: ''
+        };
+      }
+      return shell(404);
+    }
+
+    console.error(`Error rendering ${event.path}:`, error);
+    return shell(200);
+  }
+};
+
+/**
+ * Match the public request path against the Notion redirects database
+ * @returns {Promise<Object|null>} Match from matchRedirect(), or null
+ */
+async function findNotionRedirect(event) {
+  if (!process.env.NOTION_REDIRECTS_DB_ID) return null;
+
+  try {
+    const rules = await loadRedirects(createNotionClient());
+    const pathname = event.path.replace(/^\/\.netlify\/functions\/render/, '');
+    return matchRedirect(rules, pathname, event.rawQuery ? `?${event.rawQuery}` : '');
+  } catch (error) {
+    console.error('Error loading redirects:', error);
+    return null;
+  }
+}
+
+/**
+ * Extract { type, slug } from the request path
+ * Accepts both the public path (/blog/my-post) and the rewritten function
+ * path (/.netlify/functions/render/blog/my-post).
+ */
+function parseRoute(requestPath = '') {
+  const segments = requestPath
+    .replace(/^\/\.netlify\/functions\/render/, '')
+    .split('/')
+    .filter(Boolean);
+
+  if (segments.length !== 2 || !ROUTES[segments[0]]) {
+    return null;
+  }
+
+  let slug;
+  try {
+    slug = decodeURIComponent(segments[1]);
+  } catch {
+    return null;
+  }
+
+  return { type: segments[0], slug };
+}
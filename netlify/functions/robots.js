@@ -0,0 +1,42 @@
+const { getSiteUrl } = require('./lib/site-url');
+
+/**
+ * Robots Function
+ * Serves /robots.txt. Crawlers may index the site but not the API, except
+ * the asset proxy so images in search results keep working. Points to
+ * /sitemap.xml.
+ *
+ * Environment Variables:
+ * - SITE_URL: Site origin for the Sitemap line (default: Netlify's URL, then the request host)
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Cache-Control': 'public, max-age=86400' // Cache for 1 day
+  };
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 405,
+      headers: { ...headers, Allow: 'GET, HEAD' },
+      body: 'Method not allowed'
+    };
+  }
+
+  const lines = [
+    'User-agent: *',
+    'Allow: /',
+    'Allow: /api/asset/',
+    'Disallow: /api/',
+    'Disallow: /.netlify/',
+    '',
+    `Sitemap: ${getSiteUrl(event)}/sitemap.xml`,
+    ''
+  ];
+
+  return {
+    statusCode: 200,
+    headers,
+    body: lines.join('\n')
+  };
+};
@@ -0,0 +1,125 @@
+const { createNotionClient } = require('./lib/notion-client');
+const { createCache } = require('./lib/cache');
+const { getSearchIndex, searchIndex, SEARCHABLE_TYPES } = require('./lib/search-index');
+
+/**
+ * Search Function
+ * Full-text search across published blog posts, docs and landing pages.
+ * Matches titles, headings and body text, and returns ranked results with
+ * a highlighted snippet and the page's canonical URL.
+ *
+ * The inverted index lives in the response cache (see lib/cache.js) and is
+ * updated incrementally on each request - only pages edited since the last
+ * request are re-read. Use CACHE_BACKEND=filesystem or blobs to keep it
+ * across cold starts.
+ *
+ * Query Parameters:
+ * - q: Search text (required)
+ * - type: Only return blog | docs | landing pages
+ * - limit: Maximum results, 1-50 (default: 10)
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Notion integration token
+ * - NOTION_BLOG_PAGE_ID, NOTION_LANDING_PAGE_ID, NOTION_DOCS_PAGE_ID: Sections to search
+ */
+exports.handler = async (event, context) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json',
+    'Cache-Control': 'public, max-age=60' // Cache for 1 minute
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    const { q, type, limit } = event.queryStringParameters || {};
+    const query = (q || '').trim();
+
+    if (!query) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Search query (q) is required' })
+      };
+    }
+
+    if (type && !SEARCHABLE_TYPES.has(type)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Unknown type "${type}". Use one of: ${[...SEARCHABLE_TYPES].join(', ')}` })
+      };
+    }
+
+    if (!process.env.NOTION_TOKEN) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({
+          error: 'Notion not configured',
+          message: 'NOTION_TOKEN environment variable not set'
+        })
+      };
+    }
+
+    const notion = createNotionClient();
+
+    const cache = createCache();
+    const { index, stats } = await getSearchIndex(notion, cache);
+
+    const maxResults = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+    const { results, total } = searchIndex(index, query, { type, limit: maxResults });
+
+    notion.logStats('search');
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...cache.getHeaders(), ...notion.getHeaders() },
+      body: JSON.stringify({
+        query,
+        type: type || null,
+        results,
+        total,
+        index: {
+          documents: stats.documents,
+          indexed: stats.indexed,
+          removed: stats.removed,
+          pending: stats.pending,
+          updatedAt: index.updatedAt
+        }
+      })
+    };
+
+  } catch (error) {
+    console.error('Error searching pages:', error);
+
+    let errorMessage = 'Search failed';
+    let statusCode = 500;
+
+    if (error.code === 'unauthorized') {
+      errorMessage = 'Notion integration not configured properly';
+      statusCode = 503;
+    }
+
+    return {
+      statusCode,
+      headers,
+      body: JSON.stringify({
+        error: errorMessage,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
@@ -0,0 +1,119 @@
+const { createNotionClient } = require('./lib/notion-client');
+const { listPages } = require('./lib/page-index');
+const { isBlogConfigured } = require('./lib/blog-source');
+const { getSiteUrl } = require('./lib/site-url');
+const { escapeXml } = require('./lib/xml');
+
+/**
+ * Sitemap Function
+ * Serves /sitemap.xml listing the homepage, the section index pages and
+ * every published blog post, doc and landing page, with <lastmod> taken
+ * from the page's last edit in Notion.
+ *
+ * Drafts, future scheduled pages, pages of unknown type and pages with the
+ * No Index checkbox are left out. Pages come from the same index as
+ * pages-list, so URLs match the ones the site links to.
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN: Notion integration token
+ * - NOTION_BLOG_PAGE_ID (or NOTION_BLOG_DB_ID), NOTION_LANDING_PAGE_ID,
+ *   NOTION_DOCS_PAGE_ID: Sections to include
+ * - SITE_URL: Site origin for absolute URLs (default: Netlify's URL, then the request host)
+ */
+
+// Page types with a public route
+const INDEXED_TYPES = new Set(['blog', 'docs', 'landing']);
+
+exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': 'public, max-age=3600' // Cache for 1 hour
+  };
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return {
+      statusCode: 405,
+      headers: { ...headers, 'Content-Type': 'text/plain', Allow: 'GET, HEAD' },
+      body: 'Method not allowed'
+    };
+  }
+
+  if (!process.env.NOTION_TOKEN) {
+    return {
+      statusCode: 503,
+      headers: { ...headers, 'Content-Type': 'text/plain', 'Cache-Control': 'no-cache' },
+      body: 'Notion not configured: NOTION_TOKEN environment variable not set'
+    };
+  }
+
+  try {
+    const notion = createNotionClient();
+
+    const baseUrl = getSiteUrl(event);
+    const { pages } = await listPages(notion);
+
+    const entries = [{ loc: '/' }];
+
+    // Section index pages
+    if (isBlogConfigured()) entries.push({ loc: '/blog' });
+    if (process.env.NOTION_DOCS_PAGE_ID) entries.push({ loc: '/docs' });
+    if (process.env.NOTION_LANDING_PAGE_ID) entries.push({ loc: '/pages' });
+
+    for (const page of pages) {
+      if (!INDEXED_TYPES.has(page.pageType) || page.noIndex) {
+        continue;
+      }
+      entries.push({ loc: page.url, lastmod: page.lastEditedTime });
+    }
+
+    notion.logStats('sitemap');
+
+    return {
+      statusCode: 200,
+      headers: { ...headers, ...notion.getHeaders() },
+      body: renderSitemap(entries, baseUrl)
+    };
+
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+
+    let errorMessage = 'Failed to generate sitemap';
+    let statusCode = 500;
+
+    if (error.code === 'unauthorized') {
+      errorMessage = 'Notion integration not configured properly';
+      statusCode = 503;
+    }
+
+    return {
+      statusCode,
+      headers: { ...headers, 'Content-Type': 'text/plain', 'Cache-Control': 'no-cache' },
+      body: process.env.NODE_ENV === 'development' ? `${errorMessage}: ${error.message}` : errorMessage
+    };
+  }
+};
+
+/**
+ * Render <urlset> XML from { loc, lastmod } entries
+ */
+function renderSitemap(entries, baseUrl) {
+  const seen = new Set();
+  const urls = [];
+
+  for (const entry of entries) {
+    const loc = `${baseUrl}${entry.loc}`;
+    if (seen.has(loc)) continue;
+    seen.add(loc);
+
+    const lastmod = entry.lastmod ? `\n    <lastmod>${escapeXml(entry.lastmod)}</lastmod>` : '';
+    urls.push(`  <url>\n    <loc>${escapeXml(loc)}</loc>${lastmod}\n  </url>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
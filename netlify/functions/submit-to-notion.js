@@ -1,4 +1,4 @@
-const { Client } = require('@notionhq/client');
+const { createNotionClient } = require('./lib/notion-client');
 
 /**
  * Form Submission Function
@@ -123,9 +123,7 @@ exports.handler = async (event, context) => {
     const sanitizedMessage = message ? String(message).slice(0, 2000) : '';
 
     // Initialize Notion client
-    const notion = new Client({
-      auth: process.env.NOTION_TOKEN,
-    });
+    const notion = createNotionClient();
 
     // Create page in Notion database
     const response = await notion.pages.create({
@@ -172,9 +170,11 @@ exports.handler = async (event, context) => {
       },
     });
 
+    notion.logStats('submit-to-notion');
+
     return {
       statusCode: 200,
-      headers,
+      headers: { ...headers, ...notion.getHeaders() },
       body: JSON.stringify({
         success: true,
         message: 'Lead submitted successfully',
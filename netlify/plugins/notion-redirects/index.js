@@ -0,0 +1,30 @@
+/**
+ * Notion Redirects Build Plugin
+ *
+ * Sends paths nothing else serves to the redirect function (see
+ * netlify/functions/redirect.js), after every rule in netlify.toml - but only
+ * when NOTION_REDIRECTS_DB_ID is set. Without a redirects database, unknown
+ * paths get Netlify's own 404 handling (404.html) instead of starting a
+ * function.
+ *
+ * Declared in netlify.toml ([[plugins]]). Build plugins only run in builds,
+ * so `netlify dev` has no catch-all.
+ */
+
+const CATCH_ALL = {
+  from: '/*',
+  to: '/.netlify/functions/redirect',
+  status: 200
+};
+
+module.exports = {
+  onPreBuild({ netlifyConfig }) {
+    if (!process.env.NOTION_REDIRECTS_DB_ID) {
+      console.log('NOTION_REDIRECTS_DB_ID is not set - no catch-all for Notion redirects');
+      return;
+    }
+
+    netlifyConfig.redirects.push(CATCH_ALL);
+    console.log('Unmatched paths go to the redirect function (NOTION_REDIRECTS_DB_ID is set)');
+  }
+};
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Content Audit
+ * Checks every page (including drafts) for SEO and accessibility problems
+ * and prints a summary. See netlify/functions/lib/content-audit.js for the
+ * rules.
+ *
+ * Usage:
+ *   npm run content-audit
+ *   node scripts/audit.js [--json report.json] [--html report.html] [--type docs] [--published-only]
+ *
+ * Exits with status 1 when any error-level issue is found (duplicate URLs,
+ * scheduled pages without a Publish Date), so it can gate a CI build.
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN and the NOTION_*_ID variables used by the functions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createNotionClient } = require('../netlify/functions/lib/notion-client');
+const { createCache } = require('../netlify/functions/lib/cache');
+const { auditContent, renderAuditHtml } = require('../netlify/functions/lib/content-audit');
+
+/**
+ * Parse --json <file>, --html <file>, --type <type>, --published-only
+ */
+function parseArgs(argv) {
+  const options = { json: null, html: null, type: null, includeUnpublished: true };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const takeValue = () => inlineValue !== undefined ? inlineValue : argv[++i];
+
+    if (flag === '--json') {
+      options.json = takeValue();
+    } else if (flag === '--html') {
+      options.html = takeValue();
+    } else if (flag === '--type') {
+      options.type = takeValue();
+    } else if (flag === '--published-only') {
+      options.includeUnpublished = false;
+    }
+  }
+  return options;
+}
+
+async function writeReport(file, contents) {
+  const filePath = path.resolve(file);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, contents);
+  console.log(`Report written to ${path.relative(process.cwd(), filePath)}`);
+}
+
+function printSummary(report) {
+  const { summary } = report;
+
+  for (const page of report.pages) {
+    if (page.issues.length === 0) continue;
+
+    console.log(`\n${page.title} (${page.url})`);
+    for (const issue of page.issues) {
+      console.log(`  ${issue.severity.padEnd(7)} ${issue.rule}: ${issue.message}`);
+    }
+  }
+
+  console.log(`\nAudited ${summary.pages} page(s): ${summary.bySeverity.error} error(s), ` +
+    `${summary.bySeverity.warning} warning(s), ${summary.bySeverity.info} suggestion(s)`);
+}
+
+async function audit({ json, html, type, includeUnpublished }) {
+  if (!process.env.NOTION_TOKEN) {
+    throw new Error('NOTION_TOKEN is not set');
+  }
+
+  const notion = createNotionClient();
+  const report = await auditContent(notion, { cache: createCache(), type, includeUnpublished });
+
+  printSummary(report);
+
+  if (json) await writeReport(json, JSON.stringify(report, null, 2));
+  if (html) await writeReport(html, renderAuditHtml(report));
+
+  return report;
+}
+
+if (require.main === module) {
+  audit(parseArgs(process.argv.slice(2)))
+    .then(report => {
+      if (report.summary.bySeverity.error > 0) process.exitCode = 1;
+    })
+    .catch(error => {
+      console.error('Audit failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { audit };
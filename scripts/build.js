@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * Static Site Build
+ * Prerenders every published Notion page to HTML so crawlers (and visitors
+ * without JavaScript) get real content instead of an empty shell.
+ *
+ * Usage:
+ *   npm run build
+ *   node scripts/build.js [--out prerendered]
+ *
+ * Content comes from the Netlify Functions themselves (homepage, blog-list,
+ * blog-detail, pages-list, docs-tree, page-detail), so drafts, scheduled
+ * posts and slugs are handled exactly as they are at runtime. Each route is
+ * written to the output directory, and the matching rewrites are written to
+ * _redirects (git-ignored), which Netlify applies before netlify.toml - so
+ * prerendered pages win over the rendered and client-side routes. Routes
+ * that fail to render are left to the client-side shells.
+ *
+ * Rules from the Notion redirects database (NOTION_REDIRECTS_DB_ID, see
+ * netlify/functions/lib/redirects.js) go first in the same file, except
+ * those overlapping a route in netlify.toml or a prerendered route - the
+ * functions apply those where the route has nothing to serve.
+ *
+ * Environment Variables:
+ * - NOTION_TOKEN and the NOTION_*_ID variables used by the functions.
+ *   Without NOTION_TOKEN the build is skipped and the site stays fully
+ *   client-rendered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  renderHomeDocument,
+  renderBlogListDocument,
+  renderPagesListDocument,
+  renderDocsListDocument,
+  renderBlogPostDocument,
+  renderPageDocument,
+  renderDocDocument
+} = require('../netlify/functions/lib/prerender');
+const { invokeHandler } = require('../netlify/functions/lib/invoke');
+const { createNotionClient } = require('../netlify/functions/lib/notion-client');
+const { loadRedirects, patternsOverlap, toRedirectsFile } = require('../netlify/functions/lib/redirects');
+const { setDefaultLinkPreviewFetcher } = require('../netlify/functions/lib/link-preview');
+const SITE_CONFIG = require('../js/config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FUNCTIONS_DIR = path.join(ROOT_DIR, 'netlify', 'functions');
+const REDIRECTS_FILE = path.join(ROOT_DIR, '_redirects');
+const NETLIFY_CONFIG_FILE = path.join(ROOT_DIR, 'netlify.toml');
+
+/**
+ * Parse --out <dir>
+ */
+function parseArgs(argv) {
+  const options = { outDir: 'prerendered' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out' && argv[i + 1]) {
+      options.outDir = argv[++i];
+    } else if (argv[i].startsWith('--out=')) {
+      options.outDir = argv[i].slice('--out='.length);
+    }
+  }
+  return options;
+}
+
+/**
+ * Invoke a function handler directly and return its parsed JSON body
+ */
+function callFunction(name, params = {}) {
+  const { handler } = require(path.join(FUNCTIONS_DIR, name));
+  return invokeHandler(handler, params, { name });
+}
+
+/**
+ * Slugs become file names - reject anything that could escape the output directory
+ */
+function isSafeSlug(slug) {
+  return typeof slug === 'string' && slug !== '' && slug !== '.' && slug !== '..' && !/[/\\?#%"]/.test(slug);
+}
+
+/**
+ * From paths of the [[redirects]] rules in netlify.toml
+ */
+async function readSiteRoutes() {
+  const config = await fs.promises.readFile(NETLIFY_CONFIG_FILE, 'utf8');
+  return [...config.matchAll(/^\s*from\s*=\s*"([^"]+)"/gm)].map(match => match[1]);
+}
+
+/**
+ * Write _redirects: the Notion redirects database, then one forced rewrite per prerendered route
+ * Redirect failures are logged - the redirect function still applies the rules at runtime.
+ *
+ * _redirects is applied before netlify.toml, but at runtime the Notion rules
+ * only reach paths nothing else serves (the redirect function) and detail
+ * routes that 404 (render.js). Rules that overlap a site route are left to
+ * the functions, so they don't shadow content, API or feed routes here.
+ * @param {Array<{from: string, to: string}>} routes
+ */
+async function writeRedirects(routes) {
+  let rules = [];
+
+  if (process.env.NOTION_TOKEN && process.env.NOTION_REDIRECTS_DB_ID) {
+    try {
+      rules = await loadRedirects(createNotionClient(), { ttl: 0 });
+    } catch (error) {
+      console.warn(`  Redirects unavailable: ${error.message}`);
+    }
+  }
+
+  const siteRoutes = [...await readSiteRoutes(), ...routes.map(route => route.from)];
+  rules = rules.filter(rule => {
+    const route = siteRoutes.find(from => patternsOverlap(rule.from, from));
+    if (route) {
+      console.log(`  ${rule.from} overlaps ${route} - left to the functions`);
+      return false;
+    }
+    return true;
+  });
+
+  // Fields are whitespace-separated, so spaces in slugs are encoded
+  const encode = (value) => value.replace(/\s/g, encodeURIComponent);
+  const rewrites = routes.map(route => `${encode(route.from)}  ${encode(route.to)}  200!`);
+
+  let contents = toRedirectsFile(rules);
+  if (rewrites.length > 0) {
+    contents += `\n# Prerendered routes - generated by scripts/build.js\n${rewrites.join('\n')}\n`;
+  }
+
+  await fs.promises.writeFile(REDIRECTS_FILE, contents);
+  if (rules.length > 0) {
+    console.log(`Wrote ${rules.length} redirect(s) to _redirects`);
+  }
+}
+
+async function build({ outDir }) {
+  const outPath = path.resolve(ROOT_DIR, outDir);
+  const publicPrefix = `/${path.relative(ROOT_DIR, outPath).split(path.sep).join('/')}`;
+
+  if (!outPath.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Output directory must be inside the project (got ${outDir})`);
+  }
+
+  if (!process.env.NOTION_TOKEN) {
+    console.warn('NOTION_TOKEN is not set - skipping prerender, pages will render client-side.');
+    await writeRedirects([]);
+    return;
+  }
+
+  await fs.promises.rm(outPath, { recursive: true, force: true });
+
+  // Prerendered files are never re-rendered, so a preview fetched now would go
+  // stale (or a failed fetch stay a plain link) until the next deploy - and the
+  // build shouldn't fetch every site the content links to. Bookmarks are plain links.
+  setDefaultLinkPreviewFetcher(null);
+
+  const routes = [];
+  let failures = 0;
+
+  /**
+   * Render one route; failures are logged and leave the route client-rendered
+   */
+  async function prerender(route, file, render) {
+    try {
+      const html = await render();
+      const filePath = path.join(outPath, file);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, html);
+      routes.push({ from: route, to: `${publicPrefix}/${file}` });
+      console.log(`  ${route}`);
+    } catch (error) {
+      failures++;
+      console.warn(`  ${route} skipped: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch a listing; a section that isn't configured is skipped
+   */
+  async function fetchList(name, params) {
+    try {
+      return await callFunction(name, params);
+    } catch (error) {
+      console.warn(`  ${name} unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  console.log(`Prerendering to ${path.relative(ROOT_DIR, outPath)}/`);
+
+  // Homepage
+  if (process.env.NOTION_HOMEPAGE_ID) {
+    await prerender('/', 'index.html', async () => renderHomeDocument(await callFunction('homepage')));
+  }
+
+  // Blog - the listing shows the first page, every post gets a detail page
+  const blogList = await fetchList('blog-list');
+  if (blogList) {
+    await prerender('/blog', 'blog.html', async () => renderBlogListDocument(
+      await callFunction('blog-list', { page: '1', limit: String(SITE_CONFIG.blog?.postsPerPage || 12) })
+    ));
+
+    for (const post of blogList.posts || []) {
+      if (!isSafeSlug(post.slug)) {
+        console.warn(`  Skipping post with unsafe slug: ${post.slug}`);
+        continue;
+      }
+      await prerender(`/blog/${post.slug}`, `blog/${post.slug}.html`, async () =>
+        renderBlogPostDocument(await callFunction('blog-detail', { slug: post.slug }))
+      );
+    }
+  }
+
+  // Landing pages
+  const landingList = await fetchList('pages-list', { type: 'landing' });
+  if (landingList) {
+    await prerender('/pages', 'pages.html', async () => renderPagesListDocument(landingList));
+
+    for (const page of landingList.pages || []) {
+      if (!isSafeSlug(page.slug)) {
+        console.warn(`  Skipping page with unsafe slug: ${page.slug}`);
+        continue;
+      }
+      await prerender(`/page/${page.slug}`, `page/${page.slug}.html`, async () =>
+        renderPageDocument(await callFunction('page-detail', { slug: page.slug }))
+      );
+    }
+  }
+
+  // Documentation
+  const docsList = await fetchList('pages-list', { type: 'docs' });
+  if (docsList) {
+    await prerender('/docs', 'docs.html', async () => renderDocsListDocument(docsList));
+  }
+
+  const docsTree = await fetchList('docs-tree');
+  if (docsTree) {
+    const tree = docsTree.tree || [];
+    const flatten = (items) => items.flatMap(item => [item, ...flatten(item.children || [])]);
+
+    for (const doc of flatten(tree)) {
+      if (!isSafeSlug(doc.slug)) {
+        console.warn(`  Skipping doc with unsafe slug: ${doc.slug}`);
+        continue;
+      }
+      await prerender(`/docs/${doc.slug}`, `docs/${doc.slug}.html`, async () =>
+        renderDocDocument(await callFunction('page-detail', { slug: doc.slug }), tree)
+      );
+    }
+  }
+
+  await writeRedirects(routes);
+
+  console.log(`Prerendered ${routes.length} route(s)${failures ? `, ${failures} skipped` : ''}; routes written to _redirects`);
+}
+
+if (require.main === module) {
+  build(parseArgs(process.argv.slice(2))).catch(error => {
+    console.error('Build failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { build };
@@ -0,0 +1,132 @@
+/**
+ * Link preview fetcher against a stub HTTP server on 127.0.0.1
+ *
+ * Run with: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  createLinkPreviewFetcher,
+  isPublicAddress
+} = require('../netlify/functions/lib/link-preview');
+
+const PAGE = `<!DOCTYPE html><html><head>
+  <title>Fallback title</title>
+  <meta property="og:title" content="Stub page">
+  <meta property="og:description" content="Served by the test server">
+</head><body></body></html>`;
+
+let server;
+let origin;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    requests.push(request.url);
+    if (request.url === '/page') {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end(PAGE);
+    } else if (request.url === '/redirect') {
+      response.writeHead(302, { Location: '/page' });
+      response.end();
+    } else if (request.url === '/redirect-metadata') {
+      response.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      response.end();
+    } else if (request.url === '/loop') {
+      response.writeHead(302, { Location: '/loop' });
+      response.end();
+    } else {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * In-memory state store, so each fetcher starts empty
+ */
+function memoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) { return entries.get(key); },
+    async set(key, value) { entries.set(key, value); }
+  };
+}
+
+/**
+ * Fetcher that may reach the stub server (127.0.0.1) but nothing else private
+ */
+function stubFetcher(options = {}) {
+  return createLinkPreviewFetcher({
+    store: memoryStore(),
+    isAllowedAddress: address => address === '127.0.0.1' || isPublicAddress(address),
+    ...options
+  });
+}
+
+test('isPublicAddress rejects loopback, private, link-local and reserved ranges', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '0.0.0.0', '100.64.0.1', '::1', '::', 'fd00::1',
+    'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'not-an-ip'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('reads the preview from an allowed host', async () => {
+  const preview = await stubFetcher().getPreview(`${origin}/page`);
+  assert.equal(preview.title, 'Stub page');
+  assert.equal(preview.description, 'Served by the test server');
+  assert.equal(preview.url, `${origin}/page`);
+});
+
+test('does not connect to loopback addresses by default', async () => {
+  requests.length = 0;
+  const fetcher = createLinkPreviewFetcher({ store: memoryStore() });
+  assert.equal(await fetcher.getPreview(`${origin}/page`), null);
+  assert.deepEqual(requests, []);
+});
+
+test('checks every address a host name resolves to', async () => {
+  let fetched = false;
+  const fetcher = stubFetcher({
+    lookup: async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }],
+    fetch: async () => { fetched = true; throw new Error('should not fetch'); }
+  });
+  assert.equal(await fetcher.getPreview('http://internal.example/'), null);
+  assert.equal(fetched, false);
+});
+
+test('follows redirects to allowed hosts', async () => {
+  const preview = await stubFetcher().getPreview(`${origin}/redirect`);
+  assert.equal(preview.title, 'Stub page');
+  assert.equal(preview.url, `${origin}/page`);
+});
+
+test('does not follow redirects to private addresses', async () => {
+  const fetched = [];
+  const fetcher = stubFetcher({
+    fetch: (url, init) => {
+      fetched.push(url);
+      return fetch(url, init);
+    }
+  });
+  assert.equal(await fetcher.getPreview(`${origin}/redirect-metadata`), null);
+  assert.deepEqual(fetched, [`${origin}/redirect-metadata`]);
+});
+
+test('gives up after too many redirects', async () => {
+  requests.length = 0;
+  assert.equal(await stubFetcher().getPreview(`${origin}/loop`), null);
+  assert.equal(requests.length, 6);
+});